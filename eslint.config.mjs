@@ -15,6 +15,8 @@ export default [
       globals: {
         ...globals.browser,
         ...globals.serviceworker,
+        // Workers runtime API used to rewrite index.html for link previews
+        HTMLRewriter: 'readonly',
       },
     },
   },
@@ -40,4 +42,13 @@ export default [
       },
     },
   },
+  {
+    // Worker tests run inside workerd, alongside the Worker's runtime globals
+    files: ['test/worker/**/*.js'],
+    languageOptions: {
+      globals: {
+        ...globals.serviceworker,
+      },
+    },
+  },
 ];
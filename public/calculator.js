@@ -0,0 +1,609 @@
+// Time math and match selection shared by the browser (public/script.js) and
+// the Worker (src/index.js). Keep this module free of DOM and Worker APIs.
+
+// Validation constants
+// VALID_BUFFER_VALUES are the dropdown's built-in steps; profiles and shared
+// links may use any whole minute up to MAX_BUFFER_MINUTES
+export const VALID_BUFFER_VALUES = ['0', '5', '10', '15', '20', '25', '30'];
+export const DEFAULT_BUFFER_VALUE = '20';
+export const MAX_BUFFER_MINUTES = 60;
+export const PROFILE_ID_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+export const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+export const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+export const MOVIE_ID_REGEX = /^\d+$/;
+export const IMDB_ID_REGEX = /^tt\d{7,}$/;
+export const YEAR_REGEX = /^\d{4}$/;
+export const MAX_CANDIDATES = 5;
+export const MAX_PLAN_MOVIES = 6;
+export const DEFAULT_GAP_MINUTES = 15;
+export const MAX_GAP_MINUTES = 120;
+export const DEFAULT_START_TIME = '12:00';
+// Travel to and from the theater, and how early to arrive for tickets and
+// concessions
+export const MAX_TRAVEL_MINUTES = 240;
+export const MAX_ARRIVAL_MARGIN_MINUTES = 60;
+// Intro and recap minutes skipped per TV episode
+export const MAX_SKIP_MINUTES = 15;
+export const DEFAULT_EPISODE_GAP_MINUTES = 5;
+// 'auto' follows the locale (e.g. 24-hour for de, AM/PM for en-US)
+export const CLOCK_FORMATS = ['auto', '12h', '24h'];
+// Crowdsourced trailer lengths: how many reports a theater needs before its
+// buffer is suggested, how quickly old reports fade, and how far from the
+// median a report may be before it's taken for a mistake
+export const MAX_THEATER_ID_LENGTH = 48;
+// Theater ids are slugified theater names (see slugifyTheaterName)
+export const THEATER_ID_REGEX = new RegExp(
+  `^(?=.{1,${MAX_THEATER_ID_LENGTH}}$)[\\p{L}\\p{M}\\p{N}]+(-[\\p{L}\\p{M}\\p{N}]+)*$`,
+  'u',
+);
+export const MIN_THEATER_REPORTS = 3;
+export const REPORT_HALF_LIFE_DAYS = 60;
+export const MIN_OUTLIER_MINUTES = 5;
+
+// What a signed-in user gets before saving any preferences
+export const DEFAULT_PREFERENCES = {
+  buffer: Number(DEFAULT_BUFFER_VALUE),
+  profile: null,
+  clock: 'auto',
+  startTime: DEFAULT_START_TIME,
+};
+
+// Buffer validation: Convert to integer, validate type and range. Returns the
+// normalized value, or null when it is not a whole number of minutes from 0
+// to MAX_BUFFER_MINUTES.
+export function parseBufferParam(buffer) {
+  if (!/^\d+$/.test(buffer ?? '')) {
+    return null;
+  }
+  const bufferInt = parseInt(buffer);
+  return bufferInt <= MAX_BUFFER_MINUTES ? bufferInt.toString() : null;
+}
+
+// Reads the repeated movie/buffer/id/profile parameters of a (possibly
+// multi-movie) shareable URL. Values line up by position; invalid buffers, ids
+// and profile names are dropped so the form keeps its defaults.
+export function parseMovieParams(urlParams) {
+  const buffers = urlParams.getAll('buffer');
+  const ids = urlParams.getAll('id');
+  const profiles = urlParams.getAll('profile');
+
+  return urlParams
+    .getAll('movie')
+    .map((title, index) => {
+      const buffer = parseBufferParam(buffers[index]);
+
+      // Movie id validation: only numeric TMDB ids pin the search result
+      const id = ids[index] && MOVIE_ID_REGEX.test(ids[index]) ? ids[index] : null;
+
+      // Profile validation: a slug naming one of the user's saved profiles
+      const profile =
+        profiles[index] && PROFILE_ID_REGEX.test(profiles[index]) ? profiles[index] : null;
+
+      return { title: title.trim(), buffer, id, profile };
+    })
+    .filter((movie) => movie.title)
+    .slice(0, MAX_PLAN_MOVIES);
+}
+
+export function parseGapParam(gap) {
+  const gapInt = parseInt(gap);
+  if (isNaN(gapInt) || gapInt.toString() !== gap || gapInt < 0 || gapInt > MAX_GAP_MINUTES) {
+    return null;
+  }
+  return gapInt;
+}
+
+// Whole minutes of intro/recap skipped per episode, or null when out of range
+export function parseSkipParam(skip) {
+  if (!/^\d+$/.test(skip ?? '')) {
+    return null;
+  }
+  const skipInt = parseInt(skip);
+  return skipInt <= MAX_SKIP_MINUTES ? skipInt : null;
+}
+
+// Whole minutes of travel or arrival margin up to max, or null when out of range
+export function parseOutingParam(value, max) {
+  if (!/^\d+$/.test(value ?? '')) {
+    return null;
+  }
+  const minutes = parseInt(value);
+  return minutes <= max ? minutes : null;
+}
+
+// Validates a preferences object, filling in defaults for missing fields.
+// Resolves to { preferences } or { error } naming the first invalid field.
+export function parsePreferences(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Preferences must be a JSON object' };
+  }
+
+  const { buffer, profile, clock, startTime } = { ...DEFAULT_PREFERENCES, ...input };
+  const bufferMinutes = parseBufferParam(String(buffer));
+  if (bufferMinutes === null) {
+    return { error: `buffer must be a whole number of minutes from 0 to ${MAX_BUFFER_MINUTES}` };
+  }
+  if (profile !== null && !(typeof profile === 'string' && PROFILE_ID_REGEX.test(profile))) {
+    return { error: 'profile must be a profile id or null' };
+  }
+  if (!CLOCK_FORMATS.includes(clock)) {
+    return { error: `clock must be one of ${CLOCK_FORMATS.join(', ')}` };
+  }
+  if (typeof startTime !== 'string' || !TIME_REGEX.test(startTime)) {
+    return { error: 'startTime must be in HH:MM format' };
+  }
+
+  return { preferences: { buffer: Number(bufferMinutes), profile, clock, startTime } };
+}
+
+// Turns a name such as "AMC Dolby" into the id used in URLs and storage
+// keys ("amc-dolby"), at most maxLength characters
+export function slugify(name, maxLength) {
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, maxLength)
+    .replace(/^-+|-+$/g, '');
+}
+
+// Turns a theater name into its id like slugify, but keeps the letters and
+// digits of every script, so "東京シネマ" isn't rejected or merged with
+// other theaters named in non-Latin scripts. Accents on Latin letters are
+// still dropped ("Cinéma Lumière" is "cinema-lumiere").
+export function slugifyTheaterName(name) {
+  const slug = name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-');
+  // Sliced by code point so no character is cut in half
+  return [...slug]
+    .slice(0, MAX_THEATER_ID_LENGTH)
+    .join('')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Reads the release year of a TMDB movie (release_date) or an EndTimes v2
+// movie (year)
+export function getReleaseYear(movie) {
+  if (movie.year !== undefined) {
+    return movie.year;
+  }
+  return movie.release_date ? parseInt(movie.release_date.split('-')[0]) : null;
+}
+
+// Orders search results by how close their release year is to the current
+// year, preferring newer movies on ties. Undated results keep their TMDB order
+// and sort after every dated result.
+export function rankMatches(results, currentYear) {
+  const withYears = results.map((movie) => ({ ...movie, releaseYear: getReleaseYear(movie) }));
+  const dated = withYears
+    .filter((movie) => movie.releaseYear !== null)
+    .sort((a, b) => {
+      const aDiff = Math.abs(currentYear - a.releaseYear);
+      const bDiff = Math.abs(currentYear - b.releaseYear);
+      if (aDiff !== bDiff) {
+        return aDiff - bDiff;
+      }
+      return b.releaseYear - a.releaseYear;
+    });
+  const undated = withYears.filter((movie) => movie.releaseYear === null);
+
+  return [...dated, ...undated];
+}
+
+// Picks the search result whose release year is closest to the current year,
+// preferring newer movies on ties. Falls back to the first result when no
+// result has a release date.
+export function pickBestMatch(results, currentYear) {
+  return rankMatches(results, currentYear)[0];
+}
+
+function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Returns the ranked results that share the searched title when more than one
+// does (e.g. the 1984 and 2021 "Dune"), so the user can choose between them.
+// Returns an empty list when the search is unambiguous.
+export function findAmbiguousMatches(results, query, currentYear) {
+  const wanted = normalizeTitle(query);
+  const matches = rankMatches(results, currentYear).filter(
+    (movie) => normalizeTitle(movie.title) === wanted,
+  );
+
+  return matches.length > 1 ? matches.slice(0, MAX_CANDIDATES) : [];
+}
+
+// The first films; later years up to a few past the current one may be
+// upcoming releases
+const MIN_RELEASE_YEAR = 1874;
+const MAX_FUTURE_RELEASE_YEARS = 10;
+const IMDB_INPUT_REGEX =
+  /^(?:(?:https?:\/\/)?(?:[\w-]+\.)*imdb\.com\/(?:[\w-]+\/)?title\/)?(tt\d{7,})(?:[/?#].*)?$/i;
+const TMDB_URL_REGEX =
+  /^(?:https?:\/\/)?(?:www\.)?themoviedb\.org\/movie\/(\d+)(?:-[^/?#]*)?(?:[/?#].*)?$/i;
+const PARENTHESIZED_YEAR_REGEX = /^(.+?)\s*\((\d{4})\)$/;
+const TRAILING_YEAR_REGEX = /^(.+?)\s+(\d{4})$/;
+
+// Reads what was typed or pasted into a movie field:
+// - an IMDb id or IMDb title URL: { imdbId }
+// - a TMDB movie URL: { tmdbId }
+// - "Title (Year)": { title, year }, searched in that year only
+// - "Title Year": { title, year, fallbackTitle }, where fallbackTitle is the
+//   whole text to search when nothing matches that year (e.g. "Wonder Woman 1984")
+// - anything else: { title, year: null }
+export function parseMovieInput(text, currentYear) {
+  const input = (text || '').trim();
+  const imdb = input.match(IMDB_INPUT_REGEX);
+  if (imdb) {
+    return { imdbId: imdb[1].toLowerCase() };
+  }
+  const tmdb = input.match(TMDB_URL_REGEX);
+  if (tmdb) {
+    return { tmdbId: tmdb[1] };
+  }
+
+  const isReleaseYear = (year) =>
+    year >= MIN_RELEASE_YEAR && year <= currentYear + MAX_FUTURE_RELEASE_YEARS;
+  const parenthesized = input.match(PARENTHESIZED_YEAR_REGEX);
+  if (parenthesized && isReleaseYear(Number(parenthesized[2]))) {
+    return { title: parenthesized[1], year: Number(parenthesized[2]) };
+  }
+  const trailing = input.match(TRAILING_YEAR_REGEX);
+  if (trailing && isReleaseYear(Number(trailing[2]))) {
+    return { title: trailing[1], year: Number(trailing[2]), fallbackTitle: input };
+  }
+
+  return { title: input, year: null };
+}
+
+// Returns the given "HH:MM" time on the same local day as baseDate
+export function timeToDate(time, baseDate = new Date()) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(baseDate.getTime());
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+}
+
+// Formats a Date as the "HH:MM" value used by time inputs and URL parameters
+export function toTimeValue(date) {
+  const pad = (value) => value.toString().padStart(2, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Returns the "HH:MM" time on the showing's date in its time zone, or on the
+// local today when no showing ({ date, timeZone }) is given
+function showingTimeToDate(time, showing) {
+  return showing ? zonedDateTime(showing.date, time, showing.timeZone) : timeToDate(time);
+}
+
+// Accepts either an "HH:MM" showtime (today) or a Date, so chained showings in
+// a plan can start from the previous movie's end even after midnight.
+export function calculateTimes(startTime, bufferMinutes, runtime) {
+  const startDate =
+    startTime instanceof Date ? new Date(startTime.getTime()) : timeToDate(startTime);
+
+  const estStartDate = new Date(startDate.getTime() + bufferMinutes * 60000);
+  const estEndDate = new Date(estStartDate.getTime() + runtime * 60000);
+
+  return { estStartDate, estEndDate };
+}
+
+// Expands a showing into the whole outing: when to leave home, when to arrive
+// for tickets and concessions, the showtime, when the feature starts and ends
+// (as from calculateTimes) and when you're home. outing is { travelMinutes,
+// marginMinutes, homeMinutes }; any left out count as 0.
+export function calculateOuting(
+  startTime,
+  bufferMinutes,
+  runtime,
+  { travelMinutes = 0, marginMinutes = 0, homeMinutes = 0 } = {},
+) {
+  const { estStartDate, estEndDate } = calculateTimes(startTime, bufferMinutes, runtime);
+  const showStartDate = new Date(estStartDate.getTime() - bufferMinutes * 60000);
+  const arriveDate = new Date(showStartDate.getTime() - marginMinutes * 60000);
+  const leaveDate = new Date(arriveDate.getTime() - travelMinutes * 60000);
+  const homeDate = new Date(estEndDate.getTime() + homeMinutes * 60000);
+
+  return { leaveDate, arriveDate, showStartDate, estStartDate, estEndDate, homeDate };
+}
+
+// Chains showings back to back: each movie's showtime is the previous movie's
+// estimated end plus the gap. Every leg is { bufferMinutes, runtime }.
+export function calculatePlan(startTime, legs, gapMinutes) {
+  let showtime = startTime;
+
+  return legs.map(({ bufferMinutes, runtime }) => {
+    const { estStartDate, estEndDate } = calculateTimes(showtime, bufferMinutes, runtime);
+    const showStartDate = new Date(estStartDate.getTime() - bufferMinutes * 60000);
+    showtime = new Date(estEndDate.getTime() + gapMinutes * 60000);
+    return { showStartDate, estStartDate, estEndDate };
+  });
+}
+
+// Chains TV episodes back to back with a break between them. Each episode
+// runs its runtime less the skipped intro/recap minutes. Returns
+// { estStartDate, estEndDate } per episode.
+export function calculateBinge(startTime, runtimes, skipMinutes, gapMinutes) {
+  const legs = runtimes.map((runtime) => ({
+    bufferMinutes: 0,
+    runtime: Math.max(0, runtime - skipMinutes),
+  }));
+
+  return calculatePlan(startTime, legs, gapMinutes).map(({ estStartDate, estEndDate }) => ({
+    estStartDate,
+    estEndDate,
+  }));
+}
+
+// Works backwards from a hard stop: returns the latest showtime at which the
+// movie (or the whole plan of { bufferMinutes, runtime } legs) still ends by
+// the deadline. An "HH:MM" deadline is on the showing's date ({ date,
+// timeZone }, or local today without one); if that would push the latest
+// showtime onto the day before, it is read as after midnight that night.
+export function calculateLatestStart(deadline, legs, gapMinutes, showing = null) {
+  let deadlineDate =
+    deadline instanceof Date ? new Date(deadline.getTime()) : showingTimeToDate(deadline, showing);
+  const timeline = calculatePlan(deadlineDate, legs, gapMinutes);
+  const durationMs = timeline[timeline.length - 1].estEndDate.getTime() - deadlineDate.getTime();
+
+  let latestStartDate = new Date(deadlineDate.getTime() - durationMs);
+  if (deadline instanceof Date) {
+    return { latestStartDate, deadlineDate };
+  }
+
+  if (showing) {
+    if (todayInTimeZone(latestStartDate, showing.timeZone) < showing.date) {
+      deadlineDate = zonedDateTime(addDays(showing.date, 1), deadline, showing.timeZone);
+      latestStartDate = new Date(deadlineDate.getTime() - durationMs);
+    }
+  } else if (latestStartDate.getDate() !== deadlineDate.getDate()) {
+    deadlineDate.setDate(deadlineDate.getDate() + 1);
+    latestStartDate = new Date(deadlineDate.getTime() - durationMs);
+  }
+
+  return { latestStartDate, deadlineDate };
+}
+
+// Matches one showtime such as "7:30", "19:30", "7:30pm", "7:30 PM", "10:40p"
+// or "7pm". Bare numbers without a colon or am/pm are not treated as times.
+const SHOWTIME_TOKEN_REGEX = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?\b/g;
+
+// Parses a pasted list of theater showtimes into "HH:MM" values in listed
+// order. Listings rarely repeat am/pm, so times without a suffix are read on
+// the 12-hour clock as afternoon and evening showings, unless that would put
+// one after the time listed next: "9:30 12:45 4:00" starts with a morning
+// showing. 24-hour times (0:00, 13:00-23:59) are kept.
+export function parseShowtimes(text) {
+  const normalized = (text || '').toLowerCase().replace(/\b([ap])\.m\.?/g, '$1m');
+  // Minutes after midnight, with the morning reading of 1:00-11:59 without a
+  // suffix in case the list shows it's meant
+  const times = [];
+
+  for (const [, hourText, minuteText, suffix] of normalized.matchAll(SHOWTIME_TOKEN_REGEX)) {
+    if (minuteText === undefined && suffix === undefined) {
+      continue;
+    }
+    const hours = Number(hourText);
+    const minutes = Number(minuteText ?? 0);
+    if (hours > 23 || minutes > 59 || (suffix && (hours === 0 || hours > 12))) {
+      continue;
+    }
+
+    if (suffix) {
+      times.push({ value: ((hours % 12) + (suffix.startsWith('p') ? 12 : 0)) * 60 + minutes });
+    } else if (hours >= 1 && hours <= 11) {
+      times.push({ value: (hours + 12) * 60 + minutes, morning: hours * 60 + minutes });
+    } else {
+      times.push({ value: hours * 60 + minutes });
+    }
+  }
+
+  // From the end, so each time is compared with the next one as resolved
+  for (let index = times.length - 2; index >= 0; index--) {
+    if (times[index].morning !== undefined && times[index].value > times[index + 1].value) {
+      times[index].value = times[index].morning;
+    }
+  }
+
+  const pad = (value) => value.toString().padStart(2, '0');
+  return [
+    ...new Set(times.map(({ value }) => `${pad(Math.floor(value / 60))}:${pad(value % 60)}`)),
+  ];
+}
+
+// Checks each "HH:MM" showtime against a deadline (as returned by
+// calculateLatestStart). Showtimes are on the showing's date when one is
+// given, as for calculateLatestStart. Returns the showings in time order with
+// their estimated end and whether they finish in time.
+export function checkShowtimes(showtimes, legs, gapMinutes, deadlineDate, showing = null) {
+  return showtimes
+    .map((showtime) => {
+      const timeline = calculatePlan(showingTimeToDate(showtime, showing), legs, gapMinutes);
+      const { showStartDate } = timeline[0];
+      const { estEndDate } = timeline[timeline.length - 1];
+      return { showtime, showStartDate, estEndDate, fits: estEndDate <= deadlineDate };
+    })
+    .sort((a, b) => a.showStartDate - b.showStartDate);
+}
+
+// Lists one movie's "HH:MM" showtimes, each with its estimated start and end
+// (as from calculateTimes), in time order. Showtimes are on the showing's date
+// when one is given. A showing is past once its showtime is before now, and
+// late when it ends after cutoffDate (as returned by calculateLatestStart).
+export function listShowings(
+  showtimes,
+  bufferMinutes,
+  runtime,
+  { showing = null, now = new Date(), cutoffDate = null } = {},
+) {
+  return showtimes
+    .map((showtime) => {
+      const showStartDate = showingTimeToDate(showtime, showing);
+      const { estStartDate, estEndDate } = calculateTimes(showStartDate, bufferMinutes, runtime);
+      return {
+        showtime,
+        showStartDate,
+        estStartDate,
+        estEndDate,
+        past: showStartDate < now,
+        late: cutoffDate !== null && estEndDate > cutoffDate,
+      };
+    })
+    .sort((a, b) => a.showStartDate - b.showStartDate);
+}
+
+// The minutes between a showing's listed "HH:MM" showtime and when the
+// feature actually started, wrapping past midnight
+export function trailerMinutes(showtime, featureStart) {
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  return (toMinutes(featureStart) - toMinutes(showtime) + 24 * 60) % (24 * 60);
+}
+
+// The smallest value whose share of the total weight, counting from the
+// lowest, reaches fraction. entries are { value, weight } sorted by value.
+function weightedQuantile(entries, fraction) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let running = 0;
+  for (const entry of entries) {
+    running += entry.weight;
+    if (running >= total * fraction) {
+      return entry.value;
+    }
+  }
+  return entries[entries.length - 1].value;
+}
+
+// Suggests a theater's trailer buffer from its reports [{ bufferMinutes,
+// reportedAt }]. Reports further from the median than three median absolute
+// deviations (and at least MIN_OUTLIER_MINUTES) are rejected, and the rest
+// count for half as much every REPORT_HALF_LIFE_DAYS. Returns { bufferMinutes,
+// low, high, reports, rejected } with the weighted median and interquartile
+// range, or null when fewer than MIN_THEATER_REPORTS reports are left.
+export function suggestTheaterBuffer(reports, now = new Date()) {
+  const values = reports.map((report) => report.bufferMinutes).sort((a, b) => a - b);
+  if (values.length < MIN_THEATER_REPORTS) {
+    return null;
+  }
+  const unweighted = (sorted) => sorted.map((value) => ({ value, weight: 1 }));
+  const median = weightedQuantile(unweighted(values), 0.5);
+  const deviation = weightedQuantile(
+    unweighted(values.map((value) => Math.abs(value - median)).sort((a, b) => a - b)),
+    0.5,
+  );
+  const tolerance = Math.max(3 * deviation, MIN_OUTLIER_MINUTES);
+
+  const kept = reports
+    .filter((report) => Math.abs(report.bufferMinutes - median) <= tolerance)
+    .map((report) => {
+      const ageDays = Math.max(0, (now - new Date(report.reportedAt)) / 86400000);
+      return { value: report.bufferMinutes, weight: 0.5 ** (ageDays / REPORT_HALF_LIFE_DAYS) };
+    })
+    .sort((a, b) => a.value - b.value);
+  if (kept.length < MIN_THEATER_REPORTS) {
+    return null;
+  }
+
+  return {
+    bufferMinutes: weightedQuantile(kept, 0.5),
+    low: weightedQuantile(kept, 0.25),
+    high: weightedQuantile(kept, 0.75),
+    reports: kept.length,
+    rejected: reports.length - kept.length,
+  };
+}
+
+export function isValidDate(date) {
+  if (!DATE_REGEX.test(date)) {
+    return false;
+  }
+  const [year, month, day] = date.split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  return parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Returns the calendar date ("YYYY-MM-DD") it currently is in the time zone
+export function todayInTimeZone(now, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(now);
+}
+
+// Returns the "YYYY-MM-DD" date the given number of days after date
+export function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Returns the wall-clock "HH:MM" time it is in the time zone at the instant
+export function timeInTimeZone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(date);
+}
+
+// Minutes the time zone is ahead of UTC at the given instant
+function timeZoneOffsetMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map((part) => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute);
+
+  return Math.round((wallClock - date.getTime()) / 60000);
+}
+
+// Converts a wall-clock date ("YYYY-MM-DD") and time ("HH:MM") in the time
+// zone to the instant it names. Offsets are re-checked at the result so times
+// on DST transition days land on the right side of the change. A time skipped
+// when clocks spring forward moves forward by the gap, as the clocks did
+// (02:30 becomes 03:30), in every zone.
+export function zonedDateTime(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  const offset = timeZoneOffsetMinutes(new Date(wallClock), timeZone);
+  const instant = wallClock - offset * 60000;
+  const correctedOffset = timeZoneOffsetMinutes(new Date(instant), timeZone);
+  const result = wallClock - correctedOffset * 60000;
+  if (timeZoneOffsetMinutes(new Date(result), timeZone) === correctedOffset) {
+    return new Date(result);
+  }
+
+  // No offset gives back the wall-clock time, so it's in the gap; read with
+  // the offset from before the change (the smaller one), it lands after it
+  return new Date(wallClock - Math.min(offset, correctedOffset) * 60000);
+}
@@ -0,0 +1,728 @@
+// UI message catalogs and locale helpers, shared by the browser and the Worker.
+// Catalogs are keyed by language subtag; English is the fallback for other
+// languages and for missing keys. Messages take {name} placeholders.
+
+export const DEFAULT_LOCALE = 'en';
+// TMDB's language (ISO 639-1, optionally with a country, e.g. "de-DE") and
+// region (ISO 3166-1) parameters
+export const LANGUAGE_REGEX = /^[a-z]{2}(-[A-Z]{2})?$/;
+export const REGION_REGEX = /^[A-Z]{2}$/;
+
+export const MESSAGES = {
+  en: {
+    movieTitle: 'Movie Title',
+    movieTitlePlaceholder: 'Enter movie title...',
+    suggestedMovies: 'Suggested movies',
+    addMovie: '+ Add another movie',
+    gapLabel: 'Break Between Movies',
+    minutesUnit: '(minutes)',
+    optionalUnit: '(optional)',
+    modeLabel: 'Calculate',
+    modeStart: 'When the movie ends',
+    modeDeadline: 'Latest showtime to be out by',
+    modeShowtimes: 'End times for each showtime',
+    modeTv: 'When a TV binge ends',
+    dateLabel: 'Date',
+    startTimeLabel: 'Start Time',
+    deadlineLabel: 'Out By',
+    showtimesLabel: 'Showtimes to Check',
+    showtimesPlaceholder: 'e.g. 1:10 4:20 7:30 10:40pm',
+    bufferLabel: 'Trailer Duration',
+    theaterLabel: 'Theater',
+    theaterPlaceholder: 'e.g. AMC Lincoln Square',
+    profilesSummary: 'Trailer profiles',
+    profileNameLabel: 'Profile name',
+    profileNamePlaceholder: 'Theater, e.g. AMC Dolby',
+    profileMinutesLabel: 'Trailer minutes',
+    profileMinutesPlaceholder: 'Minutes',
+    profilesGroup: 'Profiles',
+    profileLabel: '{name} – {minutes} min',
+    save: 'Save',
+    delete: 'Delete',
+    remove: 'Remove',
+    preferencesSummary: 'Preferences',
+    prefBufferLabel: 'Default trailer duration',
+    prefStartTimeLabel: 'Default start time',
+    prefClockLabel: 'Clock',
+    clockAuto: 'Language default',
+    clock12h: '12-hour',
+    clock24h: '24-hour',
+    outingSummary: 'Plan the whole outing',
+    travelLabel: 'Travel to the theater (min)',
+    marginLabel: 'Arrive early for tickets and snacks (min)',
+    homeLabel: 'Travel home (min)',
+    calculate: 'Go',
+    latestShowtime: 'Latest Showtime',
+    estStartTime: 'Est. Start Time',
+    estEndTime: 'Est. End Time',
+    outingLeave: 'Leave by',
+    outingArrive: 'Arrive by',
+    outingShowtime: 'Showtime',
+    outingFeatureStart: 'Feature starts',
+    outingFeatureEnd: 'Feature ends',
+    outingHome: 'Home by',
+    planEndTime: 'Est. End of Last Movie',
+    addToCalendar: 'Add to calendar',
+    liveMode: "I'm in the theater",
+    liveTrailersLeft: 'Trailers end in',
+    liveMovieLeft: 'Movie ends in',
+    liveEnded: 'The movie is over',
+    liveEndsAt: 'Ends {time}',
+    liveTrailersEnded: 'Trailers ended now',
+    liveExit: 'Exit',
+    liveAlertTrailers: 'Alert when the trailers are over',
+    liveAlertMinutes: 'Alert before the end',
+    liveAlertOff: 'Off',
+    alertTrailersOver: 'The trailers are over',
+    alertMinutesLeft: '{minutes} minutes left',
+    liveScreenOnFailed: "Couldn't keep the screen on; it may dim during the movie",
+    shortLink: 'Copy short link',
+    shortLinkCopied: 'Copied {url}',
+    shortLinksSummary: 'My short links',
+    shortLinksEmpty: 'No short links yet',
+    shortLinkExpires: 'expires {date}',
+    theaterSuggestion: 'Reports suggest {minutes} min (usually {low}–{high}, from {count} reports)',
+    theaterNoSuggestion: 'Not enough reports for this theater yet',
+    trailerReportSummary: 'Report when the movie started',
+    auditoriumLabel: 'Auditorium',
+    auditoriumPlaceholder: 'e.g. 7',
+    reportShowtimeLabel: 'Listed showtime',
+    reportFeatureStartLabel: 'Movie actually started',
+    trailerReportNote: 'For the theater and date above.',
+    report: 'Report',
+    reportThanks: 'Thanks! The trailers ran {minutes} min.',
+    searching: 'Searching for movie...',
+    movieListSummary: 'Browse now playing',
+    movieListType: 'List',
+    nowPlaying: 'Now playing',
+    upcoming: 'Upcoming',
+    sortLabel: 'Sort',
+    sortEndsEarliest: 'Ends earliest first',
+    sortEndsLatest: 'Ends latest first',
+    sortTitle: 'Title (A–Z)',
+    loadMore: 'Load more',
+    movieListEnds: '{minutes} min · ends {time}',
+    runtimeUnknown: 'Runtime unknown',
+    tvShowLabel: 'TV Show',
+    tvShowPlaceholder: 'Enter show title...',
+    findShow: 'Find',
+    seasonLabel: 'Season',
+    episodeFromLabel: 'From Episode',
+    episodeToLabel: 'To Episode',
+    episodeName: '{number}. {name}',
+    skipLabel: 'Skipped Intro/Recap',
+    skipUnit: '(minutes per episode)',
+    episodeGapLabel: 'Break Between Episodes',
+    bingeRange: '{season} · Episodes {from}–{to}',
+    episodeTimes: 'Starts {start} • Ends {end}',
+    bingeEndTime: 'Est. Finish Time',
+    dataProvidedBy: 'Data provided by',
+    lightMode: 'Switch to light mode',
+    darkMode: 'Switch to dark mode',
+    movieN: 'Movie {position}',
+    unknownYear: 'Unknown year',
+    runtimeMinutes: '{minutes} min',
+    runtimeFrom: 'runtime from {provider}',
+    viewerTime: '{time} your time',
+    breakMinutes: '{minutes} min break',
+    planTimes: 'Showtime {showtime} • Est. Start {start} • Est. End {end}',
+    deadlineBestListed: 'Latest listed showtime that ends by {deadline}: {showtime}',
+    showtimeColumn: 'Showtime',
+    showingPast: 'Already started',
+    showingLate: 'Ends after {cutoff}',
+    showingsCutoffNote: '{count} of {total} showings end by {cutoff}',
+    deadlineLatestStart: 'Start no later than this to be out by {deadline}',
+    showtimeFits: '{showtime} → ends ~{end} ✓',
+    showtimeTooLate: '{showtime} → ends ~{end} ✗ too late',
+    candidatesHeading: 'Several movies match "{title}". Which one?',
+    rateLimited: 'TMDB is rate limiting, try again shortly',
+    rateLimitedSeconds: 'TMDB is rate limiting, try again in {seconds} s',
+    errorProfileName: 'Please enter a profile name',
+    errorProfileMinutes: 'Please enter trailer minutes between 0 and {max}',
+    errorDefaultStartTime: 'Please enter a valid default start time',
+    errorSavePreferences: 'Failed to save preferences',
+    errorShortLink: 'Failed to create a short link',
+    errorShortLinks: 'Failed to load your short links',
+    errorDeleteShortLink: 'Failed to delete the short link',
+    errorReportTheater: 'Please enter the theater first',
+    errorReportTimes: 'Please enter the listed showtime and when the movie started',
+    errorReportTooLate: 'The movie must start within {max} minutes of the showtime',
+    errorTrailerReport: 'Failed to save the report',
+    errorTheaterSuggestion: "Couldn't load this theater's trailer reports",
+    errorTitle: 'Please enter a movie title',
+    errorDate: 'Please select a date',
+    errorStartTime: 'Please select a start time',
+    errorDeadline: 'Please select when you need to be out',
+    errorShowtimes: 'Please paste at least one showtime, e.g. 1:10 4:20 7:30pm',
+    errorGap: 'Please enter a break between 0 and {max} minutes',
+    errorOuting:
+      'Travel times must be whole minutes up to {maxTravel}, and arriving early up to {maxMargin}',
+    errorMovieInfo: 'Failed to find movie information',
+    errorSearch: 'Failed to search for movies',
+    errorNoMatches: 'No movies found with that title',
+    errorNoImdbMatch: 'No movie found for that IMDb id',
+    errorDetails: 'Failed to get movie details',
+    errorMovieList: 'Failed to load the movie list',
+    errorShowTitle: 'Please enter a TV show title',
+    errorShowSearch: 'Failed to search for TV shows',
+    errorNoShows: 'No TV shows found with that title',
+    errorShowDetails: 'Failed to get TV show details',
+    errorPickShow: 'Please find and pick a TV show and season',
+    errorEpisodeRange: 'The last episode must not come before the first',
+    errorSkip: 'Please enter skipped minutes between 0 and {max}',
+    errorEpisodeRuntime: 'Runtime information not available for episode {number}',
+    errorRuntime: 'Runtime information not available for this movie',
+    errorRuntimeFor: 'Runtime information not available for {title}',
+    calendarTrailers: 'Trailers: {start} – {end}',
+    calendarFeature: 'Feature: {start} – {end} ({minutes} min)',
+    previewDescription: 'Showtime {showtime} · ends ~{end}',
+  },
+  de: {
+    movieTitle: 'Filmtitel',
+    movieTitlePlaceholder: 'Filmtitel eingeben...',
+    suggestedMovies: 'Vorgeschlagene Filme',
+    addMovie: '+ Weiteren Film hinzufügen',
+    gapLabel: 'Pause zwischen den Filmen',
+    minutesUnit: '(Minuten)',
+    optionalUnit: '(optional)',
+    modeLabel: 'Berechnen',
+    modeStart: 'Wann der Film endet',
+    modeDeadline: 'Letzte Vorstellung, um rechtzeitig raus zu sein',
+    modeShowtimes: 'Ende jeder Vorstellung',
+    modeTv: 'Wann der Serienmarathon endet',
+    dateLabel: 'Datum',
+    startTimeLabel: 'Beginn',
+    deadlineLabel: 'Raus bis',
+    showtimesLabel: 'Vorstellungen prüfen',
+    showtimesPlaceholder: 'z. B. 13:10 16:20 19:30 22:40',
+    bufferLabel: 'Werbung und Trailer',
+    theaterLabel: 'Kino',
+    theaterPlaceholder: 'z. B. Zoo Palast',
+    profilesSummary: 'Trailer-Profile',
+    profileNameLabel: 'Profilname',
+    profileNamePlaceholder: 'Kino, z. B. Cinestar IMAX',
+    profileMinutesLabel: 'Trailer-Minuten',
+    profileMinutesPlaceholder: 'Minuten',
+    profilesGroup: 'Profile',
+    profileLabel: '{name} – {minutes} Min.',
+    save: 'Speichern',
+    delete: 'Löschen',
+    remove: 'Entfernen',
+    preferencesSummary: 'Einstellungen',
+    prefBufferLabel: 'Standard-Trailerdauer',
+    prefStartTimeLabel: 'Standard-Beginn',
+    prefClockLabel: 'Uhrzeit',
+    clockAuto: 'Wie die Sprache',
+    clock12h: '12 Stunden',
+    clock24h: '24 Stunden',
+    outingSummary: 'Den ganzen Abend planen',
+    travelLabel: 'Anfahrt zum Kino (Min.)',
+    marginLabel: 'Früher da für Tickets und Snacks (Min.)',
+    homeLabel: 'Heimweg (Min.)',
+    calculate: 'Los',
+    latestShowtime: 'Letzte Vorstellung',
+    estStartTime: 'Gesch. Filmbeginn',
+    estEndTime: 'Gesch. Filmende',
+    outingLeave: 'Losfahren um',
+    outingArrive: 'Ankommen um',
+    outingShowtime: 'Vorstellung',
+    outingFeatureStart: 'Film beginnt',
+    outingFeatureEnd: 'Film endet',
+    outingHome: 'Zu Hause um',
+    planEndTime: 'Gesch. Ende des letzten Films',
+    addToCalendar: 'Zum Kalender hinzufügen',
+    liveMode: 'Ich bin im Kino',
+    liveTrailersLeft: 'Trailer enden in',
+    liveMovieLeft: 'Film endet in',
+    liveEnded: 'Der Film ist vorbei',
+    liveEndsAt: 'Ende {time}',
+    liveTrailersEnded: 'Trailer jetzt vorbei',
+    liveExit: 'Beenden',
+    liveAlertTrailers: 'Hinweis, wenn die Trailer vorbei sind',
+    liveAlertMinutes: 'Hinweis vor dem Ende',
+    liveAlertOff: 'Aus',
+    alertTrailersOver: 'Die Trailer sind vorbei',
+    alertMinutesLeft: 'Noch {minutes} Minuten',
+    liveScreenOnFailed: 'Der Bildschirm kann nicht eingeschaltet bleiben und wird evtl. dunkel',
+    shortLink: 'Kurzlink kopieren',
+    shortLinkCopied: '{url} kopiert',
+    shortLinksSummary: 'Meine Kurzlinks',
+    shortLinksEmpty: 'Noch keine Kurzlinks',
+    shortLinkExpires: 'läuft am {date} ab',
+    theaterSuggestion:
+      'Meldungen ergeben {minutes} Min. (meist {low}–{high}, aus {count} Meldungen)',
+    theaterNoSuggestion: 'Noch zu wenige Meldungen für dieses Kino',
+    trailerReportSummary: 'Melden, wann der Film begann',
+    auditoriumLabel: 'Saal',
+    auditoriumPlaceholder: 'z. B. 7',
+    reportShowtimeLabel: 'Angegebene Uhrzeit',
+    reportFeatureStartLabel: 'Film begann um',
+    trailerReportNote: 'Für das Kino und Datum oben.',
+    report: 'Melden',
+    reportThanks: 'Danke! Die Werbung lief {minutes} Min.',
+    searching: 'Film wird gesucht...',
+    movieListSummary: 'Was läuft im Kino?',
+    movieListType: 'Liste',
+    nowPlaying: 'Jetzt im Kino',
+    upcoming: 'Demnächst',
+    sortLabel: 'Sortieren',
+    sortEndsEarliest: 'Früheste Endzeit zuerst',
+    sortEndsLatest: 'Späteste Endzeit zuerst',
+    sortTitle: 'Titel (A–Z)',
+    loadMore: 'Mehr laden',
+    movieListEnds: '{minutes} Min. · endet {time}',
+    runtimeUnknown: 'Laufzeit unbekannt',
+    tvShowLabel: 'Serie',
+    tvShowPlaceholder: 'Serientitel eingeben...',
+    findShow: 'Suchen',
+    seasonLabel: 'Staffel',
+    episodeFromLabel: 'Von Folge',
+    episodeToLabel: 'Bis Folge',
+    episodeName: '{number}. {name}',
+    skipLabel: 'Übersprungenes Intro/Rückblick',
+    skipUnit: '(Minuten pro Folge)',
+    episodeGapLabel: 'Pause zwischen den Folgen',
+    bingeRange: '{season} · Folgen {from}–{to}',
+    episodeTimes: 'Beginn {start} • Ende {end}',
+    bingeEndTime: 'Gesch. Ende',
+    dataProvidedBy: 'Daten von',
+    lightMode: 'Zum hellen Design wechseln',
+    darkMode: 'Zum dunklen Design wechseln',
+    movieN: 'Film {position}',
+    unknownYear: 'Jahr unbekannt',
+    runtimeMinutes: '{minutes} Min.',
+    runtimeFrom: 'Laufzeit laut {provider}',
+    viewerTime: '{time} bei dir',
+    breakMinutes: '{minutes} Min. Pause',
+    planTimes: 'Vorstellung {showtime} • Gesch. Beginn {start} • Gesch. Ende {end}',
+    deadlineBestListed: 'Letzte aufgeführte Vorstellung, die bis {deadline} endet: {showtime}',
+    showtimeColumn: 'Vorstellung',
+    showingPast: 'Hat schon begonnen',
+    showingLate: 'Endet nach {cutoff}',
+    showingsCutoffNote: '{count} von {total} Vorstellungen enden bis {cutoff}',
+    deadlineLatestStart: 'Spätestens dann beginnen, um bis {deadline} raus zu sein',
+    showtimeFits: '{showtime} → endet ~{end} ✓',
+    showtimeTooLate: '{showtime} → endet ~{end} ✗ zu spät',
+    candidatesHeading: 'Mehrere Filme passen zu „{title}“. Welcher ist es?',
+    rateLimited: 'TMDB drosselt die Anfragen, bitte gleich noch einmal versuchen',
+    rateLimitedSeconds: 'TMDB drosselt die Anfragen, bitte in {seconds} s noch einmal versuchen',
+    errorProfileName: 'Bitte einen Profilnamen eingeben',
+    errorProfileMinutes: 'Bitte Trailer-Minuten zwischen 0 und {max} eingeben',
+    errorDefaultStartTime: 'Bitte einen gültigen Standard-Beginn eingeben',
+    errorSavePreferences: 'Einstellungen konnten nicht gespeichert werden',
+    errorShortLink: 'Kurzlink konnte nicht erstellt werden',
+    errorShortLinks: 'Deine Kurzlinks konnten nicht geladen werden',
+    errorDeleteShortLink: 'Kurzlink konnte nicht gelöscht werden',
+    errorReportTheater: 'Bitte zuerst das Kino eingeben',
+    errorReportTimes: 'Bitte die angegebene Uhrzeit und den Filmbeginn eingeben',
+    errorReportTooLate:
+      'Der Film muss höchstens {max} Minuten nach der angegebenen Uhrzeit beginnen',
+    errorTrailerReport: 'Meldung konnte nicht gespeichert werden',
+    errorTheaterSuggestion: 'Meldungen für dieses Kino konnten nicht geladen werden',
+    errorTitle: 'Bitte einen Filmtitel eingeben',
+    errorDate: 'Bitte ein Datum auswählen',
+    errorStartTime: 'Bitte eine Anfangszeit auswählen',
+    errorDeadline: 'Bitte angeben, wann du raus sein musst',
+    errorShowtimes: 'Bitte mindestens eine Vorstellung eingeben, z. B. 13:10 16:20 19:30',
+    errorGap: 'Bitte eine Pause zwischen 0 und {max} Minuten eingeben',
+    errorOuting:
+      'Fahrzeiten müssen ganze Minuten bis {maxTravel} sein, früher da sein bis {maxMargin}',
+    errorMovieInfo: 'Filminformationen konnten nicht gefunden werden',
+    errorSearch: 'Die Filmsuche ist fehlgeschlagen',
+    errorNoMatches: 'Kein Film mit diesem Titel gefunden',
+    errorNoImdbMatch: 'Kein Film zu dieser IMDb-ID gefunden',
+    errorDetails: 'Filmdetails konnten nicht geladen werden',
+    errorMovieList: 'Die Filmliste konnte nicht geladen werden',
+    errorShowTitle: 'Bitte gib einen Serientitel ein',
+    errorShowSearch: 'Die Seriensuche ist fehlgeschlagen',
+    errorNoShows: 'Keine Serien mit diesem Titel gefunden',
+    errorShowDetails: 'Seriendetails konnten nicht geladen werden',
+    errorPickShow: 'Bitte suche eine Serie und wähle eine Staffel',
+    errorEpisodeRange: 'Die letzte Folge darf nicht vor der ersten liegen',
+    errorSkip: 'Bitte gib übersprungene Minuten zwischen 0 und {max} ein',
+    errorEpisodeRuntime: 'Keine Laufzeit für Folge {number} verfügbar',
+    errorRuntime: 'Für diesen Film ist keine Laufzeit verfügbar',
+    errorRuntimeFor: 'Für {title} ist keine Laufzeit verfügbar',
+    calendarTrailers: 'Trailer: {start} – {end}',
+    calendarFeature: 'Film: {start} – {end} ({minutes} Min.)',
+    previewDescription: 'Vorstellung {showtime} · Ende ca. {end}',
+  },
+  es: {
+    movieTitle: 'Título de la película',
+    movieTitlePlaceholder: 'Escribe el título de la película...',
+    suggestedMovies: 'Películas sugeridas',
+    addMovie: '+ Añadir otra película',
+    gapLabel: 'Descanso entre películas',
+    minutesUnit: '(minutos)',
+    optionalUnit: '(opcional)',
+    modeLabel: 'Calcular',
+    modeStart: 'Cuándo termina la película',
+    modeDeadline: 'Última sesión para salir a tiempo',
+    modeShowtimes: 'Final de cada sesión',
+    modeTv: 'Cuándo termina el maratón de serie',
+    dateLabel: 'Fecha',
+    startTimeLabel: 'Hora de inicio',
+    deadlineLabel: 'Salir antes de',
+    showtimesLabel: 'Sesiones a comprobar',
+    showtimesPlaceholder: 'p. ej. 16:20 19:30 22:40',
+    bufferLabel: 'Duración de los tráileres',
+    theaterLabel: 'Cine',
+    theaterPlaceholder: 'p. ej. Cines Callao',
+    profilesSummary: 'Perfiles de tráileres',
+    profileNameLabel: 'Nombre del perfil',
+    profileNamePlaceholder: 'Cine, p. ej. Cinesa IMAX',
+    profileMinutesLabel: 'Minutos de tráileres',
+    profileMinutesPlaceholder: 'Minutos',
+    profilesGroup: 'Perfiles',
+    profileLabel: '{name} – {minutes} min',
+    save: 'Guardar',
+    delete: 'Eliminar',
+    remove: 'Quitar',
+    preferencesSummary: 'Preferencias',
+    prefBufferLabel: 'Duración de tráileres predeterminada',
+    prefStartTimeLabel: 'Hora de inicio predeterminada',
+    prefClockLabel: 'Reloj',
+    clockAuto: 'Según el idioma',
+    clock12h: '12 horas',
+    clock24h: '24 horas',
+    outingSummary: 'Planear toda la salida',
+    travelLabel: 'Viaje al cine (min)',
+    marginLabel: 'Llegar antes para entradas y palomitas (min)',
+    homeLabel: 'Viaje de vuelta (min)',
+    calculate: 'Calcular',
+    latestShowtime: 'Última sesión',
+    estStartTime: 'Inicio estimado',
+    estEndTime: 'Final estimado',
+    outingLeave: 'Salir a las',
+    outingArrive: 'Llegar a las',
+    outingShowtime: 'Sesión',
+    outingFeatureStart: 'Empieza la película',
+    outingFeatureEnd: 'Termina la película',
+    outingHome: 'En casa a las',
+    planEndTime: 'Final estimado de la última película',
+    addToCalendar: 'Añadir al calendario',
+    liveMode: 'Estoy en el cine',
+    liveTrailersLeft: 'Los tráileres terminan en',
+    liveMovieLeft: 'La película termina en',
+    liveEnded: 'La película ha terminado',
+    liveEndsAt: 'Termina {time}',
+    liveTrailersEnded: 'Los tráileres acaban de terminar',
+    liveExit: 'Salir',
+    liveAlertTrailers: 'Avisar cuando terminen los tráileres',
+    liveAlertMinutes: 'Avisar antes del final',
+    liveAlertOff: 'No',
+    alertTrailersOver: 'Los tráileres han terminado',
+    alertMinutesLeft: 'Quedan {minutes} minutos',
+    liveScreenOnFailed:
+      'No se pudo mantener la pantalla encendida; puede apagarse durante la película',
+    shortLink: 'Copiar enlace corto',
+    shortLinkCopied: '{url} copiado',
+    shortLinksSummary: 'Mis enlaces cortos',
+    shortLinksEmpty: 'Aún no hay enlaces cortos',
+    shortLinkExpires: 'caduca el {date}',
+    theaterSuggestion:
+      'Los avisos sugieren {minutes} min (normalmente {low}–{high}, de {count} avisos)',
+    theaterNoSuggestion: 'Aún no hay suficientes avisos para este cine',
+    trailerReportSummary: 'Avisar cuándo empezó la película',
+    auditoriumLabel: 'Sala',
+    auditoriumPlaceholder: 'p. ej. 7',
+    reportShowtimeLabel: 'Hora anunciada',
+    reportFeatureStartLabel: 'La película empezó a las',
+    trailerReportNote: 'Para el cine y la fecha de arriba.',
+    report: 'Enviar',
+    reportThanks: '¡Gracias! Los tráileres duraron {minutes} min.',
+    searching: 'Buscando la película...',
+    movieListSummary: 'Ver la cartelera',
+    movieListType: 'Lista',
+    nowPlaying: 'En cartelera',
+    upcoming: 'Próximamente',
+    sortLabel: 'Ordenar',
+    sortEndsEarliest: 'Las que terminan antes primero',
+    sortEndsLatest: 'Las que terminan más tarde primero',
+    sortTitle: 'Título (A–Z)',
+    loadMore: 'Cargar más',
+    movieListEnds: '{minutes} min · termina a las {time}',
+    runtimeUnknown: 'Duración desconocida',
+    tvShowLabel: 'Serie',
+    tvShowPlaceholder: 'Escribe el título de la serie...',
+    findShow: 'Buscar',
+    seasonLabel: 'Temporada',
+    episodeFromLabel: 'Desde el episodio',
+    episodeToLabel: 'Hasta el episodio',
+    episodeName: '{number}. {name}',
+    skipLabel: 'Intro/resumen omitido',
+    skipUnit: '(minutos por episodio)',
+    episodeGapLabel: 'Pausa entre episodios',
+    bingeRange: '{season} · Episodios {from}–{to}',
+    episodeTimes: 'Empieza {start} • Termina {end}',
+    bingeEndTime: 'Fin estimado',
+    dataProvidedBy: 'Datos proporcionados por',
+    lightMode: 'Cambiar al modo claro',
+    darkMode: 'Cambiar al modo oscuro',
+    movieN: 'Película {position}',
+    unknownYear: 'Año desconocido',
+    runtimeMinutes: '{minutes} min',
+    runtimeFrom: 'duración según {provider}',
+    viewerTime: '{time} en tu hora',
+    breakMinutes: 'Descanso de {minutes} min',
+    planTimes: 'Sesión {showtime} • Inicio est. {start} • Final est. {end}',
+    deadlineBestListed: 'Última sesión de la lista que termina antes de las {deadline}: {showtime}',
+    showtimeColumn: 'Sesión',
+    showingPast: 'Ya ha empezado',
+    showingLate: 'Termina después de las {cutoff}',
+    showingsCutoffNote: '{count} de {total} sesiones terminan antes de las {cutoff}',
+    deadlineLatestStart: 'Empieza como muy tarde a esta hora para salir antes de las {deadline}',
+    showtimeFits: '{showtime} → termina ~{end} ✓',
+    showtimeTooLate: '{showtime} → termina ~{end} ✗ demasiado tarde',
+    candidatesHeading: 'Varias películas coinciden con «{title}». ¿Cuál es?',
+    rateLimited: 'TMDB está limitando las solicitudes, inténtalo de nuevo en breve',
+    rateLimitedSeconds: 'TMDB está limitando las solicitudes, inténtalo de nuevo en {seconds} s',
+    errorProfileName: 'Escribe un nombre de perfil',
+    errorProfileMinutes: 'Escribe entre 0 y {max} minutos de tráileres',
+    errorDefaultStartTime: 'Escribe una hora de inicio predeterminada válida',
+    errorSavePreferences: 'No se pudieron guardar las preferencias',
+    errorShortLink: 'No se pudo crear el enlace corto',
+    errorShortLinks: 'No se pudieron cargar tus enlaces cortos',
+    errorDeleteShortLink: 'No se pudo eliminar el enlace corto',
+    errorReportTheater: 'Introduce primero el cine',
+    errorReportTimes: 'Introduce la hora anunciada y cuándo empezó la película',
+    errorReportTooLate:
+      'La película debe empezar como mucho {max} minutos después de la hora anunciada',
+    errorTrailerReport: 'No se pudo guardar el aviso',
+    errorTheaterSuggestion: 'No se pudieron cargar los avisos de este cine',
+    errorTitle: 'Escribe el título de una película',
+    errorDate: 'Selecciona una fecha',
+    errorStartTime: 'Selecciona una hora de inicio',
+    errorDeadline: 'Selecciona a qué hora necesitas salir',
+    errorShowtimes: 'Pega al menos una sesión, p. ej. 16:20 19:30 22:40',
+    errorGap: 'Escribe un descanso de entre 0 y {max} minutos',
+    errorOuting:
+      'Los tiempos de viaje deben ser minutos enteros hasta {maxTravel}, y llegar antes hasta {maxMargin}',
+    errorMovieInfo: 'No se encontró información de la película',
+    errorSearch: 'No se pudieron buscar películas',
+    errorNoMatches: 'No se encontraron películas con ese título',
+    errorNoImdbMatch: 'No se encontró ninguna película con ese ID de IMDb',
+    errorDetails: 'No se pudieron obtener los detalles de la película',
+    errorMovieList: 'No se pudo cargar la lista de películas',
+    errorShowTitle: 'Escribe el título de una serie',
+    errorShowSearch: 'No se pudieron buscar series',
+    errorNoShows: 'No se encontraron series con ese título',
+    errorShowDetails: 'No se pudieron obtener los detalles de la serie',
+    errorPickShow: 'Busca y elige una serie y una temporada',
+    errorEpisodeRange: 'El último episodio no puede ir antes del primero',
+    errorSkip: 'Introduce minutos omitidos entre 0 y {max}',
+    errorEpisodeRuntime: 'No hay información de duración para el episodio {number}',
+    errorRuntime: 'La duración de esta película no está disponible',
+    errorRuntimeFor: 'La duración de {title} no está disponible',
+    calendarTrailers: 'Tráileres: {start} – {end}',
+    calendarFeature: 'Película: {start} – {end} ({minutes} min)',
+    previewDescription: 'Sesión {showtime} · termina ~{end}',
+  },
+  fr: {
+    movieTitle: 'Titre du film',
+    movieTitlePlaceholder: 'Saisissez le titre du film...',
+    suggestedMovies: 'Films suggérés',
+    addMovie: '+ Ajouter un autre film',
+    gapLabel: 'Pause entre les films',
+    minutesUnit: '(minutes)',
+    optionalUnit: '(facultatif)',
+    modeLabel: 'Calculer',
+    modeStart: 'L’heure de fin du film',
+    modeDeadline: 'La dernière séance pour sortir à temps',
+    modeShowtimes: 'Fin de chaque séance',
+    modeTv: 'Quand finit le marathon de série',
+    dateLabel: 'Date',
+    startTimeLabel: 'Heure de la séance',
+    deadlineLabel: 'Sortie avant',
+    showtimesLabel: 'Séances à vérifier',
+    showtimesPlaceholder: 'ex. 16:20 19:30 22:40',
+    bufferLabel: 'Durée des bandes-annonces',
+    theaterLabel: 'Cinéma',
+    theaterPlaceholder: 'ex. Le Grand Rex',
+    profilesSummary: 'Profils de bandes-annonces',
+    profileNameLabel: 'Nom du profil',
+    profileNamePlaceholder: 'Cinéma, ex. Pathé Dolby',
+    profileMinutesLabel: 'Minutes de bandes-annonces',
+    profileMinutesPlaceholder: 'Minutes',
+    profilesGroup: 'Profils',
+    profileLabel: '{name} – {minutes} min',
+    save: 'Enregistrer',
+    delete: 'Supprimer',
+    remove: 'Retirer',
+    preferencesSummary: 'Préférences',
+    prefBufferLabel: 'Durée des bandes-annonces par défaut',
+    prefStartTimeLabel: 'Heure de séance par défaut',
+    prefClockLabel: 'Horloge',
+    clockAuto: 'Selon la langue',
+    clock12h: '12 heures',
+    clock24h: '24 heures',
+    outingSummary: 'Planifier toute la sortie',
+    travelLabel: 'Trajet vers le cinéma (min)',
+    marginLabel: 'Arriver en avance pour billets et snacks (min)',
+    homeLabel: 'Trajet retour (min)',
+    calculate: 'Calculer',
+    latestShowtime: 'Dernière séance',
+    estStartTime: 'Début estimé',
+    estEndTime: 'Fin estimée',
+    outingLeave: 'Partir à',
+    outingArrive: 'Arriver à',
+    outingShowtime: 'Séance',
+    outingFeatureStart: 'Début du film',
+    outingFeatureEnd: 'Fin du film',
+    outingHome: 'À la maison à',
+    planEndTime: 'Fin estimée du dernier film',
+    addToCalendar: 'Ajouter au calendrier',
+    liveMode: 'Je suis au cinéma',
+    liveTrailersLeft: 'Fin des bandes-annonces dans',
+    liveMovieLeft: 'Fin du film dans',
+    liveEnded: 'Le film est terminé',
+    liveEndsAt: 'Fin {time}',
+    liveTrailersEnded: 'Bandes-annonces terminées',
+    liveExit: 'Quitter',
+    liveAlertTrailers: 'Alerter à la fin des bandes-annonces',
+    liveAlertMinutes: 'Alerter avant la fin',
+    liveAlertOff: 'Non',
+    alertTrailersOver: 'Les bandes-annonces sont terminées',
+    alertMinutesLeft: 'Encore {minutes} minutes',
+    liveScreenOnFailed: "Impossible de garder l'écran allumé ; il peut s'éteindre pendant le film",
+    shortLink: 'Copier le lien court',
+    shortLinkCopied: '{url} copié',
+    shortLinksSummary: 'Mes liens courts',
+    shortLinksEmpty: 'Aucun lien court pour l’instant',
+    shortLinkExpires: 'expire le {date}',
+    theaterSuggestion:
+      'Les signalements suggèrent {minutes} min (en général {low}–{high}, sur {count} signalements)',
+    theaterNoSuggestion: 'Pas encore assez de signalements pour ce cinéma',
+    trailerReportSummary: 'Signaler le début du film',
+    auditoriumLabel: 'Salle',
+    auditoriumPlaceholder: 'ex. 7',
+    reportShowtimeLabel: 'Horaire annoncé',
+    reportFeatureStartLabel: 'Le film a commencé à',
+    trailerReportNote: 'Pour le cinéma et la date ci-dessus.',
+    report: 'Signaler',
+    reportThanks: 'Merci ! Les bandes-annonces ont duré {minutes} min.',
+    searching: 'Recherche du film...',
+    movieListSummary: 'Parcourir l’affiche',
+    movieListType: 'Liste',
+    nowPlaying: 'À l’affiche',
+    upcoming: 'Prochainement',
+    sortLabel: 'Trier',
+    sortEndsEarliest: 'Fin la plus tôt d’abord',
+    sortEndsLatest: 'Fin la plus tard d’abord',
+    sortTitle: 'Titre (A–Z)',
+    loadMore: 'Charger plus',
+    movieListEnds: '{minutes} min · fin à {time}',
+    runtimeUnknown: 'Durée inconnue',
+    tvShowLabel: 'Série',
+    tvShowPlaceholder: 'Saisissez le titre de la série...',
+    findShow: 'Rechercher',
+    seasonLabel: 'Saison',
+    episodeFromLabel: 'De l’épisode',
+    episodeToLabel: 'À l’épisode',
+    episodeName: '{number}. {name}',
+    skipLabel: 'Générique/résumé passé',
+    skipUnit: '(minutes par épisode)',
+    episodeGapLabel: 'Pause entre les épisodes',
+    bingeRange: '{season} · Épisodes {from}–{to}',
+    episodeTimes: 'Début {start} • Fin {end}',
+    bingeEndTime: 'Fin estimée',
+    dataProvidedBy: 'Données fournies par',
+    lightMode: 'Passer en mode clair',
+    darkMode: 'Passer en mode sombre',
+    movieN: 'Film {position}',
+    unknownYear: 'Année inconnue',
+    runtimeMinutes: '{minutes} min',
+    runtimeFrom: 'durée selon {provider}',
+    viewerTime: '{time} chez vous',
+    breakMinutes: 'Pause de {minutes} min',
+    planTimes: 'Séance {showtime} • Début est. {start} • Fin est. {end}',
+    deadlineBestListed: 'Dernière séance de la liste qui finit avant {deadline} : {showtime}',
+    showtimeColumn: 'Séance',
+    showingPast: 'Déjà commencée',
+    showingLate: 'Finit après {cutoff}',
+    showingsCutoffNote: '{count} séances sur {total} finissent avant {cutoff}',
+    deadlineLatestStart: 'Commencez au plus tard à cette heure pour sortir avant {deadline}',
+    showtimeFits: '{showtime} → fin vers {end} ✓',
+    showtimeTooLate: '{showtime} → fin vers {end} ✗ trop tard',
+    candidatesHeading: 'Plusieurs films correspondent à « {title} ». Lequel ?',
+    rateLimited: 'TMDB limite les requêtes, réessayez dans un instant',
+    rateLimitedSeconds: 'TMDB limite les requêtes, réessayez dans {seconds} s',
+    errorProfileName: 'Veuillez saisir un nom de profil',
+    errorProfileMinutes: 'Veuillez saisir entre 0 et {max} minutes de bandes-annonces',
+    errorDefaultStartTime: 'Veuillez saisir une heure de séance par défaut valide',
+    errorSavePreferences: 'Impossible d’enregistrer les préférences',
+    errorShortLink: 'Impossible de créer le lien court',
+    errorShortLinks: 'Impossible de charger vos liens courts',
+    errorDeleteShortLink: 'Impossible de supprimer le lien court',
+    errorReportTheater: "Veuillez d'abord saisir le cinéma",
+    errorReportTimes: "Veuillez saisir l'horaire annoncé et le début du film",
+    errorReportTooLate: "Le film doit commencer au plus {max} minutes après l'horaire annoncé",
+    errorTrailerReport: "Échec de l'enregistrement du signalement",
+    errorTheaterSuggestion: 'Impossible de charger les signalements de ce cinéma',
+    errorTitle: 'Veuillez saisir un titre de film',
+    errorDate: 'Veuillez choisir une date',
+    errorStartTime: 'Veuillez choisir une heure de séance',
+    errorDeadline: 'Veuillez indiquer l’heure à laquelle vous devez sortir',
+    errorShowtimes: 'Collez au moins une séance, par ex. 16:20 19:30 22:40',
+    errorGap: 'Veuillez saisir une pause entre 0 et {max} minutes',
+    errorOuting:
+      "Les trajets doivent être des minutes entières jusqu'à {maxTravel}, et l'avance jusqu'à {maxMargin}",
+    errorMovieInfo: 'Impossible de trouver les informations du film',
+    errorSearch: 'La recherche de films a échoué',
+    errorNoMatches: 'Aucun film trouvé avec ce titre',
+    errorNoImdbMatch: 'Aucun film trouvé pour cet identifiant IMDb',
+    errorDetails: 'Impossible d’obtenir les détails du film',
+    errorMovieList: 'Impossible de charger la liste des films',
+    errorShowTitle: 'Veuillez saisir le titre d’une série',
+    errorShowSearch: 'La recherche de séries a échoué',
+    errorNoShows: 'Aucune série trouvée avec ce titre',
+    errorShowDetails: 'Impossible d’obtenir les détails de la série',
+    errorPickShow: 'Veuillez rechercher une série et choisir une saison',
+    errorEpisodeRange: 'Le dernier épisode ne peut pas précéder le premier',
+    errorSkip: 'Veuillez saisir des minutes passées entre 0 et {max}',
+    errorEpisodeRuntime: 'Durée non disponible pour l’épisode {number}',
+    errorRuntime: 'La durée de ce film n’est pas disponible',
+    errorRuntimeFor: 'La durée de {title} n’est pas disponible',
+    calendarTrailers: 'Bandes-annonces : {start} – {end}',
+    calendarFeature: 'Film : {start} – {end} ({minutes} min)',
+    previewDescription: 'Séance {showtime} · fin vers {end}',
+  },
+};
+
+// Canonicalizes a BCP 47 tag such as "de-de" or "pt-BR", or returns null when
+// it isn't one
+export function resolveLocale(tag) {
+  if (!tag) {
+    return null;
+  }
+  try {
+    return Intl.getCanonicalLocales(tag)[0] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// Picks the UI locale: a valid lang URL parameter wins over the browser's
+// language, and English is used when neither is usable
+export function pickLocale(langParam, browserLanguage) {
+  return resolveLocale(langParam) ?? resolveLocale(browserLanguage) ?? DEFAULT_LOCALE;
+}
+
+// Looks up a message for a locale and fills in its {placeholders}
+export function translate(locale, key, params = {}) {
+  const { language } = new Intl.Locale(locale);
+  const template = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder,
+  );
+}
+
+// Maps a locale to TMDB's { language, region } parameters, e.g. "de-DE" to
+// { language: 'de-DE', region: 'DE' }. Parts TMDB can't take (three-letter
+// languages, numeric regions such as "es-419") are left null.
+export function tmdbLocale(locale) {
+  const { language, region = null } = new Intl.Locale(locale);
+  const validRegion = region && REGION_REGEX.test(region) ? region : null;
+  const tag = validRegion ? `${language}-${validRegion}` : language;
+  return { language: LANGUAGE_REGEX.test(tag) ? tag : null, region: validRegion };
+}
@@ -1,238 +1,2519 @@
-// Validation constants
-export const VALID_BUFFER_VALUES = ['0', '5', '10', '15', '20', '25', '30'];
-export const DEFAULT_START_TIME = '12:00';
-export const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
-
-// Picks the search result whose release year is closest to the current year,
-// preferring newer movies on ties. Falls back to the first result when no
-// result has a release date.
-export function pickBestMatch(results, currentYear) {
-  const datedMovies = results
-    .filter((movie) => movie.release_date)
-    .map((movie) => ({
-      ...movie,
-      releaseYear: parseInt(movie.release_date.split('-')[0]),
-    }))
-    .sort((a, b) => {
-      const aDiff = Math.abs(currentYear - a.releaseYear);
-      const bDiff = Math.abs(currentYear - b.releaseYear);
-      if (aDiff !== bDiff) {
-        return aDiff - bDiff;
-      }
-      return b.releaseYear - a.releaseYear;
-    });
-
-  return datedMovies[0] || results[0];
+import {
+  VALID_BUFFER_VALUES,
+  DEFAULT_BUFFER_VALUE,
+  MAX_BUFFER_MINUTES,
+  TIME_REGEX,
+  MAX_PLAN_MOVIES,
+  DEFAULT_GAP_MINUTES,
+  MAX_GAP_MINUTES,
+  MAX_CANDIDATES,
+  MAX_SKIP_MINUTES,
+  MAX_TRAVEL_MINUTES,
+  MAX_ARRIVAL_MARGIN_MINUTES,
+  DEFAULT_EPISODE_GAP_MINUTES,
+  DEFAULT_PREFERENCES,
+  parseMovieParams,
+  parsePreferences,
+  parseGapParam,
+  parseSkipParam,
+  parseOutingParam,
+  findAmbiguousMatches,
+  parseMovieInput,
+  slugify,
+  slugifyTheaterName,
+  calculateTimes,
+  calculateOuting,
+  calculatePlan,
+  calculateBinge,
+  calculateLatestStart,
+  parseShowtimes,
+  checkShowtimes,
+  listShowings,
+  trailerMinutes,
+  isValidDate,
+  isValidTimeZone,
+  todayInTimeZone,
+  timeInTimeZone,
+  zonedDateTime,
+} from './calculator.js';
+import { DEFAULT_LOCALE, pickLocale, translate, tmdbLocale } from './i18n.js';
+
+export const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p/w92';
+export const OVERVIEW_SNIPPET_LENGTH = 140;
+export const PROFILES_STORAGE_KEY = 'bufferProfiles';
+export const MAX_PROFILE_ID_LENGTH = 32;
+export const SUGGESTION_DEBOUNCE_MS = 250;
+export const MIN_SUGGESTION_QUERY_LENGTH = 2;
+export const SUGGESTION_CACHE_SIZE = 50;
+export const LIVE_TICK_MS = 1000;
+// Display names of the Worker's runtime providers (src/providers.js)
+const RUNTIME_PROVIDER_NAMES = { tmdb: 'TMDB', omdb: 'OMDb' };
+
+// Turns a profile name such as "AMC Dolby" into the id used in URLs ("amc-dolby")
+export function slugifyProfileName(name) {
+  return slugify(name, MAX_PROFILE_ID_LENGTH);
 }
 
-export function calculateTimes(startTime, bufferMinutes, runtime) {
-  const [startHours, startMinutes] = startTime.split(':').map(Number);
-  const startDate = new Date();
-  startDate.setHours(startHours, startMinutes, 0, 0);
+// Reads saved buffer profiles, dropping anything malformed so a corrupted
+// localStorage entry can't break the form
+export function parseBufferProfiles(json) {
+  let profiles;
+  try {
+    profiles = JSON.parse(json);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(profiles)) {
+    return [];
+  }
+
+  return profiles.filter(
+    (profile) =>
+      profile &&
+      typeof profile.name === 'string' &&
+      profile.name.trim() &&
+      slugifyProfileName(profile.name) === profile.id &&
+      Number.isInteger(profile.minutes) &&
+      profile.minutes >= 0 &&
+      profile.minutes <= MAX_BUFFER_MINUTES,
+  );
+}
 
-  const estStartDate = new Date(startDate.getTime() + bufferMinutes * 60000);
-  const estEndDate = new Date(estStartDate.getTime() + runtime * 60000);
+export function formatProfileLabel(profile, locale = DEFAULT_LOCALE) {
+  return translate(locale, 'profileLabel', { name: profile.name, minutes: profile.minutes });
+}
 
-  return { estStartDate, estEndDate };
+export function formatOverviewSnippet(overview, maxLength = OVERVIEW_SNIPPET_LENGTH) {
+  const text = (overview || '').trim();
+  if (text.length <= maxLength) {
+    return text;
+  }
+  return `${text.slice(0, maxLength).replace(/\s+\S*$/, '')}…`;
 }
 
-export function formatTime(date) {
-  return date.toLocaleTimeString([], {
+// clock is one of CLOCK_FORMATS, where 'auto' uses the locale's own clock;
+// timeZone and locale default to the browser's
+export function formatTime(date, clock = '12h', timeZone = undefined, locale = undefined) {
+  return date.toLocaleTimeString(locale, {
     hour: '2-digit',
     minute: '2-digit',
-    hour12: true,
+    hour12: clock === 'auto' ? undefined : clock === '12h',
+    timeZone,
+  });
+}
+
+// Describes an instant for a showing ({ date, timeZone }) as { time, dayLabel,
+// viewerTime }: the time in the theater's zone, the date when that falls after
+// the showing's date (e.g. a late show ending after midnight), and the
+// viewer's own time when their clock reads differently.
+export function describeShowingTime(
+  date,
+  showing,
+  viewerTimeZone,
+  clock = '12h',
+  locale = undefined,
+) {
+  const time = formatTime(date, clock, showing.timeZone, locale);
+  const dayLabel =
+    todayInTimeZone(date, showing.timeZone) > showing.date
+      ? date.toLocaleDateString(locale, {
+          weekday: 'short',
+          month: 'short',
+          day: 'numeric',
+          timeZone: showing.timeZone,
+        })
+      : null;
+  const viewerTime = formatTime(date, clock, viewerTimeZone, locale);
+
+  return { time, dayLabel, viewerTime: viewerTime === time ? null : viewerTime };
+}
+
+// Joins the parts of describeShowingTime for inline text, e.g.
+// "12:45 AM (Sun, Oct 19) · 9:45 PM your time"
+export function formatShowingTime({ time, dayLabel, viewerTime }, locale = DEFAULT_LOCALE) {
+  return [
+    dayLabel ? `${time} (${dayLabel})` : time,
+    viewerTime ? translate(locale, 'viewerTime', { time: viewerTime }) : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+// Builds the message shown when the Worker passes on a TMDB 429. retryAfter is
+// the Retry-After header: delay seconds or an HTTP date.
+export function formatRateLimitMessage(retryAfter, now = Date.now(), locale = DEFAULT_LOCALE) {
+  let seconds = Number(retryAfter);
+  if (retryAfter && Number.isNaN(seconds)) {
+    seconds = (Date.parse(retryAfter) - now) / 1000;
+  }
+  if (!retryAfter || Number.isNaN(seconds)) {
+    return translate(locale, 'rateLimited');
+  }
+  return translate(locale, 'rateLimitedSeconds', { seconds: Math.max(1, Math.ceil(seconds)) });
+}
+
+// movie is an EndTimes v2 movie ({ year, certification, ... })
+export function formatMovieMeta(movie, runtime, locale = DEFAULT_LOCALE) {
+  const parts = [
+    `(${movie.year ?? translate(locale, 'unknownYear')})`,
+    translate(locale, 'runtimeMinutes', { minutes: runtime }),
+  ];
+  // Runtimes filled in when TMDB had none say where they came from
+  const provider = movie.runtimeProvider;
+  if (provider && provider !== 'tmdb') {
+    parts.push(
+      translate(locale, 'runtimeFrom', { provider: RUNTIME_PROVIDER_NAMES[provider] ?? provider }),
+    );
+  }
+  if (movie.certification) {
+    parts.push(movie.certification);
+  }
+  return parts.join(' • ');
+}
+
+// Normalizes typed text into the key suggestions are fetched and cached under,
+// so "Dune " and "dune" share one request
+export function suggestionQueryKey(text) {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// In-memory cache of suggestion lists by query key, evicting the least
+// recently used entry once maxEntries is reached
+export function createSuggestionCache(maxEntries = SUGGESTION_CACHE_SIZE) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) {
+        return undefined;
+      }
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+// Moves the highlighted suggestion by delta, wrapping at either end. -1 means
+// nothing is highlighted, so the first step lands on the first or last item.
+export function moveActiveIndex(current, delta, count) {
+  if (count === 0) {
+    return -1;
+  }
+  if (current === -1) {
+    return delta > 0 ? 0 : count - 1;
+  }
+  return (((current + delta) % count) + count) % count;
+}
+
+// Orders list browser entries ({ title, estEndDate }) by end time, earliest
+// ('ends') or latest ('ends-desc') first, or by title ('title'). Entries
+// without an end time (unknown runtime) sort after the rest by title.
+export function sortMovieList(entries, sort, locale = DEFAULT_LOCALE) {
+  const byTitle = (a, b) => a.title.localeCompare(b.title, locale);
+  const byEnd = (a, b) =>
+    sort === 'ends-desc' ? b.estEndDate - a.estEndDate : a.estEndDate - b.estEndDate;
+
+  return [...entries].sort((a, b) => {
+    if (sort === 'title') {
+      return byTitle(a, b);
+    }
+    if (!a.estEndDate || !b.estEndDate) {
+      return !a.estEndDate - !b.estEndDate || byTitle(a, b);
+    }
+    return byEnd(a, b) || byTitle(a, b);
   });
 }
 
-export function formatMovieMeta(movie, runtime) {
-  const year = movie.release_date ? movie.release_date.split('-')[0] : 'Unknown year';
-  return `(${year}) • ${runtime} min`;
+// Where a live showing ({ estStartDate, estEndDate }) stands at now: the
+// phase ('trailers', 'feature' or 'ended'), the milliseconds until the
+// trailers or the feature end, and the fraction of the runtime watched
+export function describeLiveProgress(now, { estStartDate, estEndDate }) {
+  if (now < estStartDate) {
+    return { phase: 'trailers', remainingMs: estStartDate - now, progress: 0 };
+  }
+  if (now < estEndDate) {
+    return {
+      phase: 'feature',
+      remainingMs: estEndDate - now,
+      progress: (now - estStartDate) / (estEndDate - estStartDate),
+    };
+  }
+  return { phase: 'ended', remainingMs: 0, progress: 1 };
+}
+
+// Formats a countdown as M:SS, or H:MM:SS from an hour up. Partial seconds
+// round up so 0:00 shows exactly when the time is reached.
+export function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+// Returns the live alerts whose time passed after since and by now:
+// 'trailers' when the trailers end and 'remaining' minutesLeft before the end
+// (0 turns it off). Checking the interval between ticks fires each alert
+// once, and never for times already past when live mode starts.
+export function dueLiveAlerts(since, now, { estStartDate, estEndDate }, { trailers, minutesLeft }) {
+  const alerts = [];
+  if (trailers) {
+    alerts.push({ id: 'trailers', at: estStartDate });
+  }
+  if (minutesLeft > 0) {
+    alerts.push({ id: 'remaining', at: new Date(estEndDate.getTime() - minutesLeft * 60000) });
+  }
+  return alerts.filter(({ at }) => at > since && at <= now).map(({ id }) => id);
 }
 
 class MovieEndTimeCalculator {
-  constructor() {
+  constructor(locale) {
     this.baseUrl = '/api';
+    this.locale = locale;
 
+    this.movieFields = document.getElementById('movie-fields');
     this.movieTitleInput = document.getElementById('movie-title');
     this.startTimeInput = document.getElementById('start-time');
+    this.startTimeGroup = document.getElementById('start-time-group');
+    this.showDateInput = document.getElementById('show-date');
+    this.timeZoneLabel = document.getElementById('time-zone-label');
+    this.modeSelect = document.getElementById('mode-select');
+    this.deadlineGroup = document.getElementById('deadline-group');
+    this.deadlineInput = document.getElementById('deadline-time');
+    this.deadlineOptional = document.getElementById('deadline-optional');
+    this.showtimesGroup = document.getElementById('showtimes-group');
+    this.showtimesInput = document.getElementById('showtimes-input');
+    this.showtimesOptional = document.getElementById('showtimes-optional');
+    this.theaterGroup = document.getElementById('theater-group');
+    this.theaterNameInput = document.getElementById('theater-name');
+    this.theaterOptions = document.getElementById('theater-options');
+    this.theaterSuggestion = document.getElementById('theater-suggestion');
+    this.bufferGroup = document.getElementById('buffer-group');
     this.bufferTimeSelect = document.getElementById('buffer-time');
+    this.profilesDetails = document.getElementById('profiles');
+    this.profileList = document.getElementById('profile-list');
+    this.profileNameInput = document.getElementById('profile-name');
+    this.profileMinutesInput = document.getElementById('profile-minutes');
+    this.saveProfileBtn = document.getElementById('save-profile-btn');
+    this.outingDetails = document.getElementById('outing');
+    this.travelTimeInput = document.getElementById('travel-time');
+    this.marginTimeInput = document.getElementById('margin-time');
+    this.homeTimeInput = document.getElementById('home-time');
+    this.preferencesDetails = document.getElementById('preferences');
+    this.prefBufferSelect = document.getElementById('pref-buffer');
+    this.prefClockSelect = document.getElementById('pref-clock');
+    this.prefStartTimeInput = document.getElementById('pref-start-time');
+    this.savePreferencesBtn = document.getElementById('save-preferences-btn');
+    this.gapTimeInput = document.getElementById('gap-time');
+    this.gapGroup = document.getElementById('gap-group');
+    this.extraMoviesDiv = document.getElementById('extra-movies');
+    this.addMovieBtn = document.getElementById('add-movie-btn');
+    this.tvFields = document.getElementById('tv-fields');
+    this.tvShowInput = document.getElementById('tv-show');
+    this.findShowBtn = document.getElementById('find-show-btn');
+    this.tvShowResults = document.getElementById('tv-show-results');
+    this.tvSeasonSelect = document.getElementById('tv-season');
+    this.tvEpisodeFromSelect = document.getElementById('tv-episode-from');
+    this.tvEpisodeToSelect = document.getElementById('tv-episode-to');
+    this.tvSkipInput = document.getElementById('tv-skip');
+    this.tvGapInput = document.getElementById('tv-gap');
     this.calculateBtn = document.getElementById('calculate-btn');
     this.resultsDiv = document.getElementById('results');
+    this.resultTimesDiv = document.getElementById('result-times');
+    this.outingTimeline = document.getElementById('outing-timeline');
+    this.planDiv = document.getElementById('plan');
+    this.deadlineDiv = document.getElementById('deadline-results');
+    this.showingsDiv = document.getElementById('showings');
+    this.bingeDiv = document.getElementById('binge');
     this.loadingDiv = document.getElementById('loading');
     this.errorDiv = document.getElementById('error');
+    this.candidatesDiv = document.getElementById('candidates');
+    this.suggestionsList = document.getElementById('movie-suggestions');
+    this.movieListDetails = document.getElementById('movie-list');
+    this.movieListType = document.getElementById('movie-list-type');
+    this.movieListSort = document.getElementById('movie-list-sort');
+    this.movieListItems = document.getElementById('movie-list-items');
+    this.movieListMoreBtn = document.getElementById('movie-list-more');
+    this.calendarLinks = document.querySelectorAll('.calendar-link');
+    this.shortLinkBtns = document.querySelectorAll('.short-link-btn');
+    this.shortLinkOutputs = document.querySelectorAll('.short-link');
+    this.shortLinksDetails = document.getElementById('short-links');
+    this.shortLinkList = document.getElementById('short-link-list');
+    this.trailerReportDetails = document.getElementById('trailer-report');
+    this.reportAuditoriumInput = document.getElementById('report-auditorium');
+    this.reportShowtimeInput = document.getElementById('report-showtime');
+    this.reportFeatureStartInput = document.getElementById('report-feature-start');
+    this.reportBtn = document.getElementById('report-btn');
+    this.reportStatus = document.getElementById('report-status');
+    this.liveBtn = document.getElementById('live-btn');
+    this.livePanel = document.getElementById('live');
+    this.liveTitle = document.getElementById('live-title');
+    this.livePhase = document.getElementById('live-phase');
+    this.liveCountdown = document.getElementById('live-countdown');
+    this.liveProgress = document.getElementById('live-progress');
+    this.liveEnds = document.getElementById('live-ends');
+    this.liveAlert = document.getElementById('live-alert');
+    this.liveAlertTrailersInput = document.getElementById('live-alert-trailers');
+    this.liveAlertMinutesSelect = document.getElementById('live-alert-minutes');
+    this.liveTrailersEndedBtn = document.getElementById('live-trailers-ended-btn');
+    this.liveExitBtn = document.getElementById('live-exit-btn');
 
-    this.populateBufferOptions();
+    // One row per movie in the plan; the first row is the static form field.
+    // selectedMovieId is the TMDB id the user picked (or a shared link pinned)
+    // and is cleared whenever that row's title is edited so a new search runs.
+    this.movieRows = [
+      {
+        titleInput: this.movieTitleInput,
+        bufferSelect: this.bufferTimeSelect,
+        selectedMovieId: null,
+      },
+    ];
+
+    this.profiles = parseBufferProfiles(localStorage.getItem(PROFILES_STORAGE_KEY));
+    // Replaced by the signed-in user's saved preferences once they load
+    this.preferences = DEFAULT_PREFERENCES;
+    // Times are entered and shown in the theater's zone, which is the viewer's
+    // own unless a shared link says otherwise
+    this.viewerTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    this.theaterTimeZone = this.viewerTimeZone;
+    this.showing = null;
+
+    // Type-ahead state for the first title field
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    this.suggestionCache = createSuggestionCache();
+    this.suggestionTimer = null;
+    this.suggestionController = null;
+
+    // Pages of the now playing/upcoming list loaded so far
+    this.movieList = { type: this.movieListType.value, page: 0, totalPages: 0, movies: [] };
+
+    // The TV show picked in TV mode (v2 show with its seasons) and the loaded
+    // season with its episodes
+    this.tv = { show: null, season: null };
+
+    // The single-movie result on screen ({ movie, estStartDate, estEndDate })
+    // and, while live mode runs, its state: the times (re-anchored when the
+    // trailers end early or late), the previous tick, the timer and wake lock
+    this.result = null;
+    this.live = null;
+
+    this.translatePage();
+    this.populateBufferOptions(this.bufferTimeSelect);
+    this.populateBufferOptions(this.prefBufferSelect);
     this.init();
   }
 
-  populateBufferOptions() {
+  t(key, params) {
+    return translate(this.locale, key, params);
+  }
+
+  // Replaces the English text in index.html with the locale's messages.
+  // data-i18n names the message for an element's text and
+  // data-i18n-{attribute} the message for that attribute.
+  translatePage() {
+    document.documentElement.lang = this.locale;
+    document.querySelectorAll('[data-i18n]').forEach((element) => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    ['placeholder', 'aria-label'].forEach((attribute) => {
+      document.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+        element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+      });
+    });
+  }
+
+  // TMDB's language and region for the locale, as query parameters
+  tmdbParams(params = {}) {
+    const search = new URLSearchParams(params);
+    Object.entries(tmdbLocale(this.locale)).forEach(([name, value]) => {
+      if (value) {
+        search.set(name, value);
+      }
+    });
+    return search;
+  }
+
+  // Fills a trailer duration dropdown with the built-in steps followed by the
+  // saved profiles. Profile options have "profile:{id}" values; every option
+  // carries its minutes in data-minutes.
+  populateBufferOptions(select) {
+    select.replaceChildren();
+
     VALID_BUFFER_VALUES.forEach((value) => {
       const option = document.createElement('option');
       option.value = value;
       option.textContent = value;
-      if (value === '20') {
+      option.dataset.minutes = value;
+      if (value === DEFAULT_BUFFER_VALUE) {
         option.selected = true;
       }
-      this.bufferTimeSelect.appendChild(option);
+      select.appendChild(option);
+    });
+
+    if (this.profiles.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = this.t('profilesGroup');
+      this.profiles.forEach((profile) => {
+        const option = document.createElement('option');
+        option.value = `profile:${profile.id}`;
+        option.textContent = formatProfileLabel(profile, this.locale);
+        option.dataset.minutes = profile.minutes.toString();
+        option.dataset.profile = profile.id;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    }
+  }
+
+  getBufferSelection(select) {
+    const option = select.selectedOptions[0];
+    return {
+      bufferMinutes: parseInt(option.dataset.minutes),
+      profileId: option.dataset.profile || null,
+    };
+  }
+
+  // Selects a profile if it is saved here, otherwise the minute value, adding
+  // a one-off option for minutes that aren't a built-in step
+  selectBuffer(select, { buffer, profile }) {
+    if (profile && this.profiles.some((saved) => saved.id === profile)) {
+      select.value = `profile:${profile}`;
+      return;
+    }
+    if (!buffer) {
+      return;
+    }
+    if (!VALID_BUFFER_VALUES.includes(buffer)) {
+      const option = document.createElement('option');
+      option.value = buffer;
+      option.textContent = buffer;
+      option.dataset.minutes = buffer;
+      const next = [...select.options].find(
+        (other) => !other.dataset.profile && parseInt(other.value) > parseInt(buffer),
+      );
+      select.insertBefore(option, next ?? select.querySelector('optgroup'));
+    }
+    select.value = buffer;
+  }
+
+  selectDefaultBuffer(select) {
+    this.selectBuffer(select, {
+      buffer: this.preferences.buffer.toString(),
+      profile: this.preferences.profile,
+    });
+  }
+
+  // Rebuilds every dropdown after profiles change, keeping each selection
+  refreshBufferOptions() {
+    const selects = [...this.movieRows.map((row) => row.bufferSelect), this.prefBufferSelect];
+    selects.forEach((select) => {
+      const { bufferMinutes, profileId } = this.getBufferSelection(select);
+      this.populateBufferOptions(select);
+      this.selectBuffer(select, { buffer: bufferMinutes.toString(), profile: profileId });
+    });
+    this.renderProfiles();
+  }
+
+  saveProfiles() {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(this.profiles));
+    this.refreshBufferOptions();
+  }
+
+  handleSaveProfile() {
+    const name = this.profileNameInput.value.trim();
+    const id = slugifyProfileName(name);
+    const minutes = Number(this.profileMinutesInput.value);
+
+    if (!id) {
+      this.showError(this.t('errorProfileName'));
+      return;
+    }
+    if (
+      this.profileMinutesInput.value === '' ||
+      !Number.isInteger(minutes) ||
+      minutes < 0 ||
+      minutes > MAX_BUFFER_MINUTES
+    ) {
+      this.showError(this.t('errorProfileMinutes', { max: MAX_BUFFER_MINUTES }));
+      return;
+    }
+
+    // Saving a name that already exists updates that profile
+    this.profiles = [
+      ...this.profiles.filter((profile) => profile.id !== id),
+      { id, name, minutes },
+    ].sort((a, b) => a.name.localeCompare(b.name));
+    this.saveProfiles();
+    this.hideError();
+    this.profileNameInput.value = '';
+    this.profileMinutesInput.value = '';
+  }
+
+  deleteProfile(id) {
+    this.profiles = this.profiles.filter((profile) => profile.id !== id);
+    this.saveProfiles();
+  }
+
+  renderProfiles() {
+    this.profileList.replaceChildren();
+    this.profiles.forEach((profile) => {
+      // Safely set profile names to prevent XSS
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = `${formatProfileLabel(profile, this.locale)} (profile=${profile.id})`;
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'remove-movie-btn';
+      deleteBtn.textContent = this.t('delete');
+      deleteBtn.addEventListener('click', () => this.deleteProfile(profile.id));
+      item.append(label, deleteBtn);
+      this.profileList.appendChild(item);
     });
   }
 
-  init() {
+  async init() {
     this.calculateBtn.addEventListener('click', () => this.handleCalculate());
+    this.addMovieBtn.addEventListener('click', () => this.addMovieRow().titleInput.focus());
+    this.modeSelect.addEventListener('change', () => this.updateModeControls());
+    this.saveProfileBtn.addEventListener('click', () => this.handleSaveProfile());
+    this.savePreferencesBtn.addEventListener('click', () => this.handleSavePreferences());
+    this.renderProfiles();
+    this.watchMovieList();
+    this.watchTv();
+    this.watchLive();
+    this.watchShortLinks();
+    this.watchTheaters();
 
     // Handle Enter key on any form field
-    const formFields = [this.movieTitleInput, this.startTimeInput, this.bufferTimeSelect];
-    formFields.forEach((field) => {
-      field.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-          this.handleCalculate();
-        }
-      });
-    });
+    const formFields = [
+      this.showDateInput,
+      this.startTimeInput,
+      this.deadlineInput,
+      this.gapTimeInput,
+      this.travelTimeInput,
+      this.marginTimeInput,
+      this.homeTimeInput,
+    ];
+    formFields.forEach((field) => this.submitOnEnter(field));
+    // Registered first so picking a suggestion with Enter doesn't also submit
+    this.watchSuggestions();
+    this.watchMovieRow(this.movieRows[0]);
 
+    // Preferences fill in the defaults; anything in the URL still wins
+    await this.loadPreferences();
     this.setDefaultTime();
+    this.selectDefaultBuffer(this.bufferTimeSelect);
+    this.gapTimeInput.value = DEFAULT_GAP_MINUTES.toString();
+    this.tvGapInput.value = DEFAULT_EPISODE_GAP_MINUTES.toString();
     this.loadFromUrlParams();
+    this.loadTheaters();
     this.movieTitleInput.focus();
   }
 
-  setDefaultTime() {
-    this.startTimeInput.value = DEFAULT_START_TIME;
+  submitOnEnter(field) {
+    field.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.defaultPrevented) {
+        this.handleCalculate();
+      }
+    });
   }
 
-  loadFromUrlParams() {
-    const urlParams = new URLSearchParams(window.location.search);
+  watchMovieRow(row) {
+    this.submitOnEnter(row.titleInput);
+    this.submitOnEnter(row.bufferSelect);
+    row.titleInput.addEventListener('input', () => {
+      row.selectedMovieId = null;
+    });
+  }
 
-    const movie = urlParams.get('movie');
-    const time = urlParams.get('time');
-    const buffer = urlParams.get('buffer');
-    const auto = urlParams.get('auto');
+  watchSuggestions() {
+    this.movieTitleInput.addEventListener('input', () => {
+      // Drop any in-flight request for text the user has since changed
+      this.suggestionController?.abort();
+      clearTimeout(this.suggestionTimer);
+      this.suggestionTimer = setTimeout(() => this.updateSuggestions(), SUGGESTION_DEBOUNCE_MS);
+    });
+    this.movieTitleInput.addEventListener('keydown', (e) => this.handleSuggestionKey(e));
+    this.movieTitleInput.addEventListener('blur', () => this.hideSuggestions());
+  }
 
-    if (movie) {
-      this.movieTitleInput.value = movie;
+  async updateSuggestions() {
+    const key = suggestionQueryKey(this.movieTitleInput.value);
+    // Pasted IMDb ids and links aren't titles to suggest for
+    const isTitle = parseMovieInput(key, new Date().getFullYear()).title !== undefined;
+    if (key.length < MIN_SUGGESTION_QUERY_LENGTH || !isTitle) {
+      this.hideSuggestions();
+      return;
     }
 
-    // Time validation: Check format first, then set value
-    if (time && TIME_REGEX.test(time)) {
-      this.startTimeInput.value = time;
+    const cached = this.suggestionCache.get(key);
+    if (cached) {
+      this.showSuggestions(cached);
+      return;
     }
 
-    // Buffer validation: Convert to integer, validate type and range, then set value
-    if (buffer) {
-      const bufferInt = parseInt(buffer);
-      const bufferStr = bufferInt.toString();
-      if (!isNaN(bufferInt) && VALID_BUFFER_VALUES.includes(bufferStr)) {
-        this.bufferTimeSelect.value = bufferStr;
+    const controller = new AbortController();
+    this.suggestionController = controller;
+    try {
+      const response = await fetch(
+        `${this.baseUrl}/v2/suggest?${this.tmdbParams({ query: key })}`,
+        { signal: controller.signal },
+      );
+      // Suggestions are a convenience, so failures just leave the list closed
+      if (!response.ok) {
+        this.hideSuggestions();
+        return;
+      }
+      const { suggestions } = await response.json();
+      this.suggestionCache.set(key, suggestions);
+      if (suggestionQueryKey(this.movieTitleInput.value) === key) {
+        this.showSuggestions(suggestions);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this.hideSuggestions();
       }
     }
+  }
 
-    if (movie && auto === 'true') {
-      this.handleCalculate();
+  showSuggestions(suggestions) {
+    if (suggestions.length === 0 || document.activeElement !== this.movieTitleInput) {
+      this.hideSuggestions();
+      return;
     }
-  }
 
-  updateUrlParams(movieTitle, startTime, bufferMinutes) {
-    const url = new URL(window.location);
-    url.searchParams.set('movie', movieTitle);
-    url.searchParams.set('time', startTime);
-    url.searchParams.set('buffer', bufferMinutes.toString());
-    url.searchParams.delete('auto');
+    this.suggestions = suggestions;
+    this.activeSuggestion = -1;
+    this.suggestionsList.replaceChildren();
+    suggestions.forEach((movie, index) => {
+      const item = document.createElement('li');
+      item.id = `movie-suggestion-${index}`;
+      item.className = 'suggestion';
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', 'false');
+      // mousedown would blur the input and close the list before the click lands
+      item.addEventListener('mousedown', (e) => e.preventDefault());
+      item.addEventListener('click', () => this.pickMovie(movie));
 
-    window.history.replaceState({}, '', url);
+      if (movie.posterPath) {
+        const poster = document.createElement('img');
+        poster.className = 'suggestion-poster';
+        poster.src = `${TMDB_IMAGE_BASE_URL}${movie.posterPath}`;
+        poster.alt = '';
+        poster.loading = 'lazy';
+        item.appendChild(poster);
+      }
+
+      // Safely set suggestion text to prevent XSS
+      const title = document.createElement('span');
+      title.textContent = `${movie.title} (${movie.year ?? this.t('unknownYear')})`;
+      item.appendChild(title);
+
+      this.suggestionsList.appendChild(item);
+    });
+
+    this.suggestionsList.hidden = false;
+    this.movieTitleInput.setAttribute('aria-expanded', 'true');
+    this.movieTitleInput.removeAttribute('aria-activedescendant');
   }
 
-  async handleCalculate() {
-    const movieTitle = this.movieTitleInput.value.trim();
-    const startTime = this.startTimeInput.value;
-    const bufferMinutes = parseInt(this.bufferTimeSelect.value);
+  hideSuggestions() {
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    this.suggestionsList.hidden = true;
+    this.suggestionsList.replaceChildren();
+    this.movieTitleInput.setAttribute('aria-expanded', 'false');
+    this.movieTitleInput.removeAttribute('aria-activedescendant');
+  }
 
-    if (!movieTitle) {
-      this.showError('Please enter a movie title');
-      return;
+  setActiveSuggestion(index) {
+    this.activeSuggestion = index;
+    [...this.suggestionsList.children].forEach((item, itemIndex) => {
+      item.setAttribute('aria-selected', String(itemIndex === index));
+    });
+    const active = this.suggestionsList.children[index];
+    if (active) {
+      this.movieTitleInput.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView({ block: 'nearest' });
+    } else {
+      this.movieTitleInput.removeAttribute('aria-activedescendant');
     }
+  }
 
-    if (!startTime) {
-      this.showError('Please select a start time');
+  handleSuggestionKey(e) {
+    if (this.suggestionsList.hidden) {
       return;
     }
 
-    this.showLoading();
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const delta = e.key === 'ArrowDown' ? 1 : -1;
+      this.setActiveSuggestion(
+        moveActiveIndex(this.activeSuggestion, delta, this.suggestions.length),
+      );
+    } else if (e.key === 'Enter') {
+      const movie = this.suggestions[this.activeSuggestion];
+      if (movie) {
+        e.preventDefault();
+        this.pickMovie(movie);
+      } else {
+        this.hideSuggestions();
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.hideSuggestions();
+    }
+  }
+
+  // Fills the first title with a movie picked from the suggestions or the
+  // list browser
+  pickMovie(movie) {
+    clearTimeout(this.suggestionTimer);
+    this.suggestionController?.abort();
+    this.movieTitleInput.value = movie.title;
+    // Pin the id so the calculation uses exactly the picked movie
+    this.movieRows[0].selectedMovieId = movie.id.toString();
+    this.hideSuggestions();
+  }
+
+  watchMovieList() {
+    this.movieListDetails.addEventListener('toggle', () => {
+      if (this.movieListDetails.open && this.movieList.page === 0) {
+        this.loadMovieList();
+      }
+    });
+    this.movieListType.addEventListener('change', () => {
+      this.movieList = { type: this.movieListType.value, page: 0, totalPages: 0, movies: [] };
+      this.renderMovieList();
+      this.loadMovieList();
+    });
+    this.movieListMoreBtn.addEventListener('click', () => this.loadMovieList());
+    // End times follow the form's start time, date and first trailer duration
+    [this.movieListSort, this.startTimeInput, this.showDateInput, this.bufferTimeSelect].forEach(
+      (field) => field.addEventListener('change', () => this.renderMovieList()),
+    );
+  }
+
+  // Loads the next page of the selected list
+  async loadMovieList() {
+    const { type, page } = this.movieList;
+    this.movieListMoreBtn.disabled = true;
 
     try {
-      const movie = await this.searchMovie(movieTitle);
-      // Only make the URL shareable once the title resolves to a real movie
-      this.updateUrlParams(movieTitle, startTime, bufferMinutes);
-      const movieDetails = await this.getMovieDetails(movie.id);
-      this.calculateAndDisplayTimes(movieDetails, startTime, bufferMinutes);
+      const response = await fetch(
+        `${this.baseUrl}/v2/${type}?${this.tmdbParams({ page: page + 1 })}`,
+      );
+      if (response.status === 429) {
+        throw new Error(this.rateLimitMessage(response));
+      }
+      if (!response.ok) {
+        throw new Error(this.t('errorMovieList'));
+      }
+      const data = await response.json();
+      // The user may have switched lists while this page loaded
+      if (type !== this.movieList.type) {
+        return;
+      }
+
+      this.movieList.page = data.page;
+      this.movieList.totalPages = data.totalPages;
+      this.movieList.movies.push(...data.results);
+      this.hideError();
+      this.renderMovieList();
     } catch (error) {
-      this.showError(error.message || 'Failed to find movie information');
+      this.showError(error.message);
+    } finally {
+      this.movieListMoreBtn.disabled = false;
     }
   }
 
-  async searchMovie(title) {
-    const searchUrl = `${this.baseUrl}/search?query=${encodeURIComponent(title)}`;
-    const response = await fetch(searchUrl);
+  renderMovieList() {
+    const showing = { date: this.showDateInput.value, timeZone: this.theaterTimeZone };
+    const startTime = this.startTimeInput.value;
+    const { bufferMinutes } = this.getBufferSelection(this.bufferTimeSelect);
+    const showtime =
+      isValidDate(showing.date) && TIME_REGEX.test(startTime)
+        ? zonedDateTime(showing.date, startTime, showing.timeZone)
+        : null;
+    const entries = this.movieList.movies.map((movie) => ({
+      movie,
+      title: movie.title,
+      estEndDate:
+        showtime && movie.runtime
+          ? calculateTimes(showtime, bufferMinutes, movie.runtime).estEndDate
+          : null,
+    }));
+
+    this.movieListItems.replaceChildren();
+    sortMovieList(entries, this.movieListSort.value, this.locale).forEach(
+      ({ movie, estEndDate }) => {
+        let ends = this.t('runtimeUnknown');
+        if (movie.runtime && estEndDate) {
+          ends = this.t('movieListEnds', {
+            minutes: movie.runtime,
+            time: this.formatTime(estEndDate, showing),
+          });
+        } else if (movie.runtime) {
+          ends = this.t('runtimeMinutes', { minutes: movie.runtime });
+        }
+
+        const item = this.createCandidateItem(movie, movie.year, ends, () => {
+          this.pickMovie(movie);
+          this.movieTitleInput.focus();
+        });
+        this.movieListItems.appendChild(item);
+      },
+    );
+
+    this.movieListMoreBtn.hidden = this.movieList.page >= this.movieList.totalPages;
+  }
+
+  watchTv() {
+    this.findShowBtn.addEventListener('click', () => this.findShows());
+    this.tvShowInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.findShows();
+      }
+    });
+    // Editing the title drops the picked show so stale seasons aren't used
+    this.tvShowInput.addEventListener('input', () => {
+      if (this.tv.show) {
+        this.tv = { show: null, season: null };
+        [this.tvSeasonSelect, this.tvEpisodeFromSelect, this.tvEpisodeToSelect].forEach(
+          (select) => {
+            select.replaceChildren();
+            select.disabled = true;
+          },
+        );
+      }
+    });
+    this.tvSeasonSelect.addEventListener('change', () => this.loadSeason());
+    // Keep the range the right way round when the first episode moves past the last
+    this.tvEpisodeFromSelect.addEventListener('change', () => {
+      if (Number(this.tvEpisodeToSelect.value) < Number(this.tvEpisodeFromSelect.value)) {
+        this.tvEpisodeToSelect.value = this.tvEpisodeFromSelect.value;
+      }
+    });
+    [
+      this.tvSeasonSelect,
+      this.tvEpisodeFromSelect,
+      this.tvEpisodeToSelect,
+      this.tvSkipInput,
+      this.tvGapInput,
+    ].forEach((field) => this.submitOnEnter(field));
+  }
+
+  // Fetches a v2 TV resource: a show (showId) or season ("{showId}/season/{n}")
+  async fetchTv(path) {
+    const response = await fetch(`${this.baseUrl}/v2/tv/${path}?${this.tmdbParams()}`);
 
+    if (response.status === 429) {
+      throw new Error(this.rateLimitMessage(response));
+    }
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || 'Failed to search for movies');
+      throw new Error(this.t('errorShowDetails'));
     }
 
-    const data = await response.json();
+    return await response.json();
+  }
 
-    if (!data.results || data.results.length === 0) {
-      throw new Error('No movies found with that title');
+  // Searches TV shows by the entered title and lists the matches to pick from
+  async findShows() {
+    const title = this.tvShowInput.value.trim();
+    if (!title) {
+      this.showError(this.t('errorShowTitle'));
+      return;
     }
 
-    return pickBestMatch(data.results, new Date().getFullYear());
+    this.findShowBtn.disabled = true;
+    try {
+      const response = await fetch(
+        `${this.baseUrl}/v2/tv/search?${this.tmdbParams({ query: title })}`,
+      );
+      if (response.status === 429) {
+        throw new Error(this.rateLimitMessage(response));
+      }
+      if (!response.ok) {
+        throw new Error(this.t('errorShowSearch'));
+      }
+      const { results } = await response.json();
+      if (results.length === 0) {
+        throw new Error(this.t('errorNoShows'));
+      }
+
+      this.tvShowResults.replaceChildren();
+      results.slice(0, MAX_CANDIDATES).forEach((show) => {
+        this.tvShowResults.appendChild(
+          this.createCandidateItem(show, show.year, formatOverviewSnippet(show.overview), () =>
+            this.pickShow(show),
+          ),
+        );
+      });
+      this.tvShowResults.hidden = false;
+      this.hideError();
+      this.tvShowResults.querySelector('button').focus();
+    } catch (error) {
+      this.showError(error.message);
+    } finally {
+      this.findShowBtn.disabled = false;
+    }
   }
 
-  async getMovieDetails(movieId) {
-    const detailsUrl = `${this.baseUrl}/movie/${movieId}`;
-    const response = await fetch(detailsUrl);
+  // Loads a picked show's seasons, starting on the first regular season
+  // rather than the specials
+  async pickShow(show) {
+    this.tvShowInput.value = show.title;
+    this.tvShowResults.hidden = true;
+    this.tvShowResults.replaceChildren();
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || 'Failed to get movie details');
+    try {
+      const details = await this.fetchTv(show.id);
+      const seasons = details.seasons.filter((season) => season.episodeCount > 0);
+      this.tv = { show: details, season: null };
+
+      this.tvSeasonSelect.replaceChildren();
+      seasons.forEach((season) => {
+        const option = document.createElement('option');
+        option.value = season.seasonNumber.toString();
+        option.textContent = season.name;
+        this.tvSeasonSelect.appendChild(option);
+      });
+      const firstSeason = seasons.find((season) => season.seasonNumber > 0) ?? seasons[0];
+      if (!firstSeason) {
+        throw new Error(this.t('errorShowDetails'));
+      }
+      this.tvSeasonSelect.value = firstSeason.seasonNumber.toString();
+      this.tvSeasonSelect.disabled = false;
+      await this.loadSeason();
+    } catch (error) {
+      this.showError(error.message);
     }
+  }
 
-    return await response.json();
+  // Loads the selected season's episodes into the episode range, which
+  // defaults to the whole season
+  async loadSeason() {
+    const { show } = this.tv;
+    const seasonNumber = this.tvSeasonSelect.value;
+    this.tv.season = null;
+    this.tvEpisodeFromSelect.disabled = true;
+    this.tvEpisodeToSelect.disabled = true;
+
+    try {
+      const season = await this.fetchTv(`${show.id}/season/${seasonNumber}`);
+      // The user may have picked another show or season while this loaded
+      if (show !== this.tv.show || seasonNumber !== this.tvSeasonSelect.value) {
+        return;
+      }
+      if (season.episodes.length === 0) {
+        throw new Error(this.t('errorShowDetails'));
+      }
+
+      this.tv.season = season;
+      [this.tvEpisodeFromSelect, this.tvEpisodeToSelect].forEach((select) => {
+        select.replaceChildren();
+        season.episodes.forEach((episode) => {
+          const option = document.createElement('option');
+          option.value = episode.episodeNumber.toString();
+          option.textContent = this.t('episodeName', {
+            number: episode.episodeNumber,
+            name: episode.name,
+          });
+          select.appendChild(option);
+        });
+        select.disabled = false;
+      });
+      this.tvEpisodeToSelect.value = season.episodes.at(-1).episodeNumber.toString();
+      this.hideError();
+    } catch (error) {
+      this.showError(error.message);
+    }
   }
 
-  calculateAndDisplayTimes(movie, startTime, bufferMinutes) {
-    const runtime = movie.runtime;
+  // Works out when the chosen episodes finish, watched back to back from the
+  // start time with the break between them
+  handleBinge() {
+    const { show, season } = this.tv;
+    const showing = { date: this.showDateInput.value, timeZone: this.theaterTimeZone };
+    const startTime = this.startTimeInput.value;
+    const skipMinutes = parseSkipParam(this.tvSkipInput.value.trim());
+    const gapMinutes = parseGapParam(this.tvGapInput.value.trim());
+    const from = Number(this.tvEpisodeFromSelect.value);
+    const to = Number(this.tvEpisodeToSelect.value);
 
-    if (!runtime) {
-      throw new Error('Runtime information not available for this movie');
+    if (!show || !season) {
+      this.showError(this.t('errorPickShow'));
+      return;
+    }
+
+    if (!isValidDate(showing.date)) {
+      this.showError(this.t('errorDate'));
+      return;
+    }
+
+    if (!startTime) {
+      this.showError(this.t('errorStartTime'));
+      return;
+    }
+
+    if (to < from) {
+      this.showError(this.t('errorEpisodeRange'));
+      return;
+    }
+
+    if (skipMinutes === null) {
+      this.showError(this.t('errorSkip', { max: MAX_SKIP_MINUTES }));
+      return;
+    }
+
+    if (gapMinutes === null) {
+      this.showError(this.t('errorGap', { max: MAX_GAP_MINUTES }));
+      return;
+    }
+
+    const episodes = season.episodes.filter(
+      (episode) => episode.episodeNumber >= from && episode.episodeNumber <= to,
+    );
+    const missing = episodes.find((episode) => !episode.runtime);
+    if (missing) {
+      this.showError(this.t('errorEpisodeRuntime', { number: missing.episodeNumber }));
+      return;
     }
 
-    const { estStartDate, estEndDate } = calculateTimes(startTime, bufferMinutes, runtime);
+    this.showing = showing;
+    const timeline = calculateBinge(
+      zonedDateTime(showing.date, startTime, showing.timeZone),
+      episodes.map((episode) => episode.runtime),
+      skipMinutes,
+      gapMinutes,
+    );
+    this.displayBinge(show, season, episodes, timeline, gapMinutes);
+  }
 
-    this.displayResults(movie, estStartDate, estEndDate, runtime);
+  watchLive() {
+    this.liveBtn.addEventListener('click', () => this.startLive());
+    this.liveTrailersEndedBtn.addEventListener('click', () => this.reanchorLive());
+    this.liveExitBtn.addEventListener('click', () => this.exitLive());
+    [this.liveAlertTrailersInput, this.liveAlertMinutesSelect].forEach((field) =>
+      field.addEventListener('change', () => this.requestAlertPermission()),
+    );
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.live) {
+        this.exitLive();
+      }
+    });
+    // Browsers drop the wake lock whenever the page is hidden
+    document.addEventListener('visibilitychange', () => {
+      if (this.live && document.visibilityState === 'visible') {
+        this.keepScreenOn();
+      }
+    });
   }
 
-  displayResults(movie, estStartTime, estEndTime, runtime) {
-    const movieNameEl = document.getElementById('movie-name');
-    // Safely set movie title and metadata to prevent XSS
-    movieNameEl.textContent = movie.title;
+  startLive() {
+    // Starting again replaces the running timer and wake lock
+    this.stopLive();
+    const now = new Date();
+    this.live = {
+      ...this.result,
+      lastTick: now,
+      timer: setInterval(() => this.tickLive(), LIVE_TICK_MS),
+      wakeLock: null,
+    };
+    this.liveTitle.textContent = this.result.movie.title;
+    this.liveAlert.textContent = '';
+    this.livePanel.hidden = false;
+    this.keepScreenOn();
+    this.renderLive(now);
+    this.liveExitBtn.focus();
+  }
 
-    const metaSpan = document.createElement('span');
-    metaSpan.className = 'movie-meta';
-    metaSpan.textContent = formatMovieMeta(movie, runtime);
-    movieNameEl.appendChild(document.createTextNode(' '));
-    movieNameEl.appendChild(metaSpan);
-    document.getElementById('movie-details').textContent = '';
+  tickLive() {
+    const now = new Date();
+    dueLiveAlerts(this.live.lastTick, now, this.live, this.liveAlertSettings()).forEach((id) =>
+      this.fireLiveAlert(id),
+    );
+    this.live.lastTick = now;
+    this.renderLive(now);
+  }
 
-    document.getElementById('est-start-time').textContent = formatTime(estStartTime);
-    document.getElementById('est-end-time').textContent = formatTime(estEndTime);
+  renderLive(now) {
+    const { phase, remainingMs, progress } = describeLiveProgress(now, this.live);
+    const phaseMessages = {
+      trailers: 'liveTrailersLeft',
+      feature: 'liveMovieLeft',
+      ended: 'liveEnded',
+    };
+    this.livePhase.textContent = this.t(phaseMessages[phase]);
+    this.liveCountdown.textContent = phase === 'ended' ? '' : formatCountdown(remainingMs);
+    this.liveProgress.value = progress;
+    this.liveEnds.textContent = this.t('liveEndsAt', {
+      time: this.formatTime(this.live.estEndDate),
+    });
+    this.liveTrailersEndedBtn.disabled = phase === 'ended';
+  }
 
-    this.hideLoading();
-    this.hideError();
-    this.resultsDiv.style.display = 'block';
+  // The trailers ran shorter or longer than the buffer: the feature starts
+  // now, and the end moves with it. The result follows, so the results panel
+  // and live mode started again keep the new times.
+  reanchorLive() {
+    const now = new Date();
+    const runtimeMs = this.live.estEndDate - this.live.estStartDate;
+    const estStartDate = now;
+    const estEndDate = new Date(now.getTime() + runtimeMs);
+    Object.assign(this.live, { estStartDate, estEndDate, lastTick: now });
+    this.result = { ...this.result, estStartDate, estEndDate };
+    this.setTimeValue('est-start-time', estStartDate);
+    this.setTimeValue('est-end-time', estEndDate);
+    this.renderLive(now);
+  }
+
+  exitLive() {
+    this.stopLive();
+    this.livePanel.hidden = true;
+    this.liveBtn.focus();
+  }
+
+  stopLive() {
+    if (!this.live) {
+      return;
+    }
+    clearInterval(this.live.timer);
+    this.live.wakeLock?.release().catch(() => {});
+    this.live = null;
+  }
+
+  // Keeps the screen from sleeping mid-movie where the Screen Wake Lock API
+  // is available
+  async keepScreenOn() {
+    const live = this.live;
+    try {
+      const wakeLock = await navigator.wakeLock?.request('screen');
+      if (live === this.live) {
+        live.wakeLock = wakeLock;
+      } else {
+        wakeLock?.release();
+      }
+    } catch {
+      // Denied, e.g. on low battery; say so, since the screen may now sleep
+      if (live === this.live) {
+        this.liveAlert.textContent = this.t('liveScreenOnFailed');
+      }
+    }
+  }
+
+  liveAlertSettings() {
+    return {
+      trailers: this.liveAlertTrailersInput.checked,
+      minutesLeft: Number(this.liveAlertMinutesSelect.value),
+    };
+  }
+
+  // Asks for notification permission once an alert is turned on; without it
+  // alerts still vibrate and show in the live panel
+  requestAlertPermission() {
+    const { trailers, minutesLeft } = this.liveAlertSettings();
+    if ((trailers || minutesLeft > 0) && window.Notification?.permission === 'default') {
+      Notification.requestPermission();
+    }
+  }
+
+  fireLiveAlert(id) {
+    const message =
+      id === 'trailers'
+        ? this.t('alertTrailersOver')
+        : this.t('alertMinutesLeft', { minutes: this.liveAlertSettings().minutesLeft });
+    this.liveAlert.textContent = message;
+    navigator.vibrate?.([200, 100, 200]);
+    if (window.Notification?.permission === 'granted') {
+      try {
+        new Notification(this.live.movie.title, { body: message, tag: `end-times-${id}` });
+      } catch {
+        // Some mobile browsers only show notifications from a service worker;
+        // the alert is still in the live panel
+      }
+    }
+  }
+
+  addMovieRow() {
+    const position = this.movieRows.length + 1;
+    const element = document.createElement('div');
+    element.className = 'plan-row';
+
+    const titleGroup = document.createElement('div');
+    titleGroup.className = 'input-group';
+    const titleLabel = document.createElement('label');
+    titleLabel.htmlFor = `movie-title-${position}`;
+    titleLabel.textContent = this.t('movieN', { position });
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.id = `movie-title-${position}`;
+    titleInput.placeholder = this.t('movieTitlePlaceholder');
+    titleGroup.append(titleLabel, titleInput);
+
+    const bufferGroup = document.createElement('div');
+    bufferGroup.className = 'input-group';
+    const bufferLabel = document.createElement('label');
+    bufferLabel.htmlFor = `buffer-time-${position}`;
+    bufferLabel.textContent = this.t('bufferLabel');
+    const bufferSelect = document.createElement('select');
+    bufferSelect.id = `buffer-time-${position}`;
+    this.populateBufferOptions(bufferSelect);
+    this.selectDefaultBuffer(bufferSelect);
+    bufferGroup.append(bufferLabel, bufferSelect);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'remove-movie-btn';
+    removeBtn.textContent = this.t('remove');
+
+    element.append(titleGroup, bufferGroup, removeBtn);
+    this.extraMoviesDiv.appendChild(element);
+
+    const row = { titleInput, bufferSelect, selectedMovieId: null, element };
+    removeBtn.addEventListener('click', () => this.removeMovieRow(row));
+    this.watchMovieRow(row);
+    this.movieRows.push(row);
+    this.updatePlanControls();
+
+    return row;
+  }
+
+  removeMovieRow(row) {
+    row.element.remove();
+    this.movieRows = this.movieRows.filter((other) => other !== row);
+    this.updatePlanControls();
+  }
+
+  updatePlanControls() {
+    const planMode = this.modeSelect.value !== 'showtimes';
+    this.gapGroup.style.display = planMode && this.movieRows.length > 1 ? 'block' : 'none';
+    this.addMovieBtn.disabled = this.movieRows.length >= MAX_PLAN_MOVIES;
+  }
+
+  // "start" calculates forward from a showtime; "deadline" works backwards
+  // from when you need to be out; "showtimes" lists the end of every pasted
+  // showing of one movie; "tv" chains episodes of a TV season
+  updateModeControls() {
+    const deadlineMode = this.modeSelect.value === 'deadline';
+    const showtimesMode = this.modeSelect.value === 'showtimes';
+    const tvMode = this.modeSelect.value === 'tv';
+    const listsShowtimes = deadlineMode || showtimesMode;
+    this.startTimeGroup.style.display = listsShowtimes ? 'none' : 'block';
+    this.deadlineGroup.style.display = listsShowtimes ? 'block' : 'none';
+    this.showtimesGroup.style.display = listsShowtimes ? 'block' : 'none';
+    // In showtimes mode the list is required and the deadline is an optional cutoff
+    this.deadlineOptional.hidden = !showtimesMode;
+    this.showtimesOptional.hidden = showtimesMode;
+    this.tvFields.style.display = tvMode ? 'block' : 'none';
+    // Showings are listed for one movie at a time
+    this.extraMoviesDiv.style.display = showtimesMode ? 'none' : '';
+    this.addMovieBtn.style.display = showtimesMode ? 'none' : '';
+    // Only single results are expanded into the whole outing
+    this.outingDetails.style.display = tvMode || showtimesMode ? 'none' : '';
+    this.updatePlanControls();
+    // Episodes have no trailers, so the movie fields step aside
+    [this.movieFields, this.bufferGroup, this.profilesDetails, this.movieListDetails].forEach(
+      (element) => {
+        element.style.display = tvMode ? 'none' : '';
+      },
+    );
+  }
+
+  setDefaultTime() {
+    this.startTimeInput.value = this.preferences.startTime;
+    this.showDateInput.value = todayInTimeZone(new Date(), this.theaterTimeZone);
+  }
+
+  // Shows which zone times are in when it isn't the viewer's own
+  setTheaterTimeZone(timeZone) {
+    this.theaterTimeZone = timeZone;
+    this.timeZoneLabel.textContent =
+      timeZone === this.viewerTimeZone ? '' : `(${timeZone.replace(/_/g, ' ')})`;
+  }
+
+  // Loads the signed-in user's preferences. Without them (e.g. running
+  // locally without Cloudflare Access) the defaults stay in place and the
+  // preferences form, short links and theater reports, which also need an
+  // identity, are hidden.
+  async loadPreferences() {
+    try {
+      const response = await fetch(`${this.baseUrl}/me/preferences`);
+      if (!response.ok) {
+        this.hideSignedInControls();
+        return;
+      }
+      const { preferences } = parsePreferences(await response.json());
+      if (preferences) {
+        this.preferences = preferences;
+      }
+    } catch {
+      this.hideSignedInControls();
+      return;
+    }
+
+    this.selectDefaultBuffer(this.prefBufferSelect);
+    this.prefClockSelect.value = this.preferences.clock;
+    this.prefStartTimeInput.value = this.preferences.startTime;
+  }
+
+  hideSignedInControls() {
+    [
+      this.preferencesDetails,
+      this.shortLinksDetails,
+      ...this.shortLinkBtns,
+      this.theaterGroup,
+      this.trailerReportDetails,
+    ].forEach((element) => {
+      element.style.display = 'none';
+    });
+  }
+
+  async handleSavePreferences() {
+    const { bufferMinutes, profileId } = this.getBufferSelection(this.prefBufferSelect);
+    const { preferences, error } = parsePreferences({
+      buffer: bufferMinutes,
+      profile: profileId,
+      clock: this.prefClockSelect.value,
+      startTime: this.prefStartTimeInput.value,
+    });
+    if (error) {
+      this.showError(this.t('errorDefaultStartTime'));
+      return;
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/me/preferences`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(preferences),
+      });
+      if (!response.ok) {
+        throw new Error(this.t('errorSavePreferences'));
+      }
+      this.preferences = await response.json();
+      this.hideError();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  formatTime(date, showing = this.showing) {
+    return formatShowingTime(
+      describeShowingTime(date, showing, this.viewerTimeZone, this.preferences.clock, this.locale),
+      this.locale,
+    );
+  }
+
+  // Sets a large time display, with the day and viewer's time in its note
+  setTimeValue(id, date) {
+    const { time, dayLabel, viewerTime } = describeShowingTime(
+      date,
+      this.showing,
+      this.viewerTimeZone,
+      this.preferences.clock,
+      this.locale,
+    );
+    document.getElementById(id).textContent = time;
+    document.getElementById(`${id}-note`).textContent = [
+      dayLabel,
+      viewerTime ? this.t('viewerTime', { time: viewerTime }) : null,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+  }
+
+  loadFromUrlParams() {
+    const urlParams = new URLSearchParams(window.location.search);
+
+    const movies = parseMovieParams(urlParams);
+    const date = urlParams.get('date');
+    const tz = urlParams.get('tz');
+    const time = urlParams.get('time');
+    const deadline = urlParams.get('deadline');
+    const showtimes = urlParams.get('showtimes');
+    const gap = urlParams.get('gap');
+    const auto = urlParams.get('auto');
+
+    movies.forEach((movie, index) => {
+      const row = index === 0 ? this.movieRows[0] : this.addMovieRow();
+      row.titleInput.value = movie.title;
+      this.selectBuffer(row.bufferSelect, movie);
+      row.selectedMovieId = movie.id;
+    });
+
+    // Time zone validation: must be an IANA zone; today's date follows it
+    if (tz && isValidTimeZone(tz)) {
+      this.setTheaterTimeZone(tz);
+      this.showDateInput.value = todayInTimeZone(new Date(), tz);
+    }
+
+    // Date validation: a real YYYY-MM-DD calendar date
+    if (date && isValidDate(date)) {
+      this.showDateInput.value = date;
+    }
+
+    // Time validation: Check format first, then set value
+    if (time && TIME_REGEX.test(time)) {
+      this.startTimeInput.value = time;
+    }
+
+    // Deadline validation: same format as the start time; switches to deadline
+    // mode unless the link is for showtimes mode, where it's the cutoff
+    if (urlParams.get('mode') === 'showtimes') {
+      this.modeSelect.value = 'showtimes';
+      this.updateModeControls();
+    }
+    if (deadline && TIME_REGEX.test(deadline)) {
+      if (this.modeSelect.value !== 'showtimes') {
+        this.modeSelect.value = 'deadline';
+        this.updateModeControls();
+      }
+      this.deadlineInput.value = deadline;
+    }
+
+    if (showtimes) {
+      this.showtimesInput.value = showtimes;
+    }
+
+    // Gap validation: whole minutes within range only
+    const gapMinutes = parseGapParam(gap);
+    if (gapMinutes !== null) {
+      this.gapTimeInput.value = gapMinutes.toString();
+    }
+
+    // Outing validation: whole minutes within range only; shows the outing inputs
+    [
+      ['travel', this.travelTimeInput, MAX_TRAVEL_MINUTES],
+      ['margin', this.marginTimeInput, MAX_ARRIVAL_MARGIN_MINUTES],
+      ['home', this.homeTimeInput, MAX_TRAVEL_MINUTES],
+    ].forEach(([name, input, max]) => {
+      const minutes = parseOutingParam(urlParams.get(name), max);
+      if (minutes) {
+        input.value = minutes.toString();
+        this.outingDetails.open = true;
+      }
+    });
+
+    if (movies.length > 0 && auto === 'true') {
+      this.handleCalculate();
+    }
+  }
+
+  // movies: [{ title, bufferMinutes, movieId, profileId }] in plan order
+  // timing: { time } when calculating forward, { deadline, showtimes } when
+  // working backwards from a deadline, { showtimes, cutoff } when listing
+  // every showing (cutoff may be empty)
+  // showing: { date, timeZone } the times are on
+  // outing: { travelMinutes, marginMinutes, homeMinutes } or null
+  updateUrlParams(movies, timing, gapMinutes, showing, outing = null) {
+    const url = new URL(window.location);
+    [
+      'mode',
+      'movie',
+      'date',
+      'tz',
+      'time',
+      'deadline',
+      'showtimes',
+      'buffer',
+      'id',
+      'profile',
+      'gap',
+      'travel',
+      'margin',
+      'home',
+      'auto',
+    ].forEach((name) => url.searchParams.delete(name));
+
+    movies.forEach((movie) => url.searchParams.append('movie', movie.title));
+    if (timing.cutoff !== undefined) {
+      url.searchParams.set('mode', 'showtimes');
+      url.searchParams.set('showtimes', timing.showtimes);
+      if (timing.cutoff) {
+        url.searchParams.set('deadline', timing.cutoff);
+      }
+    } else if (timing.deadline) {
+      url.searchParams.set('deadline', timing.deadline);
+      if (timing.showtimes) {
+        url.searchParams.set('showtimes', timing.showtimes);
+      }
+    } else {
+      url.searchParams.set('time', timing.time);
+    }
+    // Links for today stay "today" when reopened later; other dates are pinned.
+    // The zone is always included so the link means the same showing anywhere.
+    if (showing.date !== todayInTimeZone(new Date(), showing.timeZone)) {
+      url.searchParams.set('date', showing.date);
+    }
+    url.searchParams.set('tz', showing.timeZone);
+    movies.forEach((movie) => url.searchParams.append('buffer', movie.bufferMinutes.toString()));
+    // Ids are positional, so write one (possibly empty) per movie once any is pinned
+    if (movies.some((movie) => movie.movieId)) {
+      movies.forEach((movie) => url.searchParams.append('id', movie.movieId || ''));
+    }
+    // Profiles are positional too; buffer still carries the minutes for
+    // anyone opening the link without that profile saved
+    if (movies.some((movie) => movie.profileId)) {
+      movies.forEach((movie) => url.searchParams.append('profile', movie.profileId || ''));
+    }
+    if (movies.length > 1) {
+      url.searchParams.set('gap', gapMinutes.toString());
+    }
+    // Unset outing times are 0 and left out
+    if (outing) {
+      [
+        ['travel', outing.travelMinutes],
+        ['margin', outing.marginMinutes],
+        ['home', outing.homeMinutes],
+      ].forEach(([name, minutes]) => {
+        if (minutes > 0) {
+          url.searchParams.set(name, minutes.toString());
+        }
+      });
+    }
+
+    window.history.replaceState({}, '', url);
+  }
+
+  // Points "Add to calendar" at the Worker's .ics export for the current
+  // shareable URL, pinned to the showtime actually used in the theater's zone
+  updateCalendarLinks(showtime) {
+    const { timeZone } = this.showing;
+    const params = this.tmdbParams(new URLSearchParams(window.location.search));
+    params.delete('mode');
+    params.delete('deadline');
+    params.delete('showtimes');
+    params.set('time', timeInTimeZone(showtime, timeZone));
+    params.set('tz', timeZone);
+    params.set('date', todayInTimeZone(showtime, timeZone));
+
+    this.calendarLinks.forEach((link) => {
+      link.href = `${this.baseUrl}/calendar.ics?${params}`;
+    });
+  }
+
+  watchShortLinks() {
+    this.shortLinkBtns.forEach((button) =>
+      button.addEventListener('click', () => this.createShortLink()),
+    );
+    // The list is only fetched once someone looks at it
+    this.shortLinksDetails.addEventListener('toggle', () => {
+      if (this.shortLinksDetails.open) {
+        this.loadShortLinks();
+      }
+    });
+  }
+
+  // Stores the current shareable URL's query behind a short /s/{code} link,
+  // shows it under the results and copies it when the browser allows
+  async createShortLink() {
+    try {
+      const response = await fetch(`${this.baseUrl}/links`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: window.location.search.slice(1) }),
+      });
+      if (!response.ok) {
+        throw new Error(this.t('errorShortLink'));
+      }
+      const { url } = await response.json();
+
+      let message = url;
+      try {
+        await navigator.clipboard.writeText(url);
+        message = this.t('shortLinkCopied', { url });
+      } catch {
+        // Clipboard access can be denied; the link is still shown to copy by hand
+      }
+      this.shortLinkOutputs.forEach((output) => {
+        output.textContent = message;
+        output.hidden = false;
+      });
+      this.hideError();
+      if (this.shortLinksDetails.open) {
+        this.loadShortLinks();
+      }
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  async loadShortLinks() {
+    try {
+      const response = await fetch(`${this.baseUrl}/links`);
+      if (!response.ok) {
+        throw new Error(this.t('errorShortLinks'));
+      }
+      const { links } = await response.json();
+      this.renderShortLinks(links);
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  renderShortLinks(links) {
+    this.shortLinkList.replaceChildren();
+    if (links.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = this.t('shortLinksEmpty');
+      this.shortLinkList.appendChild(item);
+      return;
+    }
+
+    links.forEach((link) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const anchor = document.createElement('a');
+      anchor.href = link.url;
+      anchor.textContent = link.url;
+      label.appendChild(anchor);
+      if (link.expiresAt) {
+        const date = new Date(link.expiresAt).toLocaleDateString(this.locale, {
+          month: 'short',
+          day: 'numeric',
+        });
+        label.append(` (${this.t('shortLinkExpires', { date })})`);
+      }
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'remove-movie-btn';
+      deleteBtn.textContent = this.t('delete');
+      deleteBtn.addEventListener('click', () => this.deleteShortLink(link.code));
+      item.append(label, deleteBtn);
+      this.shortLinkList.appendChild(item);
+    });
+  }
+
+  async deleteShortLink(code) {
+    try {
+      const response = await fetch(`${this.baseUrl}/links/${code}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(this.t('errorDeleteShortLink'));
+      }
+      this.hideError();
+      await this.loadShortLinks();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  watchTheaters() {
+    this.theaterNameInput.addEventListener('change', () => this.loadTheaterSuggestion());
+    this.reportBtn.addEventListener('click', () => this.handleTrailerReport());
+    // The showing being reported is usually the one just calculated
+    this.trailerReportDetails.addEventListener('toggle', () => {
+      if (this.trailerReportDetails.open && !this.reportShowtimeInput.value) {
+        this.reportShowtimeInput.value = this.startTimeInput.value;
+      }
+    });
+  }
+
+  // Offers every theater someone has reported on as a suggestion for the
+  // theater field. Signed-out visitors just get no suggestions.
+  async loadTheaters() {
+    try {
+      const response = await fetch(`${this.baseUrl}/theaters`);
+      if (!response.ok) {
+        return;
+      }
+      const { theaters } = await response.json();
+      this.theaterOptions.replaceChildren(
+        ...theaters.map((theater) => {
+          const option = document.createElement('option');
+          option.value = theater.name;
+          return option;
+        }),
+      );
+    } catch {
+      // The list only offers suggestions, so the field works without it
+    }
+  }
+
+  // Looks up what reports say about the chosen theater's trailers
+  async loadTheaterSuggestion() {
+    const theaterId = slugifyTheaterName(this.theaterNameInput.value.trim());
+    this.theaterSuggestion.hidden = true;
+    if (!theaterId) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/theaters/${encodeURIComponent(theaterId)}`);
+      if (response.status === 404) {
+        this.showTheaterSuggestion(null);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Theater lookup failed with status ${response.status}`);
+      }
+      const { suggestion } = await response.json();
+      this.showTheaterSuggestion(suggestion);
+    } catch {
+      this.theaterSuggestion.textContent = this.t('errorTheaterSuggestion');
+      this.theaterSuggestion.hidden = false;
+    }
+  }
+
+  // Describes a theater's suggested buffer and selects it for every movie
+  showTheaterSuggestion(suggestion) {
+    this.theaterSuggestion.textContent = suggestion
+      ? this.t('theaterSuggestion', {
+          minutes: suggestion.bufferMinutes,
+          low: suggestion.low,
+          high: suggestion.high,
+          count: suggestion.reports,
+        })
+      : this.t('theaterNoSuggestion');
+    this.theaterSuggestion.hidden = false;
+    if (suggestion) {
+      this.movieRows.forEach((row) =>
+        this.selectBuffer(row.bufferSelect, { buffer: suggestion.bufferMinutes.toString() }),
+      );
+    }
+  }
+
+  // Reports when the feature actually started at a showing of the theater
+  // and date in the form
+  async handleTrailerReport() {
+    const theater = this.theaterNameInput.value.trim();
+    const date = this.showDateInput.value;
+    const showtime = this.reportShowtimeInput.value;
+    const featureStart = this.reportFeatureStartInput.value;
+
+    if (!slugifyTheaterName(theater)) {
+      this.showError(this.t('errorReportTheater'));
+      this.theaterNameInput.focus();
+      return;
+    }
+    if (!isValidDate(date)) {
+      this.showError(this.t('errorDate'));
+      return;
+    }
+    if (!showtime || !featureStart) {
+      this.showError(this.t('errorReportTimes'));
+      return;
+    }
+    if (trailerMinutes(showtime, featureStart) > MAX_BUFFER_MINUTES) {
+      this.showError(this.t('errorReportTooLate', { max: MAX_BUFFER_MINUTES }));
+      return;
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/trailer-reports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          theater,
+          auditorium: this.reportAuditoriumInput.value.trim(),
+          date,
+          showtime,
+          featureStart,
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(this.t('errorTrailerReport'));
+      }
+      const { report, suggestion } = await response.json();
+
+      this.reportStatus.textContent = this.t('reportThanks', { minutes: report.bufferMinutes });
+      this.reportStatus.hidden = false;
+      this.reportFeatureStartInput.value = '';
+      this.hideError();
+      this.showTheaterSuggestion(suggestion);
+      this.loadTheaters();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  async handleCalculate() {
+    if (this.modeSelect.value === 'tv') {
+      this.handleBinge();
+      return;
+    }
+    if (this.modeSelect.value === 'showtimes') {
+      this.handleShowings();
+      return;
+    }
+
+    const deadlineMode = this.modeSelect.value === 'deadline';
+    const showing = { date: this.showDateInput.value, timeZone: this.theaterTimeZone };
+    const startTime = this.startTimeInput.value;
+    const deadline = this.deadlineInput.value;
+    const showtimesText = this.showtimesInput.value.trim();
+    const gapMinutes = parseGapParam(this.gapTimeInput.value.trim());
+    const outing = this.getOuting();
+    const entries = this.movieRows.map((row) => ({
+      row,
+      title: row.titleInput.value.trim(),
+      ...this.getBufferSelection(row.bufferSelect),
+    }));
+
+    if (entries.some((entry) => !entry.title)) {
+      this.showError(this.t('errorTitle'));
+      return;
+    }
+
+    if (!isValidDate(showing.date)) {
+      this.showError(this.t('errorDate'));
+      return;
+    }
+
+    if (!deadlineMode && !startTime) {
+      this.showError(this.t('errorStartTime'));
+      return;
+    }
+
+    if (deadlineMode && !deadline) {
+      this.showError(this.t('errorDeadline'));
+      return;
+    }
+
+    if (entries.length > 1 && gapMinutes === null) {
+      this.showError(this.t('errorGap', { max: MAX_GAP_MINUTES }));
+      return;
+    }
+
+    if (!outing) {
+      this.showError(
+        this.t('errorOuting', {
+          maxTravel: MAX_TRAVEL_MINUTES,
+          maxMargin: MAX_ARRIVAL_MARGIN_MINUTES,
+        }),
+      );
+      return;
+    }
+
+    this.showLoading();
+
+    try {
+      const movies = [];
+      for (const entry of entries) {
+        const movie = await this.resolveMovie(entry.row, entry.title);
+        if (!movie) {
+          // Waiting for the user to pick between ambiguous matches
+          return;
+        }
+        movies.push(movie);
+      }
+
+      // Only make the URL shareable once every title resolves to a real movie
+      this.updateUrlParams(
+        entries.map((entry) => ({
+          title: entry.title,
+          bufferMinutes: entry.bufferMinutes,
+          movieId: entry.row.selectedMovieId,
+          profileId: entry.profileId,
+        })),
+        deadlineMode ? { deadline, showtimes: showtimesText } : { time: startTime },
+        gapMinutes,
+        showing,
+        outing,
+      );
+
+      this.showing = showing;
+      const deadlineResult = deadlineMode
+        ? this.calculateDeadline(movies, entries, deadline, showtimesText, gapMinutes)
+        : null;
+      const showtime = deadlineResult
+        ? deadlineResult.showtime
+        : zonedDateTime(showing.date, startTime, showing.timeZone);
+      this.updateCalendarLinks(showtime);
+
+      if (movies.length === 1) {
+        this.calculateAndDisplayTimes(movies[0], showtime, entries[0].bufferMinutes, outing);
+      } else {
+        this.calculateAndDisplayPlan(movies, entries, showtime, gapMinutes);
+      }
+      if (deadlineResult) {
+        this.displayDeadline(deadlineResult);
+      }
+    } catch (error) {
+      this.showError(error.message || this.t('errorMovieInfo'));
+    }
+  }
+
+  // Resolves a row's title to TMDB movie details, or returns null after
+  // showing the candidate list when the title is ambiguous. IMDb ids and
+  // IMDb/TMDB links go straight to their movie, and a year in the title
+  // narrows the search to that year.
+  async resolveMovie(row, movieTitle) {
+    if (row.selectedMovieId) {
+      return await this.getMovieDetails(row.selectedMovieId);
+    }
+
+    const currentYear = new Date().getFullYear();
+    const input = parseMovieInput(movieTitle, currentYear);
+    if (input.tmdbId || input.imdbId) {
+      const movieId = input.tmdbId ?? (await this.findMovie(input.imdbId)).id;
+      // Pin the id so the shared link skips the lookup
+      row.selectedMovieId = movieId.toString();
+      return await this.getMovieDetails(movieId);
+    }
+
+    let searched = input.title;
+    let results = await this.searchMovie(searched, input.year);
+    if (results.length === 0 && input.fallbackTitle) {
+      searched = input.fallbackTitle;
+      results = await this.searchMovie(searched);
+    }
+    if (results.length === 0) {
+      throw new Error(this.t('errorNoMatches'));
+    }
+    const candidates = findAmbiguousMatches(results, searched, currentYear);
+    if (candidates.length > 0) {
+      this.displayCandidates(candidates, movieTitle, row);
+      return null;
+    }
+
+    // The Worker returns the best match first
+    return await this.getMovieDetails(results[0].id);
+  }
+
+  handleCandidateSelected(movie, row) {
+    // Pin the id so the shared link always resolves to this exact movie
+    row.selectedMovieId = movie.id.toString();
+    this.handleCalculate();
+  }
+
+  // Returns the ranked results, best match first, or an empty list
+  async searchMovie(title, year = null) {
+    const params = this.tmdbParams(year ? { query: title, year } : { query: title });
+    const response = await fetch(`${this.baseUrl}/v2/search?${params}`);
+
+    if (response.status === 429) {
+      throw new Error(this.rateLimitMessage(response));
+    }
+    if (!response.ok) {
+      throw new Error(this.t('errorSearch'));
+    }
+
+    const { match, alternates } = await response.json();
+    return match ? [match, ...alternates] : [];
+  }
+
+  // Looks up the movie TMDB has for an IMDb id
+  async findMovie(imdbId) {
+    const response = await fetch(`${this.baseUrl}/v2/find/${imdbId}?${this.tmdbParams()}`);
+
+    if (response.status === 429) {
+      throw new Error(this.rateLimitMessage(response));
+    }
+    if (!response.ok) {
+      throw new Error(this.t('errorSearch'));
+    }
+
+    const { match } = await response.json();
+    if (!match) {
+      throw new Error(this.t('errorNoImdbMatch'));
+    }
+    return match;
+  }
+
+  async getMovieDetails(movieId) {
+    const detailsUrl = `${this.baseUrl}/v2/movie/${movieId}?${this.tmdbParams()}`;
+    const response = await fetch(detailsUrl);
+
+    if (response.status === 429) {
+      throw new Error(this.rateLimitMessage(response));
+    }
+    if (!response.ok) {
+      throw new Error(this.t('errorDetails'));
+    }
+
+    return await response.json();
+  }
+
+  rateLimitMessage(response) {
+    return formatRateLimitMessage(response.headers.get('Retry-After'), Date.now(), this.locale);
+  }
+
+  calculateAndDisplayTimes(movie, startTime, bufferMinutes, outing = null) {
+    const runtime = movie.runtime;
+
+    if (!runtime) {
+      throw new Error(this.t('errorRuntime'));
+    }
+
+    const times = calculateOuting(startTime, bufferMinutes, runtime, outing ?? {});
+    const hasOuting = outing !== null && Object.values(outing).some((minutes) => minutes > 0);
+
+    this.displayResults(
+      movie,
+      times.estStartDate,
+      times.estEndDate,
+      runtime,
+      hasOuting ? times : null,
+    );
+  }
+
+  // The outing inputs as { travelMinutes, marginMinutes, homeMinutes }, with
+  // empty ones as 0, or null when any is out of range
+  getOuting() {
+    const read = (input, max) => {
+      const value = input.value.trim();
+      return value === '' ? 0 : parseOutingParam(value, max);
+    };
+    const outing = {
+      travelMinutes: read(this.travelTimeInput, MAX_TRAVEL_MINUTES),
+      marginMinutes: read(this.marginTimeInput, MAX_ARRIVAL_MARGIN_MINUTES),
+      homeMinutes: read(this.homeTimeInput, MAX_TRAVEL_MINUTES),
+    };
+    return Object.values(outing).includes(null) ? null : outing;
+  }
+
+  // Lists the estimated start and end of every pasted showtime of the first
+  // movie, flagging showings already underway and, when an "Out By" time is
+  // given, those that end after it
+  async handleShowings() {
+    const row = this.movieRows[0];
+    const title = row.titleInput.value.trim();
+    const { bufferMinutes, profileId } = this.getBufferSelection(row.bufferSelect);
+    const showing = { date: this.showDateInput.value, timeZone: this.theaterTimeZone };
+    const cutoff = this.deadlineInput.value;
+    const showtimesText = this.showtimesInput.value.trim();
+    const showtimes = parseShowtimes(showtimesText);
+
+    if (!title) {
+      this.showError(this.t('errorTitle'));
+      return;
+    }
+
+    if (!isValidDate(showing.date)) {
+      this.showError(this.t('errorDate'));
+      return;
+    }
+
+    if (showtimes.length === 0) {
+      this.showError(this.t('errorShowtimes'));
+      return;
+    }
+
+    this.showLoading();
+
+    try {
+      const movie = await this.resolveMovie(row, title);
+      if (!movie) {
+        // Waiting for the user to pick between ambiguous matches
+        return;
+      }
+      if (!movie.runtime) {
+        throw new Error(this.t('errorRuntime'));
+      }
+
+      this.updateUrlParams(
+        [{ title, bufferMinutes, movieId: row.selectedMovieId, profileId }],
+        { showtimes: showtimesText, cutoff },
+        null,
+        showing,
+      );
+
+      this.showing = showing;
+      const cutoffDate = cutoff
+        ? calculateLatestStart(cutoff, [{ bufferMinutes, runtime: movie.runtime }], 0, showing)
+            .deadlineDate
+        : null;
+      const showings = listShowings(showtimes, bufferMinutes, movie.runtime, {
+        showing,
+        cutoffDate,
+      });
+
+      this.displayShowings(movie, showings, cutoffDate);
+    } catch (error) {
+      this.showError(error.message || this.t('errorMovieInfo'));
+    }
+  }
+
+  // Finds the latest showtime that ends by the deadline. When showtimes were
+  // pasted, the latest listed one that still fits is used for the results.
+  calculateDeadline(movies, entries, deadline, showtimesText, gapMinutes) {
+    const missing = movies.find((movie) => !movie.runtime);
+    if (missing) {
+      throw new Error(this.t('errorRuntimeFor', { title: missing.title }));
+    }
+
+    const legs = movies.map((movie, index) => ({
+      bufferMinutes: entries[index].bufferMinutes,
+      runtime: movie.runtime,
+    }));
+    const { latestStartDate, deadlineDate } = calculateLatestStart(
+      deadline,
+      legs,
+      gapMinutes,
+      this.showing,
+    );
+    const checks = checkShowtimes(
+      parseShowtimes(showtimesText),
+      legs,
+      gapMinutes,
+      deadlineDate,
+      this.showing,
+    );
+    const bestListed = checks.filter((check) => check.fits).pop();
+
+    return {
+      latestStartDate,
+      deadlineDate,
+      checks,
+      bestListed,
+      showtime: bestListed ? bestListed.showStartDate : latestStartDate,
+    };
+  }
+
+  calculateAndDisplayPlan(movies, entries, startTime, gapMinutes) {
+    const missing = movies.find((movie) => !movie.runtime);
+    if (missing) {
+      throw new Error(this.t('errorRuntimeFor', { title: missing.title }));
+    }
+
+    const timeline = calculatePlan(
+      startTime,
+      movies.map((movie, index) => ({
+        bufferMinutes: entries[index].bufferMinutes,
+        runtime: movie.runtime,
+      })),
+      gapMinutes,
+    );
+
+    this.displayPlan(movies, timeline, gapMinutes);
+  }
+
+  displayResults(movie, estStartTime, estEndTime, runtime, outing = null) {
+    const movieNameEl = document.getElementById('movie-name');
+    // Safely set movie title and metadata to prevent XSS
+    movieNameEl.textContent = movie.title;
+
+    const metaSpan = document.createElement('span');
+    metaSpan.className = 'movie-meta';
+    metaSpan.textContent = formatMovieMeta(movie, runtime, this.locale);
+    movieNameEl.appendChild(document.createTextNode(' '));
+    movieNameEl.appendChild(metaSpan);
+    document.getElementById('movie-details').textContent = '';
+
+    this.setTimeValue('est-start-time', estStartTime);
+    this.setTimeValue('est-end-time', estEndTime);
+    this.displayOuting(outing);
+    this.result = { movie, estStartDate: estStartTime, estEndDate: estEndTime };
+
+    this.hideLoading();
+    this.hideError();
+    this.hidePanels();
+    this.resultsDiv.style.display = 'block';
+  }
+
+  // Swaps the start and end for a timeline of the whole outing (as from
+  // calculateOuting) when travel or arrival times were given
+  displayOuting(outing) {
+    this.resultTimesDiv.style.display = outing ? 'none' : '';
+    this.outingTimeline.hidden = !outing;
+    this.outingTimeline.replaceChildren();
+    if (!outing) {
+      return;
+    }
+
+    [
+      ['outingLeave', outing.leaveDate],
+      ['outingArrive', outing.arriveDate],
+      ['outingShowtime', outing.showStartDate],
+      ['outingFeatureStart', outing.estStartDate, true],
+      ['outingFeatureEnd', outing.estEndDate, true],
+      ['outingHome', outing.homeDate],
+    ].forEach(([key, date, feature]) => {
+      const item = document.createElement('li');
+      item.className = feature ? 'outing-step outing-feature' : 'outing-step';
+      const label = document.createElement('span');
+      label.className = 'outing-step-label';
+      label.textContent = this.t(key);
+      const time = document.createElement('span');
+      time.className = 'outing-step-time';
+      time.textContent = this.formatTime(date);
+      item.append(label, time);
+      this.outingTimeline.appendChild(item);
+    });
+  }
+
+  displayPlan(movies, timeline, gapMinutes) {
+    const list = document.getElementById('plan-timeline');
+    list.replaceChildren();
+
+    movies.forEach((movie, index) => {
+      const { showStartDate, estStartDate, estEndDate } = timeline[index];
+
+      if (index > 0 && gapMinutes > 0) {
+        const gap = document.createElement('li');
+        gap.className = 'plan-gap';
+        gap.textContent = this.t('breakMinutes', { minutes: gapMinutes });
+        list.appendChild(gap);
+      }
+
+      // Safely set movie title and metadata to prevent XSS
+      const item = document.createElement('li');
+      item.className = 'plan-movie';
+
+      const title = document.createElement('h3');
+      title.textContent = movie.title;
+      const metaSpan = document.createElement('span');
+      metaSpan.className = 'movie-meta';
+      metaSpan.textContent = formatMovieMeta(movie, movie.runtime, this.locale);
+      title.append(' ', metaSpan);
+
+      const times = document.createElement('p');
+      times.className = 'plan-times';
+      times.textContent = this.t('planTimes', {
+        showtime: this.formatTime(showStartDate),
+        start: this.formatTime(estStartDate),
+        end: this.formatTime(estEndDate),
+      });
+
+      item.append(title, times);
+      list.appendChild(item);
+    });
+
+    this.setTimeValue('plan-end-time', timeline[timeline.length - 1].estEndDate);
+
+    this.hideLoading();
+    this.hideError();
+    this.hidePanels();
+    this.planDiv.style.display = 'block';
+  }
+
+  displayBinge(show, season, episodes, timeline, gapMinutes) {
+    // Safely set show and episode names to prevent XSS
+    const showNameEl = document.getElementById('binge-name');
+    showNameEl.textContent = show.title;
+    const rangeSpan = document.createElement('span');
+    rangeSpan.className = 'movie-meta';
+    rangeSpan.textContent = this.t('bingeRange', {
+      season: season.name,
+      from: episodes[0].episodeNumber,
+      to: episodes[episodes.length - 1].episodeNumber,
+    });
+    showNameEl.append(' ', rangeSpan);
+
+    const list = document.getElementById('binge-timeline');
+    list.replaceChildren();
+
+    episodes.forEach((episode, index) => {
+      const { estStartDate, estEndDate } = timeline[index];
+
+      if (index > 0 && gapMinutes > 0) {
+        const gap = document.createElement('li');
+        gap.className = 'plan-gap';
+        gap.textContent = this.t('breakMinutes', { minutes: gapMinutes });
+        list.appendChild(gap);
+      }
+
+      const item = document.createElement('li');
+      item.className = 'plan-movie';
+
+      const title = document.createElement('h3');
+      title.textContent = this.t('episodeName', {
+        number: episode.episodeNumber,
+        name: episode.name,
+      });
+      const metaSpan = document.createElement('span');
+      metaSpan.className = 'movie-meta';
+      metaSpan.textContent = this.t('runtimeMinutes', { minutes: episode.runtime });
+      title.append(' ', metaSpan);
+
+      const times = document.createElement('p');
+      times.className = 'plan-times';
+      times.textContent = this.t('episodeTimes', {
+        start: this.formatTime(estStartDate),
+        end: this.formatTime(estEndDate),
+      });
+
+      item.append(title, times);
+      list.appendChild(item);
+    });
+
+    this.setTimeValue('binge-end-time', timeline[timeline.length - 1].estEndDate);
+
+    this.hideLoading();
+    this.hideError();
+    this.hidePanels();
+    this.bingeDiv.style.display = 'block';
+  }
+
+  displayDeadline({ latestStartDate, deadlineDate, checks, bestListed }) {
+    this.setTimeValue('latest-start-time', latestStartDate);
+    document.getElementById('deadline-note').textContent = bestListed
+      ? this.t('deadlineBestListed', {
+          deadline: this.formatTime(deadlineDate),
+          showtime: this.formatTime(bestListed.showStartDate),
+        })
+      : this.t('deadlineLatestStart', { deadline: this.formatTime(deadlineDate) });
+
+    const list = document.getElementById('showtime-checks');
+    list.replaceChildren();
+    checks.forEach((check) => {
+      const item = document.createElement('li');
+      item.className = check.fits ? 'showtime-fits' : 'showtime-late';
+      if (check === bestListed) {
+        item.classList.add('showtime-best');
+      }
+      item.textContent = this.t(check.fits ? 'showtimeFits' : 'showtimeTooLate', {
+        showtime: this.formatTime(check.showStartDate),
+        end: this.formatTime(check.estEndDate),
+      });
+      list.appendChild(item);
+    });
+
+    this.deadlineDiv.style.display = 'block';
+  }
+
+  displayShowings(movie, showings, cutoffDate) {
+    const nameEl = document.getElementById('showings-name');
+    // Safely set movie title and metadata to prevent XSS
+    nameEl.textContent = movie.title;
+    const metaSpan = document.createElement('span');
+    metaSpan.className = 'movie-meta';
+    metaSpan.textContent = formatMovieMeta(movie, movie.runtime, this.locale);
+    nameEl.append(' ', metaSpan);
+
+    const rows = document.getElementById('showings-rows');
+    rows.replaceChildren();
+    showings.forEach(({ showStartDate, estStartDate, estEndDate, past, late }) => {
+      const item = document.createElement('tr');
+      item.classList.toggle('showing-past', past);
+      item.classList.toggle('showing-late', late);
+
+      const showtimeCell = document.createElement('td');
+      showtimeCell.textContent = this.formatTime(showStartDate);
+      const flags = [
+        past ? this.t('showingPast') : null,
+        late ? this.t('showingLate', { cutoff: this.formatTime(cutoffDate) }) : null,
+      ];
+      flags.filter(Boolean).forEach((text) => {
+        const flag = document.createElement('span');
+        flag.className = 'showing-flag';
+        flag.textContent = text;
+        showtimeCell.appendChild(flag);
+      });
+
+      const startCell = document.createElement('td');
+      startCell.textContent = this.formatTime(estStartDate);
+      const endCell = document.createElement('td');
+      endCell.textContent = this.formatTime(estEndDate);
+
+      item.append(showtimeCell, startCell, endCell);
+      rows.appendChild(item);
+    });
+
+    document.getElementById('showings-note').textContent = cutoffDate
+      ? this.t('showingsCutoffNote', {
+          count: showings.filter((entry) => !entry.late).length,
+          total: showings.length,
+          cutoff: this.formatTime(cutoffDate),
+        })
+      : '';
+
+    this.hideLoading();
+    this.hideError();
+    this.hidePanels();
+    this.showingsDiv.style.display = 'block';
+  }
+
+  displayCandidates(candidates, movieTitle, row) {
+    document.getElementById('candidates-heading').textContent = this.t('candidatesHeading', {
+      title: movieTitle,
+    });
+
+    const list = document.getElementById('candidates-list');
+    list.replaceChildren();
+
+    candidates.forEach((movie) => {
+      list.appendChild(
+        this.createCandidateItem(
+          movie,
+          movie.releaseYear,
+          formatOverviewSnippet(movie.overview),
+          () => this.handleCandidateSelected(movie, row),
+        ),
+      );
+    });
+
+    this.hideLoading();
+    this.hideError();
+    this.hidePanels();
+    this.candidatesDiv.style.display = 'block';
+    list.querySelector('button')?.focus();
+  }
+
+  // Builds a list item with a button for a movie or show ({ title,
+  // posterPath }): the poster, the title and year, and a line of detail
+  createCandidateItem(candidate, year, detail, onSelect) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'candidate';
+    button.addEventListener('click', onSelect);
+
+    if (candidate.posterPath) {
+      const poster = document.createElement('img');
+      poster.className = 'candidate-poster';
+      poster.src = `${TMDB_IMAGE_BASE_URL}${candidate.posterPath}`;
+      poster.alt = '';
+      poster.loading = 'lazy';
+      button.appendChild(poster);
+    }
+
+    // Safely set candidate text to prevent XSS
+    const text = document.createElement('span');
+    text.className = 'candidate-text';
+
+    const title = document.createElement('span');
+    title.className = 'candidate-title';
+    title.textContent = `${candidate.title} (${year ?? this.t('unknownYear')})`;
+    text.appendChild(title);
+
+    const overview = document.createElement('span');
+    overview.className = 'candidate-overview';
+    overview.textContent = detail;
+    text.appendChild(overview);
+
+    button.appendChild(text);
+
+    const item = document.createElement('li');
+    item.appendChild(button);
+    return item;
+  }
+
+  hidePanels() {
+    [
+      this.resultsDiv,
+      this.planDiv,
+      this.deadlineDiv,
+      this.showingsDiv,
+      this.bingeDiv,
+      this.candidatesDiv,
+    ].forEach((div) => {
+      div.style.display = 'none';
+    });
+    // A short link belongs to the calculation it was made for
+    this.shortLinkOutputs.forEach((output) => {
+      output.hidden = true;
+      output.textContent = '';
+    });
   }
 
   showLoading() {
     this.loadingDiv.style.display = 'block';
-    this.resultsDiv.style.display = 'none';
+    this.hidePanels();
     this.hideError();
     this.calculateBtn.disabled = true;
   }
@@ -245,7 +2526,7 @@ class MovieEndTimeCalculator {
   showError(message) {
     document.getElementById('error-message').textContent = message;
     this.errorDiv.style.display = 'block';
-    this.resultsDiv.style.display = 'none';
+    this.hidePanels();
     this.hideLoading();
   }
 
@@ -257,7 +2538,7 @@ class MovieEndTimeCalculator {
 const SUN_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="12" cy="12" r="4"/><path d="M12 2v2M12 20v2M4.93 4.93l1.41 1.41M17.66 17.66l1.41 1.41M2 12h2M20 12h2M6.34 17.66l-1.41 1.41M19.07 4.93l-1.41 1.41"/></svg>`;
 const MOON_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M12 3a6 6 0 0 0 9 9 9 9 0 1 1-9-9Z"/></svg>`;
 
-function initTheme() {
+function initTheme(locale) {
   const btn = document.getElementById('theme-btn');
   if (!btn) return;
 
@@ -271,7 +2552,7 @@ function initTheme() {
   const applyTheme = (theme, persist = false) => {
     document.documentElement.dataset.theme = theme;
     if (persist) localStorage.setItem('theme', theme);
-    btn.title = theme === 'dark' ? 'Switch to light mode' : 'Switch to dark mode';
+    btn.title = translate(locale, theme === 'dark' ? 'lightMode' : 'darkMode');
     btn.innerHTML = theme === 'dark' ? SUN_SVG : MOON_SVG;
   };
 
@@ -287,7 +2568,12 @@ function initTheme() {
 // Only initialize if running in browser environment
 if (typeof document !== 'undefined') {
   document.addEventListener('DOMContentLoaded', () => {
-    initTheme();
-    new MovieEndTimeCalculator();
+    // A lang URL parameter overrides the browser's language
+    const locale = pickLocale(
+      new URLSearchParams(window.location.search).get('lang'),
+      navigator.language,
+    );
+    initTheme(locale);
+    new MovieEndTimeCalculator(locale);
   });
 }
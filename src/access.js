@@ -0,0 +1,142 @@
+// Verifies the Cloudflare Access JWT (Cf-Access-Jwt-Assertion) so the API
+// stays closed even when a request reaches the Worker without passing through
+// Access, e.g. on the workers.dev route or a path a policy doesn't cover.
+// See https://developers.cloudflare.com/cloudflare-one/identity/authorization-cookie/validating-json/
+
+export const ACCESS_JWT_HEADER = 'Cf-Access-Jwt-Assertion';
+
+// Signing keys rotate every few weeks; an unknown kid also triggers a refetch
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+// Tolerated difference between the Access and Worker clocks
+const CLOCK_SKEW_SECONDS = 60;
+const SIGNING_ALGORITHM = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+
+// JWKS documents by URL: { keys, fetchedAt }
+const jwksCache = new Map();
+
+// Reads the Access settings from the environment. Resolves to null when
+// ACCESS_TEAM_DOMAIN or ACCESS_AUD is unset, in which case the Worker refuses
+// API requests unless ACCESS_DISABLED opts out (local development).
+// ACCESS_JWKS, a JWKS JSON string, replaces the team's published keys for tests.
+export function accessConfig(env) {
+  if (!env.ACCESS_TEAM_DOMAIN || !env.ACCESS_AUD) {
+    return null;
+  }
+
+  const teamDomain = env.ACCESS_TEAM_DOMAIN.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  return {
+    issuer: `https://${teamDomain}`,
+    audience: env.ACCESS_AUD,
+    jwksUrl: `https://${teamDomain}/cdn-cgi/access/certs`,
+    localJwks: env.ACCESS_JWKS ? JSON.parse(env.ACCESS_JWKS) : null,
+  };
+}
+
+function base64UrlToBytes(segment) {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)));
+}
+
+// Returns the team's signing keys, from the cache unless it has expired or
+// refresh is set. Throws when the JWKS can't be fetched.
+async function getSigningKeys(config, refresh = false) {
+  if (config.localJwks) {
+    return config.localJwks.keys;
+  }
+
+  const cached = jwksCache.get(config.jwksUrl);
+  if (cached && !refresh && Date.now() - cached.fetchedAt < JWKS_CACHE_TTL_MS) {
+    return cached.keys;
+  }
+
+  const response = await fetch(config.jwksUrl);
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+  const { keys = [] } = await response.json();
+  jwksCache.set(config.jwksUrl, { keys, fetchedAt: Date.now() });
+  return keys;
+}
+
+async function findSigningKey(config, kid) {
+  const keys = await getSigningKeys(config);
+  const key = keys.find((candidate) => candidate.kid === kid);
+  if (key || config.localJwks) {
+    return key;
+  }
+  // The keys may have rotated since they were cached
+  return (await getSigningKeys(config, true)).find((candidate) => candidate.kid === kid);
+}
+
+// Checks a token's signature, audience, issuer and expiry. Resolves to
+// { claims } or { error } describing why the token was rejected, however
+// garbled it is. Throws only when the signing keys can't be fetched.
+export async function verifyAccessJwt(token, config, now = Date.now()) {
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    return { error: 'Token is malformed' };
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(segments[0]);
+    claims = decodeSegment(segments[1]);
+  } catch {
+    return { error: 'Token is malformed' };
+  }
+  if (!isObject(header) || !isObject(claims)) {
+    return { error: 'Token is malformed' };
+  }
+  if (header.alg !== 'RS256') {
+    return { error: 'Token algorithm is not supported' };
+  }
+
+  const jwk = await findSigningKey(config, header.kid);
+  if (!jwk) {
+    return { error: 'Token signing key is unknown' };
+  }
+  let valid;
+  try {
+    const key = await crypto.subtle.importKey('jwk', jwk, SIGNING_ALGORITHM, false, ['verify']);
+    valid = await crypto.subtle.verify(
+      SIGNING_ALGORITHM,
+      key,
+      base64UrlToBytes(segments[2]),
+      new TextEncoder().encode(`${segments[0]}.${segments[1]}`),
+    );
+  } catch {
+    // A signature that isn't base64url, or a key WebCrypto can't use
+    valid = false;
+  }
+  if (!valid) {
+    return { error: 'Token signature is invalid' };
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(config.audience)) {
+    return { error: 'Token audience does not match' };
+  }
+  if (claims.iss !== config.issuer) {
+    return { error: 'Token issuer does not match' };
+  }
+  const nowSeconds = now / 1000;
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+    return { error: 'Token has expired' };
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > nowSeconds) {
+    return { error: 'Token is not valid yet' };
+  }
+
+  return { claims };
+}
@@ -0,0 +1,74 @@
+// Minimal RFC 5545 (iCalendar) serializer for exporting showings as VEVENTs.
+
+const PRODUCT_ID = '-//EndTimes//Movie End Times//EN';
+const MAX_LINE_OCTETS = 75;
+
+// Escapes TEXT property values (RFC 5545 section 3.3.11)
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Formats an instant as a UTC DATE-TIME, e.g. 20250116T003000Z
+export function formatDateTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+// Folds content lines longer than 75 octets (RFC 5545 section 3.1), taking
+// care not to split multi-byte UTF-8 characters.
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let chunk = '';
+  let chunkOctets = 0;
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (chunkOctets + octets > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      chunkOctets = 0;
+    }
+    chunk += char;
+    chunkOctets += octets;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+}
+
+// Builds a VCALENDAR with one VEVENT per event. Each event is
+// { uid, start, end, summary, description, url } with Date start/end.
+export function buildCalendar(events, now = new Date()) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
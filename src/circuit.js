@@ -0,0 +1,41 @@
+// Minimal circuit breaker. After `threshold` consecutive failures it opens for
+// `openMs`, during which callers should fail fast (or serve cached data)
+// instead of waiting on a service that is down. State lives in the isolate,
+// so each Worker instance trips on its own.
+export function createCircuitBreaker({ threshold, openMs }) {
+  let failures = 0;
+  let openUntil = 0;
+
+  return {
+    isOpen(now = Date.now()) {
+      return now < openUntil;
+    },
+
+    // Whole seconds until the breaker lets requests through again
+    retryAfterSeconds(now = Date.now()) {
+      return Math.max(1, Math.ceil((openUntil - now) / 1000));
+    },
+
+    recordSuccess() {
+      failures = 0;
+      openUntil = 0;
+    },
+
+    recordFailure(now = Date.now()) {
+      failures += 1;
+      if (failures >= threshold) {
+        openUntil = now + openMs;
+        // Half-open once the window passes: a single further failure reopens it
+        failures = threshold - 1;
+      }
+    },
+
+    reset() {
+      failures = 0;
+      openUntil = 0;
+    },
+  };
+}
+
+// Shared by every TMDB request in this isolate
+export const tmdbCircuit = createCircuitBreaker({ threshold: 5, openMs: 30000 });
@@ -1,98 +1,1659 @@
+import {
+  DEFAULT_BUFFER_VALUE,
+  DEFAULT_GAP_MINUTES,
+  IMDB_ID_REGEX,
+  MAX_BUFFER_MINUTES,
+  MAX_CANDIDATES,
+  MAX_GAP_MINUTES,
+  MOVIE_ID_REGEX,
+  DEFAULT_PREFERENCES,
+  THEATER_ID_REGEX,
+  TIME_REGEX,
+  YEAR_REGEX,
+  calculatePlan,
+  calculateTimes,
+  getReleaseYear,
+  isValidDate,
+  isValidTimeZone,
+  parseBufferParam,
+  parseGapParam,
+  parseMovieInput,
+  parseMovieParams,
+  parsePreferences,
+  rankMatches,
+  slugifyTheaterName,
+  suggestTheaterBuffer,
+  todayInTimeZone,
+  trailerMinutes,
+  zonedDateTime,
+} from '../public/calculator.js';
+import {
+  DEFAULT_LOCALE,
+  LANGUAGE_REGEX,
+  REGION_REGEX,
+  pickLocale,
+  tmdbLocale,
+  translate,
+} from '../public/i18n.js';
+import { ACCESS_JWT_HEADER, accessConfig, verifyAccessJwt } from './access.js';
+import { buildCalendar, formatDateTime } from './calendar.js';
+import { tmdbCircuit } from './circuit.js';
+import { injectPreview } from './preview.js';
+import { lookupRuntime } from './providers.js';
+import { apiError, createRouter, jsonResponse, parseOrigins, withCors } from './router.js';
+
 const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+const TMDB_MOVIE_PAGE_URL = 'https://www.themoviedb.org/movie';
+// Poster size used for link preview images
+const TMDB_PREVIEW_IMAGE_URL = 'https://image.tmdb.org/t/p/w500';
+// Link previews are given up after this long, so a slow TMDB never holds up
+// the page behind a shared link
+const PREVIEW_TIMEOUT_MS = 1500;
+// Type-ahead suggestions are capped so the dropdown stays short
+const MAX_SUGGESTIONS = 5;
+// Country whose rating (e.g. PG-13) v2 reports as the certification
+const CERTIFICATION_COUNTRY = 'US';
+// TMDB lists served by the list browser, by API path
+const MOVIE_LISTS = {
+  '/api/v2/now-playing': '/movie/now_playing',
+  '/api/v2/upcoming': '/movie/upcoming',
+};
+// TMDB serves at most 500 pages of any list
+const MAX_LIST_PAGE = 500;
+// Each list entry costs a details lookup (and maybe a runtime provider's), so
+// a page is capped at TMDB's usual 20 entries and looked up a few at a time to
+// stay within the Workers subrequest limit and clear of TMDB rate limits
+const MAX_LIST_RESULTS = 20;
+const LIST_DETAILS_CONCURRENCY = 4;
 
-function jsonResponse(body, status = 200) {
-  return new Response(JSON.stringify(body), {
-    status,
-    headers: { 'Content-Type': 'application/json' },
-  });
+// Edge cache keys live under a private origin and are built from the TMDB path
+// and query only, so the access token can never end up in a key
+const CACHE_KEY_ORIGIN = 'https://tmdb-cache.end-times.internal';
+const CACHED_AT_HEADER = 'X-EndTimes-Cached-At';
+// A movie's details in any language, with or without extras (but not the
+// lists under /movie/), are cached under the movie's purge version
+const MOVIE_CACHE_PATH_REGEX = /^\/movie\/(\d+)(?:\?|$)/;
+
+// Set by Cloudflare Access on every request it lets through, but spoofable
+// when a route bypasses Access, so only read when ACCESS_DISABLED is set
+const ACCESS_EMAIL_HEADER = 'Cf-Access-Authenticated-User-Email';
+
+// Short share links: /s/{code} redirects to the page with the stored query
+const SHORT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+const SHORT_CODE_LENGTH = 8;
+const SHORT_CODE_REGEX = new RegExp(`^[${SHORT_CODE_ALPHABET}]{${SHORT_CODE_LENGTH}}$`);
+const SHORT_LINK_TTL_SECONDS = 90 * 24 * 60 * 60;
+// Longer than any page URL the form builds, short of abuse as free storage
+const MAX_SHORT_LINK_QUERY_LENGTH = 4096;
+// KV caps a key's metadata at 1024 bytes of JSON, so longer queries (ASCII
+// once encoded) are only kept in the value
+const MAX_METADATA_QUERY_LENGTH = 900;
+
+// Trailer reports fade with age (see suggestTheaterBuffer) and are dropped
+// after a year, as are theaters nobody has reported on since
+const TRAILER_REPORT_TTL_SECONDS = 365 * 24 * 60 * 60;
+const MAX_THEATER_NAME_LENGTH = 80;
+const MAX_AUDITORIUM_LENGTH = 20;
+
+// maxAge applies to both the edge cache and the browser; once it passes,
+// entries are still served for staleWhileRevalidate seconds while a
+// background request refreshes them
+const SEARCH_CACHE_POLICY = { maxAge: 3600, staleWhileRevalidate: 600 };
+const DETAILS_CACHE_POLICY = { maxAge: 86400, staleWhileRevalidate: 3600 };
+// Theater listings change at most daily
+const LIST_CACHE_POLICY = { maxAge: 21600, staleWhileRevalidate: 3600 };
+
+// TMDB requests are idempotent GETs, so failures and 5xx responses are retried
+// with exponential backoff and full jitter. Each attempt is aborted after
+// timeoutMs.
+const TMDB_RETRY_POLICY = { attempts: 3, baseDelayMs: 100, timeoutMs: 5000 };
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-// Proxies a TMDB request, streaming the response body through on success.
-async function proxyTmdb(env, pathWithQuery, errorLabel, cacheSeconds) {
-  let response;
+// Makes one TMDB request. Resolves to { response }, or { error } when the
+// request failed or timed out.
+async function fetchTmdbOnce(env, pathWithQuery) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), TMDB_RETRY_POLICY.timeoutMs);
   try {
-    response = await fetch(`${TMDB_BASE_URL}${pathWithQuery}`, {
+    const response = await fetch(`${TMDB_BASE_URL}${pathWithQuery}`, {
       headers: {
         Authorization: `Bearer ${env.TMDB_READ_ACCESS_TOKEN}`,
         Accept: 'application/json',
       },
+      signal: controller.signal,
     });
+    return { response };
   } catch (error) {
+    return { error };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Fetches a TMDB path, retrying failures and 5xx responses. Resolves to
+// { response } with the unread upstream response on success, or
+// { errorResponse } ready to return to the client. Fails fast while the
+// circuit breaker is open.
+async function requestTmdb(env, pathWithQuery, errorLabel) {
+  if (tmdbCircuit.isOpen()) {
+    return {
+      errorResponse: apiError(
+        503,
+        errorLabel,
+        { message: 'TMDB API temporarily unavailable' },
+        { 'Retry-After': tmdbCircuit.retryAfterSeconds().toString() },
+      ),
+    };
+  }
+
+  let result;
+  for (let attempt = 1; attempt <= TMDB_RETRY_POLICY.attempts; attempt++) {
+    if (attempt > 1) {
+      await sleep(Math.random() * TMDB_RETRY_POLICY.baseDelayMs * 2 ** (attempt - 2));
+    }
+    result = await fetchTmdbOnce(env, pathWithQuery);
+    if (result.response && result.response.status < 500) {
+      break;
+    }
+    if (result.response && attempt < TMDB_RETRY_POLICY.attempts) {
+      await result.response.body?.cancel();
+    }
+  }
+
+  const { response, error } = result;
+  if (error) {
+    tmdbCircuit.recordFailure();
     console.error(JSON.stringify({ message: 'TMDB request failed', error: error.message }));
-    return jsonResponse({ error: 'Upstream request failed', message: 'Unable to reach TMDB' }, 502);
+    return {
+      errorResponse: apiError(502, 'Upstream request failed', { message: 'Unable to reach TMDB' }),
+    };
+  }
+
+  if (response.status >= 500) {
+    tmdbCircuit.recordFailure();
+  } else {
+    tmdbCircuit.recordSuccess();
   }
 
   if (!response.ok) {
     // Discard the unread upstream body so workerd doesn't hold the connection open
     await response.body?.cancel();
-    return jsonResponse(
-      { error: errorLabel, message: 'TMDB API temporarily unavailable' },
-      response.status >= 500 ? 503 : 400,
-    );
+
+    if (response.status === 429) {
+      const retryAfter = response.headers.get('Retry-After');
+      return {
+        errorResponse: apiError(
+          429,
+          errorLabel,
+          { message: 'TMDB is rate limiting requests' },
+          retryAfter ? { 'Retry-After': retryAfter } : {},
+        ),
+      };
+    }
+    return {
+      errorResponse: apiError(response.status >= 500 ? 503 : 400, errorLabel, {
+        message: 'TMDB API temporarily unavailable',
+      }),
+    };
+  }
+
+  return { response };
+}
+
+// Builds the edge cache key for a TMDB path. Query parameters are sorted and
+// the search text is case- and whitespace-normalized so equivalent requests
+// share an entry. A purge version, when given, starts the path over.
+function tmdbCacheKey(pathWithQuery, version = null) {
+  const url = new URL(pathWithQuery, CACHE_KEY_ORIGIN);
+  const query = url.searchParams.get('query');
+  if (query !== null) {
+    url.searchParams.set('query', query.trim().replace(/\s+/g, ' ').toLowerCase());
+  }
+  if (version) {
+    url.searchParams.set('version', version);
+  }
+  url.searchParams.sort();
+  return new Request(url.toString());
+}
+
+// The purge version of a movie details path, kept in the CACHE_VERSIONS KV
+// namespace. The Cache API is per data center, but KV is global, so a purge
+// reaches every location (and language) once KV has propagated it. Null for
+// other paths, movies never purged, or when the namespace isn't bound.
+async function cacheVersion(env, pathWithQuery) {
+  const movieId = pathWithQuery.match(MOVIE_CACHE_PATH_REGEX)?.[1];
+  if (!movieId || !env.CACHE_VERSIONS) {
+    return null;
+  }
+  return env.CACHE_VERSIONS.get(`movie:${movieId}`);
+}
+
+// Hands background work to the runtime when an execution context is available;
+// otherwise returns the promise so the caller can await it.
+function runInBackground(ctx, promise) {
+  if (ctx) {
+    ctx.waitUntil(promise);
+    return undefined;
+  }
+  return promise;
+}
+
+async function storeInCache(env, pathWithQuery, errorLabel, policy, cacheKey) {
+  const { response, errorResponse } = await requestTmdb(env, pathWithQuery, errorLabel);
+  if (errorResponse) {
+    return { errorResponse };
   }
 
-  return new Response(response.body, {
+  const body = await response.text();
+  const cached = new Response(body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': `public, max-age=${policy.maxAge + policy.staleWhileRevalidate}`,
+      [CACHED_AT_HEADER]: Date.now().toString(),
+    },
+  });
+
+  return { response: cached, put: caches.default.put(cacheKey, cached.clone()) };
+}
+
+// Fetches a TMDB path through the Workers Cache API. Resolves like requestTmdb,
+// plus cacheStatus: HIT, STALE (served while refreshing in the background, or
+// as-is while the TMDB circuit breaker is open) or MISS. Errors are never cached.
+async function requestCachedTmdb(env, ctx, pathWithQuery, errorLabel, policy) {
+  const cacheKey = tmdbCacheKey(pathWithQuery, await cacheVersion(env, pathWithQuery));
+  const cached = await caches.default.match(cacheKey);
+
+  if (cached) {
+    const ageSeconds = (Date.now() - Number(cached.headers.get(CACHED_AT_HEADER))) / 1000;
+    if (ageSeconds <= policy.maxAge) {
+      return { response: cached, cacheStatus: 'HIT' };
+    }
+    if (tmdbCircuit.isOpen()) {
+      return { response: cached, cacheStatus: 'STALE' };
+    }
+
+    const refresh = storeInCache(env, pathWithQuery, errorLabel, policy, cacheKey)
+      .then((result) => result.put)
+      .catch((error) => {
+        console.error(JSON.stringify({ message: 'Cache refresh failed', error: error.message }));
+      });
+    await runInBackground(ctx, refresh);
+    return { response: cached, cacheStatus: 'STALE' };
+  }
+
+  const { response, errorResponse, put } = await storeInCache(
+    env,
+    pathWithQuery,
+    errorLabel,
+    policy,
+    cacheKey,
+  );
+  if (errorResponse) {
+    return { errorResponse };
+  }
+  await runInBackground(ctx, put);
+  return { response, cacheStatus: 'MISS' };
+}
+
+// Proxies a TMDB request through the edge cache. With a transform, the TMDB
+// JSON is reshaped before it is returned (the v2 schema); otherwise it is
+// passed through as is.
+async function proxyTmdb(env, ctx, pathWithQuery, errorLabel, policy, transform = null) {
+  const { response, errorResponse, cacheStatus } = await requestCachedTmdb(
+    env,
+    ctx,
+    pathWithQuery,
+    errorLabel,
+    policy,
+  );
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  const body = transform ? JSON.stringify(transform(await response.json())) : response.body;
+  return new Response(body, {
     headers: {
       'Content-Type': 'application/json',
       // The app sits behind Cloudflare Access, so keep responses out of shared caches
-      'Cache-Control': `private, max-age=${cacheSeconds}`,
+      'Cache-Control': `private, max-age=${policy.maxAge}`,
+      'X-Cache': cacheStatus,
     },
   });
 }
 
+function summarizeMovie(movie) {
+  return { id: movie.id, title: movie.title, year: getReleaseYear(movie) };
+}
+
+// v2 schema: the documented EndTimes shapes returned under /api/v2/, so
+// clients don't depend on TMDB field names. Search results are
+// { id, title, year, posterPath, overview }.
+function toSearchResult(movie) {
+  return {
+    ...summarizeMovie(movie),
+    posterPath: movie.poster_path ?? null,
+    overview: movie.overview ?? '',
+  };
+}
+
+// Picks the theatrical rating for CERTIFICATION_COUNTRY from a movie fetched
+// with append_to_response=release_dates, or null when it has none
+function findCertification(movie) {
+  const country = movie.release_dates?.results?.find(
+    (result) => result.iso_3166_1 === CERTIFICATION_COUNTRY,
+  );
+  const ratings = (country?.release_dates ?? []).filter((release) => release.certification);
+  // Release type 3 is the theatrical release
+  const rating = ratings.find((release) => release.type === 3) ?? ratings[0];
+  return rating?.certification ?? null;
+}
+
+// v2 movie: { id, title, year, runtime, runtimeProvider, posterPath,
+// certification }, from a movie withRuntime has filled in. runtime and
+// runtimeProvider are null when no provider knows the runtime.
+function toMovieDetails(movie) {
+  return {
+    ...summarizeMovie(movie),
+    runtime: movie.runtime || null,
+    runtimeProvider: movie.runtimeProvider ?? null,
+    posterPath: movie.poster_path ?? null,
+    certification: findCertification(movie),
+  };
+}
+
+// Sets runtime and runtimeProvider on a TMDB movie from the first provider
+// that knows it (see providers.js). tmdb is the movie's TMDB details, or null
+// when they couldn't be fetched and movie is a search or list result instead.
+async function withRuntime(env, ctx, movie, tmdb) {
+  const { runtime, provider } = await lookupRuntime(env, ctx, {
+    imdbId: tmdb?.imdb_id || null,
+    title: movie.title,
+    year: getReleaseYear(movie),
+    tmdb,
+  });
+  return { ...movie, runtime, runtimeProvider: provider };
+}
+
+// v2 search: { match, alternates } with the best match (as picked by the
+// frontend and /api/endtime) first and the rest of the results in rank order.
+// match is null when nothing was found.
+function toSearchResponse(data) {
+  const ranked = rankMatches(data.results ?? [], new Date().getUTCFullYear());
+  return {
+    match: ranked.length > 0 ? toSearchResult(ranked[0]) : null,
+    alternates: ranked.slice(1).map(toSearchResult),
+  };
+}
+
+// v2 IMDb lookup: the search shape, with the movie TMDB has for the id as the
+// match and no alternates
+function toFindResponse(data) {
+  const [movie] = data.movie_results ?? [];
+  return { match: movie ? toSearchResult(movie) : null, alternates: [] };
+}
+
+// v2 suggestions: { suggestions: [{ id, title, year, posterPath }] }, the top
+// few results in TMDB's relevance order, for type-ahead
+function toSuggestResponse(data) {
+  return {
+    suggestions: (data.results ?? []).slice(0, MAX_SUGGESTIONS).map((movie) => ({
+      ...summarizeMovie(movie),
+      posterPath: movie.poster_path ?? null,
+    })),
+  };
+}
+
+// v2 TV shows: { id, title, year, posterPath }, with TMDB's name and
+// first_air_date under the movie field names
+function summarizeShow(show) {
+  return {
+    id: show.id,
+    title: show.name,
+    year: show.first_air_date ? parseInt(show.first_air_date.split('-')[0]) : null,
+    posterPath: show.poster_path ?? null,
+  };
+}
+
+// v2 TV search: { results: [{ id, title, year, posterPath, overview }] } in
+// TMDB's relevance order
+function toShowSearchResponse(data) {
+  return {
+    results: (data.results ?? []).map((show) => ({
+      ...summarizeShow(show),
+      overview: show.overview ?? '',
+    })),
+  };
+}
+
+// v2 TV show: the summary plus its seasons as
+// [{ seasonNumber, name, episodeCount }]. Season 0 holds the specials.
+function toShowDetails(show) {
+  return {
+    ...summarizeShow(show),
+    seasons: (show.seasons ?? []).map((season) => ({
+      seasonNumber: season.season_number,
+      name: season.name,
+      episodeCount: season.episode_count,
+    })),
+  };
+}
+
+// v2 season: { seasonNumber, name, episodes: [{ episodeNumber, name, runtime }] }.
+// runtime is null for episodes TMDB has no runtime for (often unaired ones).
+function toSeasonDetails(season) {
+  return {
+    seasonNumber: season.season_number,
+    name: season.name,
+    episodes: (season.episodes ?? []).map((episode) => ({
+      episodeNumber: episode.episode_number,
+      name: episode.name,
+      runtime: episode.runtime || null,
+    })),
+  };
+}
+
+// Reads the optional language and region parameters passed on to TMDB, which
+// localize titles and overviews. Resolves to { locale } or { errorResponse }.
+function parseLocaleParams(url) {
+  const language = url.searchParams.get('language');
+  const region = url.searchParams.get('region');
+
+  if (language !== null && !LANGUAGE_REGEX.test(language)) {
+    return {
+      errorResponse: apiError(
+        400,
+        'language parameter must be a language code such as en or de-DE',
+      ),
+    };
+  }
+  if (region !== null && !REGION_REGEX.test(region)) {
+    return {
+      errorResponse: apiError(400, 'region parameter must be a country code such as US'),
+    };
+  }
+
+  return { locale: { language, region } };
+}
+
+// Appends the locale's TMDB parameters to a path. Region only affects
+// searches (it prefers titles released in that country), so details paths
+// take the language alone.
+function withLocale(pathWithQuery, { language = null, region = null }) {
+  const params = new URLSearchParams();
+  if (language) {
+    params.set('language', language);
+  }
+  if (region) {
+    params.set('region', region);
+  }
+  if (!params.size) {
+    return pathWithQuery;
+  }
+  return `${pathWithQuery}${pathWithQuery.includes('?') ? '&' : '?'}${params}`;
+}
+
+// year limits the results to movies first released that year
+function searchPath(query, locale, year = null) {
+  const yearParam = year ? `&primary_release_year=${year}` : '';
+  return withLocale(`/search/movie?query=${encodeURIComponent(query)}${yearParam}`, locale);
+}
+
+function findPath(imdbId, locale) {
+  return withLocale(`/find/${imdbId}?external_source=imdb_id`, { language: locale.language });
+}
+
+function movieDetailsPath(movieId, locale) {
+  return withLocale(`/movie/${movieId}`, { language: locale.language });
+}
+
+function v2MovieDetailsPath(movieId, locale) {
+  return withLocale(`/movie/${movieId}?append_to_response=release_dates`, {
+    language: locale.language,
+  });
+}
+
+// TMDB's TV search has no region parameter
+function showSearchPath(query, locale) {
+  return withLocale(`/search/tv?query=${encodeURIComponent(query)}`, {
+    language: locale.language,
+  });
+}
+
+function showDetailsPath(showId, locale) {
+  return withLocale(`/tv/${showId}`, { language: locale.language });
+}
+
+function seasonDetailsPath(showId, seasonNumber, locale) {
+  return withLocale(`/tv/${showId}/season/${seasonNumber}`, { language: locale.language });
+}
+
+// Validates the time, tz and date parameters shared by the calculation
+// endpoints. Resolves to { time, timeZone, showDate } or { errorResponse }.
+function parseShowingParams(url) {
+  const time = url.searchParams.get('time');
+  const timeZone = url.searchParams.get('tz');
+  const date = url.searchParams.get('date');
+
+  if (!time || !TIME_REGEX.test(time)) {
+    return {
+      errorResponse: apiError(400, 'time parameter must be in HH:MM format'),
+    };
+  }
+  // Without a zone the showtime would be read in UTC and be off by the
+  // theater's offset, so callers must say where the theater is
+  if (!timeZone) {
+    return { errorResponse: apiError(400, 'tz parameter is required') };
+  }
+  if (!isValidTimeZone(timeZone)) {
+    return { errorResponse: apiError(400, 'tz parameter is not a valid time zone') };
+  }
+  if (date && !isValidDate(date)) {
+    return {
+      errorResponse: apiError(400, 'date parameter must be in YYYY-MM-DD format'),
+    };
+  }
+
+  return { time, timeZone, showDate: date || todayInTimeZone(new Date(), timeZone) };
+}
+
+// Searches for a title parsed by parseMovieInput, retrying a trailing year as
+// part of the title when nothing came out that year. Resolves to { results }
+// or { errorResponse }.
+async function searchMovies(env, ctx, { title, year, fallbackTitle }, locale) {
+  const search = await requestCachedTmdb(
+    env,
+    ctx,
+    searchPath(title, locale, year),
+    'Failed to search movies',
+    SEARCH_CACHE_POLICY,
+  );
+  if (search.errorResponse) {
+    return search;
+  }
+  const { results = [] } = await search.response.json();
+  if (results.length === 0 && fallbackTitle) {
+    return searchMovies(env, ctx, { title: fallbackTitle, year: null }, locale);
+  }
+  return { results };
+}
+
+// Looks up the TMDB id for an IMDb id. Resolves to { movieId } (null when
+// TMDB has no movie for it) or { errorResponse }.
+async function findMovieId(env, ctx, imdbId, locale) {
+  const find = await requestCachedTmdb(
+    env,
+    ctx,
+    findPath(imdbId, locale),
+    'Failed to look up IMDb id',
+    DETAILS_CACHE_POLICY,
+  );
+  if (find.errorResponse) {
+    return find;
+  }
+  const { movie_results: results = [] } = await find.response.json();
+  return { movieId: results[0]?.id ?? null };
+}
+
+// Resolves a title (or TMDB id) to movie details the way the frontend does:
+// an id, IMDb id or movie URL skips the search, otherwise the best match is
+// picked. Resolves to { movie, alternates } or { errorResponse }.
+async function resolveMovie(env, ctx, { title, id }, currentYear, locale) {
+  let movieId = id;
+  let alternates = [];
+  let searchMatch = null;
+  const input = movieId ? null : parseMovieInput(title, currentYear);
+
+  if (input?.tmdbId) {
+    movieId = input.tmdbId;
+  } else if (input?.imdbId) {
+    const found = await findMovieId(env, ctx, input.imdbId, locale);
+    if (found.errorResponse) {
+      return found;
+    }
+    if (!found.movieId) {
+      return {
+        errorResponse: apiError(404, 'No movies found with that IMDb id', { title }),
+      };
+    }
+    movieId = found.movieId;
+  } else if (input) {
+    const search = await searchMovies(env, ctx, input, locale);
+    if (search.errorResponse) {
+      return search;
+    }
+    const { results } = search;
+    if (results.length === 0) {
+      return {
+        errorResponse: apiError(404, 'No movies found with that title', { title }),
+      };
+    }
+    const ranked = rankMatches(results, currentYear);
+    searchMatch = ranked[0];
+    movieId = searchMatch.id;
+    alternates = ranked.slice(1, MAX_CANDIDATES).map(summarizeMovie);
+  }
+
+  const details = await requestCachedTmdb(
+    env,
+    ctx,
+    movieDetailsPath(movieId, locale),
+    'Failed to get movie details',
+    DETAILS_CACHE_POLICY,
+  );
+  // When the details fail, another provider may still know the runtime of the
+  // movie the search found
+  if (details.errorResponse && !searchMatch) {
+    return details;
+  }
+  const tmdb = details.errorResponse ? null : await details.response.json();
+  const movie = await withRuntime(env, ctx, tmdb ?? searchMatch, tmdb);
+  if (!movie.runtime && details.errorResponse) {
+    return details;
+  }
+  if (!movie.runtime) {
+    return {
+      errorResponse: apiError(422, 'Runtime information not available for this movie', {
+        code: 'runtime_unavailable',
+        title: movie.title,
+      }),
+    };
+  }
+
+  return { movie, alternates };
+}
+
+// Searches (or looks up by id), picks the best match and calculates the
+// estimated start and end in one request, for clients that don't run the
+// frontend. Uses the same match selection and time math as public/script.js.
+async function handleEndTime(env, ctx, url, locale) {
+  const title = url.searchParams.get('movie')?.trim();
+  const id = url.searchParams.get('id');
+  const buffer = url.searchParams.get('buffer') ?? DEFAULT_BUFFER_VALUE;
+
+  if (!title && !id) {
+    return apiError(400, 'movie or id parameter is required');
+  }
+  if (id && !MOVIE_ID_REGEX.test(id)) {
+    return apiError(400, 'Movie ID must be numeric');
+  }
+  const bufferMinutes = parseBufferParam(buffer);
+  if (bufferMinutes === null) {
+    return apiError(400, 'buffer parameter is not a valid trailer duration');
+  }
+  const showing = parseShowingParams(url);
+  if (showing.errorResponse) {
+    return showing.errorResponse;
+  }
+
+  const { movie, alternates, errorResponse } = await resolveMovie(
+    env,
+    ctx,
+    { title, id },
+    Number(showing.showDate.split('-')[0]),
+    locale,
+  );
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  const showtime = zonedDateTime(showing.showDate, showing.time, showing.timeZone);
+  const { estStartDate, estEndDate } = calculateTimes(
+    showtime,
+    Number(bufferMinutes),
+    movie.runtime,
+  );
+
+  return jsonResponse({
+    movie: summarizeMovie(movie),
+    runtime: movie.runtime,
+    runtimeProvider: movie.runtimeProvider,
+    buffer: Number(bufferMinutes),
+    timeZone: showing.timeZone,
+    showtime: showtime.toISOString(),
+    estimatedStart: estStartDate.toISOString(),
+    estimatedEnd: estEndDate.toISOString(),
+    alternates,
+  });
+}
+
+function formatZonedTime(date, timeZone, language) {
+  return date.toLocaleTimeString(language ?? 'en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+  });
+}
+
+// Exports a showing (or a whole plan) as an iCalendar file with one VEVENT per
+// movie, spanning the trailer block through the estimated end. Accepts the
+// same movie/buffer/id/gap parameters as the shareable page URL, and writes
+// the event text in the requested language.
+async function handleCalendar(env, ctx, url, locale) {
+  const movies = parseMovieParams(url.searchParams);
+  if (movies.length === 0) {
+    return apiError(400, 'movie parameter is required');
+  }
+  if (url.searchParams.getAll('buffer').some((buffer) => parseBufferParam(buffer) === null)) {
+    return apiError(400, 'buffer parameter is not a valid trailer duration');
+  }
+  const gap = url.searchParams.get('gap');
+  const gapMinutes = gap === null ? DEFAULT_GAP_MINUTES : parseGapParam(gap);
+  if (gapMinutes === null) {
+    return apiError(400, `gap parameter must be between 0 and ${MAX_GAP_MINUTES} minutes`);
+  }
+  const showing = parseShowingParams(url);
+  if (showing.errorResponse) {
+    return showing.errorResponse;
+  }
+
+  const currentYear = Number(showing.showDate.split('-')[0]);
+  const resolved = [];
+  for (const { title, id } of movies) {
+    const { movie, errorResponse } = await resolveMovie(
+      env,
+      ctx,
+      { title, id },
+      currentYear,
+      locale,
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+    resolved.push(movie);
+  }
+
+  const legs = resolved.map((movie, index) => ({
+    bufferMinutes: Number(movies[index].buffer ?? DEFAULT_BUFFER_VALUE),
+    runtime: movie.runtime,
+  }));
+  const timeline = calculatePlan(
+    zonedDateTime(showing.showDate, showing.time, showing.timeZone),
+    legs,
+    gapMinutes,
+  );
+
+  const messageLocale = locale.language ?? DEFAULT_LOCALE;
+  const formatTime = (date) => formatZonedTime(date, showing.timeZone, locale.language);
+  const events = resolved.map((movie, index) => {
+    const { showStartDate, estStartDate, estEndDate } = timeline[index];
+    const tmdbUrl = `${TMDB_MOVIE_PAGE_URL}/${movie.id}`;
+    return {
+      uid: `${formatDateTime(showStartDate)}-${movie.id}@end-times`,
+      start: showStartDate,
+      end: estEndDate,
+      summary: movie.title,
+      description: [
+        translate(messageLocale, 'calendarTrailers', {
+          start: formatTime(showStartDate),
+          end: formatTime(estStartDate),
+        }),
+        translate(messageLocale, 'calendarFeature', {
+          start: formatTime(estStartDate),
+          end: formatTime(estEndDate),
+          minutes: movie.runtime,
+        }),
+        tmdbUrl,
+      ].join('\n'),
+      url: tmdbUrl,
+    };
+  });
+
+  return new Response(buildCalendar(events), {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="end-times.ics"',
+    },
+  });
+}
+
+// Describes a shared calculation link (the page URL's movie, buffer, id, gap,
+// time, tz, date and lang parameters) as a link preview { title, description,
+// imageUrl, url }. The description gives the showtime and estimated end when
+// the link has a start time. Resolves to null when a movie can't be resolved.
+async function buildSharePreview(env, ctx, url) {
+  const movies = parseMovieParams(url.searchParams);
+  const time = url.searchParams.get('time');
+  const tz = url.searchParams.get('tz');
+  const timeZone = tz && isValidTimeZone(tz) ? tz : 'UTC';
+  const date = url.searchParams.get('date');
+  const showDate = date && isValidDate(date) ? date : todayInTimeZone(new Date(), timeZone);
+  const gapMinutes = parseGapParam(url.searchParams.get('gap')) ?? DEFAULT_GAP_MINUTES;
+  const messageLocale = pickLocale(url.searchParams.get('lang'), null);
+  // Matches what the page requests, so the lookups share its cache entries
+  const locale = tmdbLocale(messageLocale);
+
+  const lookups = await Promise.all(
+    movies.map(({ title, id }) =>
+      resolveMovie(env, ctx, { title, id }, Number(showDate.split('-')[0]), locale),
+    ),
+  );
+  if (lookups.length === 0 || lookups.some(({ errorResponse }) => errorResponse)) {
+    return null;
+  }
+  const resolved = lookups.map(({ movie }) => movie);
+
+  let description = null;
+  if (time && TIME_REGEX.test(time)) {
+    const timeline = calculatePlan(
+      zonedDateTime(showDate, time, timeZone),
+      resolved.map((movie, index) => ({
+        bufferMinutes: Number(movies[index].buffer ?? DEFAULT_BUFFER_VALUE),
+        runtime: movie.runtime,
+      })),
+      gapMinutes,
+    );
+    const formatTime = (instant) => formatZonedTime(instant, timeZone, locale.language);
+    description = translate(messageLocale, 'previewDescription', {
+      showtime: formatTime(timeline[0].showStartDate),
+      end: formatTime(timeline[timeline.length - 1].estEndDate),
+    });
+  }
+
+  const posterPath = resolved[0].poster_path;
+  return {
+    title: resolved.map((movie) => movie.title).join(' + '),
+    description,
+    imageUrl: posterPath ? `${TMDB_PREVIEW_IMAGE_URL}${posterPath}` : null,
+    url: url.toString(),
+  };
+}
+
+// Serves index.html for a shared calculation link with Open Graph/Twitter
+// tags describing it. The lookups query TMDB, so they need the same Access
+// check as the API. The page is otherwise unchanged, and it is served without
+// a preview whenever that check or the lookup fails or takes too long.
+async function handlePagePreview(request, env, ctx, url) {
+  const page = await env.ASSETS.fetch(request);
+  const isHtml = page.headers.get('Content-Type')?.startsWith('text/html');
+  if (!page.ok || !isHtml || !env.TMDB_READ_ACCESS_TOKEN) {
+    return page;
+  }
+  const { errorResponse } = await authenticateApiRequest(request, env);
+  if (errorResponse) {
+    await errorResponse.body?.cancel();
+    return page;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), PREVIEW_TIMEOUT_MS);
+  });
+  try {
+    const preview = await Promise.race([buildSharePreview(env, ctx, url), timeout]);
+    return preview ? injectPreview(page, preview) : page;
+  } catch (error) {
+    console.error(JSON.stringify({ message: 'Link preview failed', error: error.message }));
+    return page;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// v2 movie details, with the runtime from another provider when TMDB has none
+async function handleMovieDetails(env, ctx, movieId, locale) {
+  const details = await requestCachedTmdb(
+    env,
+    ctx,
+    v2MovieDetailsPath(movieId, locale),
+    'Failed to get movie details',
+    DETAILS_CACHE_POLICY,
+  );
+  if (details.errorResponse) {
+    return details.errorResponse;
+  }
+  const tmdb = await details.response.json();
+
+  return jsonResponse(toMovieDetails(await withRuntime(env, ctx, tmdb, tmdb)), 200, {
+    // The app sits behind Cloudflare Access, so keep responses out of shared caches
+    'Cache-Control': `private, max-age=${DETAILS_CACHE_POLICY.maxAge}`,
+    'X-Cache': details.cacheStatus,
+  });
+}
+
+// Maps items through an async fn with at most limit calls in flight,
+// resolving to the results in the items' order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+}
+
+// Lists the movies now playing (or upcoming) in a region, one TMDB page at a
+// time, as { page, totalPages, results } with v2 movies. Every entry carries
+// its runtime so one start time and buffer can be applied to each film; the
+// details share cache entries with /api/v2/movie/{id}.
+async function handleMovieList(env, ctx, url, listPath, locale) {
+  const page = url.searchParams.get('page') ?? '1';
+  if (!/^\d+$/.test(page) || Number(page) < 1 || Number(page) > MAX_LIST_PAGE) {
+    return apiError(400, `page parameter must be a whole number from 1 to ${MAX_LIST_PAGE}`);
+  }
+
+  const list = await requestCachedTmdb(
+    env,
+    ctx,
+    withLocale(`${listPath}?page=${Number(page)}`, locale),
+    'Failed to get movie list',
+    LIST_CACHE_POLICY,
+  );
+  if (list.errorResponse) {
+    return list.errorResponse;
+  }
+  const { results = [], total_pages: totalPages = 1 } = await list.response.json();
+
+  const movies = await mapWithConcurrency(
+    results.slice(0, MAX_LIST_RESULTS),
+    LIST_DETAILS_CONCURRENCY,
+    async (movie) => {
+      const details = await requestCachedTmdb(
+        env,
+        ctx,
+        v2MovieDetailsPath(movie.id, locale),
+        'Failed to get movie details',
+        DETAILS_CACHE_POLICY,
+      );
+      // A movie whose details can't be fetched is still listed, with a runtime
+      // if another provider knows it
+      const tmdb = details.errorResponse ? null : await details.response.json();
+      return toMovieDetails(await withRuntime(env, ctx, tmdb ?? movie, tmdb));
+    },
+  );
+
+  return jsonResponse(
+    { page: Number(page), totalPages: Math.min(totalPages, MAX_LIST_PAGE), results: movies },
+    200,
+    {
+      'Cache-Control': `private, max-age=${LIST_CACHE_POLICY.maxAge}`,
+      'X-Cache': list.cacheStatus,
+    },
+  );
+}
+
+// Checks the Access JWT against ACCESS_TEAM_DOMAIN and ACCESS_AUD. Resolves to
+// { identity } (the verified token's claims) or { errorResponse }. Without
+// that configuration every request is refused, unless ACCESS_DISABLED is set
+// for local development, where the Access email header (if any) stands in
+// for a verified identity.
+async function authenticateApiRequest(request, env) {
+  const config = accessConfig(env);
+  if (!config) {
+    if (env.ACCESS_DISABLED === 'true') {
+      const email = request.headers.get(ACCESS_EMAIL_HEADER);
+      return { identity: email ? { email } : null };
+    }
+    console.error(JSON.stringify({ message: 'Access verification not configured' }));
+    return {
+      errorResponse: apiError(500, 'Authentication not configured', { code: 'not_configured' }),
+    };
+  }
+
+  const token = request.headers.get(ACCESS_JWT_HEADER);
+  if (!token) {
+    return {
+      errorResponse: apiError(401, 'Authentication required', {
+        message: 'Missing Cloudflare Access token',
+      }),
+    };
+  }
+
+  let result;
+  try {
+    result = await verifyAccessJwt(token, config);
+  } catch (error) {
+    console.error(JSON.stringify({ message: 'Access JWKS request failed', error: error.message }));
+    return {
+      errorResponse: apiError(503, 'Authentication unavailable', {
+        message: 'Unable to verify Access token',
+      }),
+    };
+  }
+  if (result.error) {
+    return {
+      errorResponse: apiError(401, 'Authentication required', { message: result.error }),
+    };
+  }
+
+  return { identity: result.claims };
+}
+
+// The signed-in user's email from their identity. Undefined for service
+// tokens and unauthenticated local requests, which have none.
+function accessEmail(identity) {
+  return identity?.email?.trim().toLowerCase();
+}
+
+// The signed-in user's email and the KV namespace env[binding] that holds
+// their data. Resolves to { email, store }, or to { errorResponse } when the
+// request has no Access identity or the namespace isn't bound.
+function userStore(env, identity, binding, label) {
+  const email = accessEmail(identity);
+  if (!email) {
+    return { errorResponse: apiError(401, 'No Cloudflare Access identity on this request') };
+  }
+  if (!env[binding]) {
+    return {
+      errorResponse: apiError(500, `${label} storage not configured`, { code: 'not_configured' }),
+    };
+  }
+  return { email, store: env[binding] };
+}
+
+async function readJsonBody(request) {
+  try {
+    return { body: await request.json() };
+  } catch {
+    return { errorResponse: apiError(400, 'Request body must be JSON') };
+  }
+}
+
+// The signed-in user's preferences, stored in KV under their Cloudflare
+// Access email. Users who haven't saved any get the defaults.
+async function getPreferences({ env, identity }) {
+  const { email, store, errorResponse } = userStore(env, identity, 'PREFERENCES', 'Preferences');
+  if (errorResponse) {
+    return errorResponse;
+  }
+  const stored = await store.get(`preferences:${email}`, 'json');
+  // Anything saved under older rules that no longer validates falls back to the defaults
+  const { preferences = DEFAULT_PREFERENCES } = stored ? parsePreferences(stored) : {};
+  return jsonResponse(preferences);
+}
+
+async function putPreferences({ request, env, identity }) {
+  const { email, store, errorResponse } = userStore(env, identity, 'PREFERENCES', 'Preferences');
+  if (errorResponse) {
+    return errorResponse;
+  }
+  const { body, errorResponse: bodyError } = await readJsonBody(request);
+  if (bodyError) {
+    return bodyError;
+  }
+  const { preferences, error } = parsePreferences(body);
+  if (error) {
+    return apiError(400, error);
+  }
+  await store.put(`preferences:${email}`, JSON.stringify(preferences));
+  return jsonResponse(preferences);
+}
+
+function generateShortCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(SHORT_CODE_LENGTH));
+  // The alphabet has fewer than 256 letters, so the modulo slightly favours
+  // the first few; that's fine for codes that only need to be hard to guess
+  return Array.from(bytes, (byte) => SHORT_CODE_ALPHABET[byte % SHORT_CODE_ALPHABET.length]).join(
+    '',
+  );
+}
+
+function shortLinkUrl(url, code) {
+  return `${url.origin}/s/${code}`;
+}
+
+// The signed-in user's short links. Each link is stored under link:{code} as
+// { query, email, createdAt } with an expiry, and indexed under
+// links:{email}:{code} so a user can list their own.
+async function createShortLink({ request, env, url, identity }) {
+  const { email, store, errorResponse } = userStore(env, identity, 'SHORT_LINKS', 'Short link');
+  if (errorResponse) {
+    return errorResponse;
+  }
+  const { body, errorResponse: bodyError } = await readJsonBody(request);
+  if (bodyError) {
+    return bodyError;
+  }
+  if (typeof body?.query !== 'string' || body.query.length > MAX_SHORT_LINK_QUERY_LENGTH) {
+    return apiError(
+      400,
+      `query must be a page query string of up to ${MAX_SHORT_LINK_QUERY_LENGTH} characters`,
+    );
+  }
+  const params = new URLSearchParams(body.query);
+  if (parseMovieParams(params).length === 0) {
+    return apiError(400, 'query must include a movie parameter');
+  }
+
+  // Collisions are unlikely, but a new code must never replace someone's link
+  let newCode = generateShortCode();
+  while (await store.get(`link:${newCode}`)) {
+    newCode = generateShortCode();
+  }
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + SHORT_LINK_TTL_SECONDS * 1000);
+  const link = { query: params.toString(), email, createdAt: createdAt.toISOString() };
+  // The listing reads links from their metadata, without a get per link
+  const metadata = { createdAt: link.createdAt, expiresAt: expiresAt.toISOString() };
+  if (link.query.length <= MAX_METADATA_QUERY_LENGTH) {
+    metadata.query = link.query;
+  }
+  await Promise.all([
+    store.put(`link:${newCode}`, JSON.stringify(link), {
+      expirationTtl: SHORT_LINK_TTL_SECONDS,
+    }),
+    store.put(`links:${email}:${newCode}`, link.query, {
+      expirationTtl: SHORT_LINK_TTL_SECONDS,
+      metadata,
+    }),
+  ]);
+
+  return jsonResponse(
+    {
+      code: newCode,
+      url: shortLinkUrl(url, newCode),
+      query: link.query,
+      createdAt: link.createdAt,
+      expiresAt: expiresAt.toISOString(),
+    },
+    201,
+  );
+}
+
+async function listShortLinks({ env, url, identity }) {
+  const { email, store, errorResponse } = userStore(env, identity, 'SHORT_LINKS', 'Short link');
+  if (errorResponse) {
+    return errorResponse;
+  }
+  const prefix = `links:${email}:`;
+  const keys = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  const links = await Promise.all(
+    keys.map(async (key) => {
+      const linkCode = key.name.slice(prefix.length);
+      const metadata = key.metadata ?? {};
+      return {
+        code: linkCode,
+        url: shortLinkUrl(url, linkCode),
+        // Only queries too long for the metadata need their value read
+        query: metadata.query ?? (await store.get(key.name)),
+        createdAt: metadata.createdAt ?? null,
+        expiresAt:
+          metadata.expiresAt ??
+          (key.expiration ? new Date(key.expiration * 1000).toISOString() : null),
+      };
+    }),
+  );
+  // Newest first; the query is null if the link expired while listing
+  return jsonResponse({
+    links: links
+      .filter((link) => link.query !== null)
+      .sort((a, b) => (b.createdAt ?? '').localeCompare(a.createdAt ?? '')),
+  });
+}
+
+async function deleteShortLink({ env, params, identity }) {
+  const { email, store, errorResponse } = userStore(env, identity, 'SHORT_LINKS', 'Short link');
+  if (errorResponse) {
+    return errorResponse;
+  }
+  const { code } = params;
+  if (!SHORT_CODE_REGEX.test(code)) {
+    return apiError(404, 'Short link not found');
+  }
+  const link = await store.get(`link:${code}`, 'json');
+  if (!link) {
+    return apiError(404, 'Short link not found');
+  }
+  if (link.email !== email) {
+    return apiError(403, 'Only the creator can delete a short link');
+  }
+  await Promise.all([store.delete(`link:${code}`), store.delete(`links:${email}:${code}`)]);
+  return jsonResponse({ code, deleted: true });
+}
+
+// Every report on a theater, following KV's list pages. except leaves out
+// one report key.
+async function listTrailerReports(store, theaterId, except = null) {
+  const reports = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: `report:${theaterId}:`, cursor });
+    page.keys.forEach((key) => {
+      if (key.metadata && key.name !== except) {
+        reports.push(key.metadata);
+      }
+    });
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return reports;
+}
+
+// Theaters and the trailer lengths reported at their showings, from which
+// each theater's trailer buffer is suggested. A theater is stored under
+// theater:{id} with its name, and each report under
+// report:{id}:{date}T{showtime}:{email} with { bufferMinutes, auditorium,
+// reportedAt } as metadata, so reporting the same showing again replaces it.
+async function listTheaters({ env, identity }) {
+  const { store, errorResponse } = userStore(env, identity, 'TRAILER_REPORTS', 'Trailer report');
+  if (errorResponse) {
+    return errorResponse;
+  }
+  const theaters = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix: 'theater:', cursor });
+    page.keys.forEach((key) => {
+      if (key.metadata?.name) {
+        theaters.push({ id: key.name.slice('theater:'.length), name: key.metadata.name });
+      }
+    });
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  theaters.sort((a, b) => a.name.localeCompare(b.name));
+  return jsonResponse({ theaters });
+}
+
+async function getTheater({ env, params, identity }) {
+  const { store, errorResponse } = userStore(env, identity, 'TRAILER_REPORTS', 'Trailer report');
+  if (errorResponse) {
+    return errorResponse;
+  }
+  // Ids in non-Latin scripts arrive percent-encoded
+  let theaterId = '';
+  try {
+    theaterId = decodeURIComponent(params.id);
+  } catch {
+    // A malformed escape can't name a theater
+  }
+  const theater = THEATER_ID_REGEX.test(theaterId)
+    ? await store.get(`theater:${theaterId}`, 'json')
+    : null;
+  if (!theater) {
+    return apiError(404, 'Theater not found');
+  }
+  const reports = await listTrailerReports(store, theaterId);
+  return jsonResponse({
+    id: theaterId,
+    name: theater.name,
+    suggestion: suggestTheaterBuffer(reports),
+  });
+}
+
+// Records when the feature actually started at a theater's showing
+async function createTrailerReport({ request, env, identity }) {
+  const { email, store, errorResponse } = userStore(
+    env,
+    identity,
+    'TRAILER_REPORTS',
+    'Trailer report',
+  );
+  if (errorResponse) {
+    return errorResponse;
+  }
+  const { body, errorResponse: bodyError } = await readJsonBody(request);
+  if (bodyError) {
+    return bodyError;
+  }
+  const name = typeof body?.theater === 'string' ? body.theater.trim() : '';
+  const theaterId = slugifyTheaterName(name);
+  if (!theaterId || name.length > MAX_THEATER_NAME_LENGTH) {
+    return apiError(
+      400,
+      `theater must be a theater name of up to ${MAX_THEATER_NAME_LENGTH} characters`,
+    );
+  }
+  const auditorium = body.auditorium ?? '';
+  if (typeof auditorium !== 'string' || auditorium.trim().length > MAX_AUDITORIUM_LENGTH) {
+    return apiError(400, `auditorium must be up to ${MAX_AUDITORIUM_LENGTH} characters`);
+  }
+  if (typeof body.date !== 'string' || !isValidDate(body.date)) {
+    return apiError(400, 'date must be in YYYY-MM-DD format');
+  }
+  for (const field of ['showtime', 'featureStart']) {
+    if (typeof body[field] !== 'string' || !TIME_REGEX.test(body[field])) {
+      return apiError(400, `${field} must be in HH:MM format`);
+    }
+  }
+  const bufferMinutes = trailerMinutes(body.showtime, body.featureStart);
+  if (bufferMinutes > MAX_BUFFER_MINUTES) {
+    return apiError(
+      400,
+      `featureStart must be within ${MAX_BUFFER_MINUTES} minutes after showtime`,
+    );
+  }
+
+  const report = {
+    bufferMinutes,
+    auditorium: auditorium.trim(),
+    reportedAt: new Date().toISOString(),
+  };
+  const reportKey = `report:${theaterId}:${body.date}T${body.showtime}:${email}`;
+  // Reporting keeps the theater listed for another year under its latest spelling
+  await Promise.all([
+    store.put(`theater:${theaterId}`, JSON.stringify({ name }), {
+      expirationTtl: TRAILER_REPORT_TTL_SECONDS,
+      metadata: { name },
+    }),
+    store.put(reportKey, JSON.stringify(report), {
+      expirationTtl: TRAILER_REPORT_TTL_SECONDS,
+      metadata: report,
+    }),
+  ]);
+  // KV lists can lag behind writes, so the new report is counted directly
+  const reports = [...(await listTrailerReports(store, theaterId, reportKey)), report];
+
+  return jsonResponse(
+    { id: theaterId, name, report, suggestion: suggestTheaterBuffer(reports) },
+    201,
+  );
+}
+
+// Redirects /s/{code} to the page with the link's stored query, where the
+// form fills in (and link previews render) as for the long URL
+async function handleShortLinkRedirect(env, url) {
+  const code = url.pathname.slice('/s/'.length);
+  const link =
+    SHORT_CODE_REGEX.test(code) && env.SHORT_LINKS
+      ? await env.SHORT_LINKS.get(`link:${code}`, 'json')
+      : null;
+  if (!link) {
+    return new Response('This short link has expired or does not exist.', {
+      status: 404,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+  }
+
+  return new Response(null, {
+    status: 302,
+    headers: {
+      Location: `${url.origin}/?${link.query}`,
+      // Links can be deleted, so always check back
+      'Cache-Control': 'private, no-cache',
+    },
+  });
+}
+
+// TMDB-backed routes
+async function handleSearch({ env, ctx, url, locale }) {
+  const query = url.searchParams.get('query');
+  if (!query) {
+    return apiError(400, 'Query parameter is required');
+  }
+  // Search results change as new movies are added - cache briefly
+  return proxyTmdb(
+    env,
+    ctx,
+    searchPath(query, locale),
+    'Failed to search movies',
+    SEARCH_CACHE_POLICY,
+  );
+}
+
+// Checks a movie (or TV show) id path param, which is empty for a trailing slash
+function idParamError(id, label) {
+  if (!id) {
+    return apiError(400, `${label} ID is required`);
+  }
+  if (!MOVIE_ID_REGEX.test(id)) {
+    return apiError(400, `${label} ID must be numeric`);
+  }
+  return null;
+}
+
+async function handleMovie({ env, ctx, params, locale }) {
+  const idError = idParamError(params.id, 'Movie');
+  if (idError) {
+    return idError;
+  }
+  // Movie details (runtime, title) rarely change - cache for a day
+  return proxyTmdb(
+    env,
+    ctx,
+    movieDetailsPath(params.id, locale),
+    'Failed to get movie details',
+    DETAILS_CACHE_POLICY,
+  );
+}
+
+async function handleSearchV2({ env, ctx, url, locale }) {
+  const query = url.searchParams.get('query');
+  const year = url.searchParams.get('year');
+  if (!query) {
+    return apiError(400, 'Query parameter is required');
+  }
+  if (year && !YEAR_REGEX.test(year)) {
+    return apiError(400, 'year parameter must be a four-digit year');
+  }
+  return proxyTmdb(
+    env,
+    ctx,
+    searchPath(query, locale, year),
+    'Failed to search movies',
+    SEARCH_CACHE_POLICY,
+    toSearchResponse,
+  );
+}
+
+async function handleFind({ env, ctx, params, locale }) {
+  if (!IMDB_ID_REGEX.test(params.imdbId)) {
+    return apiError(400, 'IMDb ID must look like tt1160419');
+  }
+  // IMDb ids don't move between movies, so cache like details
+  return proxyTmdb(
+    env,
+    ctx,
+    findPath(params.imdbId, locale),
+    'Failed to look up IMDb id',
+    DETAILS_CACHE_POLICY,
+    toFindResponse,
+  );
+}
+
+async function handleSuggest({ env, ctx, url, locale }) {
+  const query = url.searchParams.get('query');
+  if (!query) {
+    return apiError(400, 'Query parameter is required');
+  }
+  // Shares cache entries with searches for the same text
+  return proxyTmdb(
+    env,
+    ctx,
+    searchPath(query, locale),
+    'Failed to search movies',
+    SEARCH_CACHE_POLICY,
+    toSuggestResponse,
+  );
+}
+
+async function handleMovieV2({ env, ctx, params, locale }) {
+  return idParamError(params.id, 'Movie') ?? handleMovieDetails(env, ctx, params.id, locale);
+}
+
+async function handleShowSearch({ env, ctx, url, locale }) {
+  const query = url.searchParams.get('query');
+  if (!query) {
+    return apiError(400, 'Query parameter is required');
+  }
+  return proxyTmdb(
+    env,
+    ctx,
+    showSearchPath(query, locale),
+    'Failed to search TV shows',
+    SEARCH_CACHE_POLICY,
+    toShowSearchResponse,
+  );
+}
+
+async function handleShow({ env, ctx, params, locale }) {
+  const idError = idParamError(params.id, 'TV show');
+  if (idError) {
+    return idError;
+  }
+  return proxyTmdb(
+    env,
+    ctx,
+    showDetailsPath(params.id, locale),
+    'Failed to get TV show details',
+    DETAILS_CACHE_POLICY,
+    toShowDetails,
+  );
+}
+
+async function handleSeason({ env, ctx, params, locale }) {
+  const idError = idParamError(params.id, 'TV show');
+  if (idError) {
+    return idError;
+  }
+  if (!MOVIE_ID_REGEX.test(params.number)) {
+    return apiError(400, 'Season number must be numeric');
+  }
+  // Episode runtimes are filled in as episodes air - cache like movie details
+  return proxyTmdb(
+    env,
+    ctx,
+    seasonDetailsPath(params.id, Number(params.number), locale),
+    'Failed to get season details',
+    DETAILS_CACHE_POLICY,
+    toSeasonDetails,
+  );
+}
+
+// Whether the signed-in user is one of the comma-separated ADMIN_EMAILS
+function isAdmin(env, identity) {
+  const email = accessEmail(identity);
+  const admins = (env.ADMIN_EMAILS ?? '').split(',').map((admin) => admin.trim().toLowerCase());
+  return Boolean(email) && admins.includes(email);
+}
+
+// Gives a movie a new purge version, so its cached details (v1 and v2, in
+// every language) are left behind everywhere and the next lookup fetches
+// fresh data from TMDB. Admins only.
+async function handleCachePurge({ env, params, identity }) {
+  if (!MOVIE_ID_REGEX.test(params.id)) {
+    return apiError(400, 'Movie ID must be numeric');
+  }
+  if (!accessEmail(identity)) {
+    return apiError(401, 'No Cloudflare Access identity on this request');
+  }
+  if (!isAdmin(env, identity)) {
+    return apiError(403, 'Only admins can purge the cache');
+  }
+  if (!env.CACHE_VERSIONS) {
+    return apiError(500, 'Cache version storage not configured', { code: 'not_configured' });
+  }
+  // Entries stored before the purge are gone from every cache by the time
+  // the version expires, so the version needn't outlive them
+  await env.CACHE_VERSIONS.put(`movie:${params.id}`, Date.now().toString(), {
+    expirationTtl: DETAILS_CACHE_POLICY.maxAge + DETAILS_CACHE_POLICY.staleWhileRevalidate,
+  });
+  return jsonResponse({ id: Number(params.id), purged: true });
+}
+
+// Every API endpoint. Fixed paths come before parameterised ones that would
+// also match them (/api/v2/tv/search before /api/v2/tv/:id). Routes marked
+// tmdb call TMDB and answer 500 without its token; the rest only need their
+// KV namespace.
+const API_ROUTES = [
+  { path: '/api/search', methods: ['GET'], tmdb: true, handler: handleSearch },
+  { path: '/api/movie/:id', methods: ['GET'], tmdb: true, handler: handleMovie },
+  { path: '/api/v2/search', methods: ['GET'], tmdb: true, handler: handleSearchV2 },
+  { path: '/api/v2/find/:imdbId', methods: ['GET'], tmdb: true, handler: handleFind },
+  { path: '/api/v2/suggest', methods: ['GET'], tmdb: true, handler: handleSuggest },
+  { path: '/api/v2/movie/:id', methods: ['GET'], tmdb: true, handler: handleMovieV2 },
+  { path: '/api/v2/tv/search', methods: ['GET'], tmdb: true, handler: handleShowSearch },
+  { path: '/api/v2/tv/:id', methods: ['GET'], tmdb: true, handler: handleShow },
+  { path: '/api/v2/tv/:id/season/:number', methods: ['GET'], tmdb: true, handler: handleSeason },
+  ...Object.entries(MOVIE_LISTS).map(([path, listPath]) => ({
+    path,
+    methods: ['GET'],
+    tmdb: true,
+    handler: ({ env, ctx, url, locale }) => handleMovieList(env, ctx, url, listPath, locale),
+  })),
+  {
+    path: '/api/endtime',
+    methods: ['GET'],
+    tmdb: true,
+    handler: ({ env, ctx, url, locale }) => handleEndTime(env, ctx, url, locale),
+  },
+  {
+    path: '/api/calendar.ics',
+    methods: ['GET'],
+    tmdb: true,
+    handler: ({ env, ctx, url, locale }) => handleCalendar(env, ctx, url, locale),
+  },
+  { path: '/api/me/preferences', methods: ['GET'], handler: getPreferences },
+  { path: '/api/me/preferences', methods: ['PUT'], handler: putPreferences },
+  { path: '/api/links', methods: ['GET'], handler: listShortLinks },
+  { path: '/api/links', methods: ['POST'], handler: createShortLink },
+  { path: '/api/links/:code', methods: ['DELETE'], handler: deleteShortLink },
+  { path: '/api/theaters', methods: ['GET'], handler: listTheaters },
+  { path: '/api/theaters/:id', methods: ['GET'], handler: getTheater },
+  { path: '/api/trailer-reports', methods: ['POST'], handler: createTrailerReport },
+  { path: '/api/cache/movie/:id', methods: ['DELETE'], handler: handleCachePurge },
+];
+
+// Answers a tmdb route with a not_configured error when the token is missing
+function requireTmdbToken(handler) {
+  return (context) =>
+    context.env.TMDB_READ_ACCESS_TOKEN
+      ? handler(context)
+      : apiError(500, 'TMDB read access token not configured', { code: 'not_configured' });
+}
+
+const apiRouter = createRouter(
+  API_ROUTES.map((route) =>
+    route.tmdb ? { ...route, handler: requireTmdbToken(route.handler) } : route,
+  ),
+);
+
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
-    // Cloudflare Access handles authentication - if request reaches here, user is authenticated
+    // Cloudflare Access handles authentication; API requests are also checked
+    // here so the TMDB proxy isn't open if a route bypasses Access
     if (url.pathname.startsWith('/api/')) {
-      return this.handleApiRequest(request, env, url);
+      const origins = parseOrigins(env.CORS_ORIGINS);
+      // Browsers send CORS preflights without credentials, so they're
+      // answered before authentication (and never reach a handler)
+      if (request.method === 'OPTIONS') {
+        return withCors(request, await apiRouter.handle(request, url), origins);
+      }
+      const { identity, errorResponse } = await authenticateApiRequest(request, env);
+      const response =
+        errorResponse ?? (await this.handleApiRequest(request, env, url, ctx, identity));
+      return withCors(request, response, origins);
+    }
+
+    // Short links read KV, so they get the same Access check as the API
+    if (url.pathname.startsWith('/s/')) {
+      const { errorResponse } = await authenticateApiRequest(request, env);
+      return errorResponse ?? handleShortLinkRedirect(env, url);
+    }
+
+    // Shared calculation links get a link preview (wrangler.toml routes "/"
+    // to the Worker first)
+    if (request.method === 'GET' && url.pathname === '/' && url.searchParams.has('movie')) {
+      return handlePagePreview(request, env, ctx, url);
     }
 
     // Serve static assets for all other requests
     return env.ASSETS.fetch(request);
   },
 
-  async handleApiRequest(request, env, url) {
-    if (!env.TMDB_READ_ACCESS_TOKEN) {
-      return jsonResponse({ error: 'TMDB read access token not configured' }, 500);
+  async handleApiRequest(request, env, url, ctx, identity = null) {
+    const { locale, errorResponse: localeError } = parseLocaleParams(url);
+    if (localeError) {
+      return localeError;
     }
 
     try {
-      if (url.pathname === '/api/search') {
-        const query = url.searchParams.get('query');
-        if (!query) {
-          return jsonResponse({ error: 'Query parameter is required' }, 400);
-        }
-        // Search results change as new movies are added - cache briefly
-        return await proxyTmdb(
-          env,
-          `/search/movie?query=${encodeURIComponent(query)}`,
-          'Failed to search movies',
-          3600,
-        );
-      }
-
-      if (url.pathname.startsWith('/api/movie/')) {
-        const segments = url.pathname.split('/'); // ['', 'api', 'movie', '{id}']
-        if (segments.length !== 4) {
-          return jsonResponse({ error: 'Unknown API endpoint' }, 404);
-        }
-        const movieId = segments[3];
-        if (!movieId) {
-          return jsonResponse({ error: 'Movie ID is required' }, 400);
-        }
-        if (!/^\d+$/.test(movieId)) {
-          return jsonResponse({ error: 'Movie ID must be numeric' }, 400);
-        }
-        // Movie details (runtime, title) rarely change - cache for a day
-        return await proxyTmdb(env, `/movie/${movieId}`, 'Failed to get movie details', 86400);
-      }
-
-      return jsonResponse({ error: 'Unknown API endpoint' }, 404);
+      return await apiRouter.handle(request, url, { env, ctx, locale, identity });
     } catch (error) {
       console.error(JSON.stringify({ message: 'API request failed', error: error.message }));
-      return jsonResponse({ error: 'Internal error' }, 500);
+      return apiError(500, 'Internal error');
     }
   },
 };
@@ -0,0 +1,59 @@
+// Open Graph and Twitter card tags for shared calculation links, so chat apps
+// unfurl them with the movie and its end time instead of a bare page title.
+// See https://ogp.me/ and https://developer.x.com/en/docs/x-for-websites/cards
+
+const SITE_NAME = 'End Times';
+
+// Escapes text for HTML element content and double-quoted attribute values
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Builds the <meta> tags for a preview { title, description, imageUrl, url }.
+// description and imageUrl may be null, in which case their tags are left out.
+export function buildPreviewTags({ title, description, imageUrl, url }) {
+  const tags = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['property', 'og:image', imageUrl],
+    ['name', 'description', description],
+    ['name', 'twitter:card', imageUrl ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', imageUrl],
+  ];
+
+  return tags
+    .filter(([, , content]) => content)
+    .map(
+      ([attribute, key, content]) =>
+        `<meta ${attribute}="${key}" content="${escapeHtml(content)}" />`,
+    )
+    .join('\n');
+}
+
+// Rewrites an index.html response with the preview: its title replaces the
+// page title and its tags are appended to <head>. Status and headers are kept.
+export function injectPreview(response, preview) {
+  return new HTMLRewriter()
+    .on('title', {
+      element(element) {
+        // Text content is escaped by HTMLRewriter
+        element.setInnerContent(`${preview.title} · ${SITE_NAME}`);
+      },
+    })
+    .on('head', {
+      element(element) {
+        element.append(buildPreviewTags(preview), { html: true });
+      },
+    })
+    .transform(response);
+}
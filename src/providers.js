@@ -0,0 +1,114 @@
+// Movie-data providers asked, in order, for a runtime. TMDB is the primary and
+// supplies movies, titles and posters everywhere; the others only fill in
+// runtimes TMDB doesn't have (common for new releases) or couldn't be fetched.
+//
+// A provider is { name, lookupRuntime(env, ctx, movie) }, where movie is
+// { imdbId, title, year, tmdb } (tmdb is TMDB's movie details, or null when
+// they couldn't be fetched). lookupRuntime resolves to the runtime in whole
+// minutes, or null when the provider doesn't know it, and throws when the
+// lookup itself fails.
+
+const OMDB_BASE_URL = 'https://www.omdbapi.com/';
+const OMDB_TIMEOUT_MS = 5000;
+const OMDB_CACHE_KEY_ORIGIN = 'https://omdb-cache.end-times.internal';
+// Runtimes rarely change once OMDb has them; misses are cached for less so a
+// new release's runtime shows up within the day
+const OMDB_CACHE_SECONDS = 86400;
+const OMDB_MISS_CACHE_SECONDS = 3600;
+const OMDB_RUNTIME_REGEX = /^(\d+) min$/;
+
+// Reads the runtime from the TMDB details the caller already fetched
+export const tmdbProvider = {
+  name: 'tmdb',
+  async lookupRuntime(env, ctx, movie) {
+    return movie.tmdb?.runtime || null;
+  },
+};
+
+async function fetchOmdb(env, params) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), OMDB_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${OMDB_BASE_URL}?${params}&apikey=${env.OMDB_API_KEY}`, {
+      headers: { Accept: 'application/json' },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`OMDb request failed with status ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// The Open Movie Database (https://www.omdbapi.com/), looked up by IMDb id
+// when TMDB gave one, otherwise by title and year. Off unless the
+// OMDB_API_KEY secret is set. Answers are cached at the edge, without the key.
+export const omdbProvider = {
+  name: 'omdb',
+  async lookupRuntime(env, ctx, movie) {
+    if (!env.OMDB_API_KEY) {
+      return null;
+    }
+    const params = new URLSearchParams({ type: 'movie' });
+    if (movie.imdbId) {
+      params.set('i', movie.imdbId);
+    } else if (movie.title) {
+      params.set('t', movie.title);
+      if (movie.year) {
+        params.set('y', movie.year.toString());
+      }
+    } else {
+      return null;
+    }
+    params.sort();
+
+    const cacheKey = new Request(`${OMDB_CACHE_KEY_ORIGIN}/?${params}`);
+    const cached = await caches.default.match(cacheKey);
+    const data = cached ? await cached.json() : await fetchOmdb(env, params);
+    const runtime = Number(data.Runtime?.match(OMDB_RUNTIME_REGEX)?.[1]) || null;
+
+    if (!cached) {
+      const maxAge = runtime ? OMDB_CACHE_SECONDS : OMDB_MISS_CACHE_SECONDS;
+      const put = caches.default.put(
+        cacheKey,
+        new Response(JSON.stringify({ Runtime: data.Runtime ?? null }), {
+          headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${maxAge}` },
+        }),
+      );
+      if (ctx) {
+        ctx.waitUntil(put);
+      } else {
+        await put;
+      }
+    }
+    return runtime;
+  },
+};
+
+export const DEFAULT_RUNTIME_PROVIDERS = [tmdbProvider, omdbProvider];
+
+// Asks each of the providers in turn, moving on when one doesn't know the
+// runtime or its lookup fails. Resolves to { runtime, provider } with the
+// provider's name, or both null when none of them knows it.
+export async function lookupRuntime(env, ctx, movie, providers = DEFAULT_RUNTIME_PROVIDERS) {
+  for (const provider of providers) {
+    try {
+      const runtime = await provider.lookupRuntime(env, ctx, movie);
+      if (runtime) {
+        return { runtime, provider: provider.name };
+      }
+    } catch (error) {
+      console.error(
+        JSON.stringify({
+          message: 'Runtime lookup failed',
+          provider: provider.name,
+          error: error.message,
+        }),
+      );
+    }
+  }
+  return { runtime: null, provider: null };
+}
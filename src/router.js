@@ -0,0 +1,140 @@
+// Declarative routing for the Worker API. A route is { path, methods, handler }:
+// path segments starting with ":" capture that segment (as written, possibly
+// empty) into params, and methods lists the HTTP methods the route answers.
+// Routes are tried in table order, so list fixed paths before ones with params
+// that would also match them. GET routes answer HEAD too, OPTIONS is answered
+// from the path's methods, and any other method gets a 405 with an Allow header.
+
+// Machine-readable codes for each error status, so clients can branch on
+// `code` instead of parsing messages
+export const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'unavailable',
+};
+
+// Preflight results may be reused by the browser for a day
+const CORS_MAX_AGE_SECONDS = 86400;
+
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+// Every API error has the same body: { error, code, ...details }, with a
+// human-readable message and a machine-readable code (the status's from
+// ERROR_CODES unless details gives a more specific one)
+export function apiError(status, error, details = {}, headers = {}) {
+  return jsonResponse({ error, code: ERROR_CODES[status], ...details }, status, headers);
+}
+
+function matchPath(segments, pathname) {
+  const parts = pathname.split('/');
+  if (parts.length !== segments.length) {
+    return null;
+  }
+
+  const params = {};
+  for (const [index, segment] of segments.entries()) {
+    if (segment.startsWith(':')) {
+      params[segment.slice(1)] = parts[index];
+    } else if (segment !== parts[index]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// Builds a router for a route table. handle(request, url, context) calls the
+// matching route's handler with { ...context, request, url, params } and
+// resolves to its response, or to the API's 404 or 405 error.
+export function createRouter(routes) {
+  const table = routes.map((route) => ({ ...route, segments: route.path.split('/') }));
+
+  return {
+    async handle(request, url, context = {}) {
+      const matches = table
+        .map((route) => ({ route, params: matchPath(route.segments, url.pathname) }))
+        .filter(({ params }) => params !== null);
+      if (matches.length === 0) {
+        return apiError(404, 'Unknown API endpoint');
+      }
+
+      const methods = new Set(matches.flatMap(({ route }) => route.methods));
+      if (methods.has('GET')) {
+        methods.add('HEAD');
+      }
+      methods.add('OPTIONS');
+      const allow = [...methods].join(', ');
+
+      if (request.method === 'OPTIONS') {
+        return new Response(null, { status: 204, headers: { Allow: allow } });
+      }
+      const method = request.method === 'HEAD' ? 'GET' : request.method;
+      const found = matches.find(({ route }) => route.methods.includes(method));
+      if (!found) {
+        return apiError(405, 'Method not allowed', {}, { Allow: allow });
+      }
+
+      const response = await found.route.handler({
+        ...context,
+        request,
+        url,
+        params: found.params,
+      });
+      if (request.method === 'HEAD') {
+        // Same status and headers as the GET, without the body
+        await response.body?.cancel();
+        return new Response(null, response);
+      }
+      return response;
+    },
+  };
+}
+
+// Reads a comma-separated list of origins, such as the CORS_ORIGINS variable
+export function parseOrigins(value) {
+  return (value ?? '')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+// Lets the allowed origins call the API from their pages: adds CORS headers
+// to the response when the request's Origin is one of them, including the
+// allowed methods and headers for a preflight (OPTIONS) request. Credentials
+// are allowed so the browser sends the Cloudflare Access cookie.
+export function withCors(request, response, origins) {
+  if (origins.length === 0) {
+    return response;
+  }
+
+  const corsResponse = new Response(response.body, response);
+  // The response differs by origin, so caches must keep them apart
+  corsResponse.headers.append('Vary', 'Origin');
+  const origin = request.headers.get('Origin');
+  if (!origins.includes(origin)) {
+    return corsResponse;
+  }
+
+  corsResponse.headers.set('Access-Control-Allow-Origin', origin);
+  corsResponse.headers.set('Access-Control-Allow-Credentials', 'true');
+  if (request.method === 'OPTIONS') {
+    corsResponse.headers.set('Access-Control-Allow-Methods', response.headers.get('Allow') ?? '');
+    const requestedHeaders = request.headers.get('Access-Control-Request-Headers');
+    if (requestedHeaders) {
+      corsResponse.headers.set('Access-Control-Allow-Headers', requestedHeaders);
+    }
+    corsResponse.headers.set('Access-Control-Max-Age', CORS_MAX_AGE_SECONDS.toString());
+  }
+  return corsResponse;
+}
@@ -1,13 +1,59 @@
 import { describe, it, expect } from 'vitest';
 import {
   VALID_BUFFER_VALUES,
-  DEFAULT_START_TIME,
   TIME_REGEX,
+  MOVIE_ID_REGEX,
+  parseBufferParam,
   pickBestMatch,
+  rankMatches,
+  findAmbiguousMatches,
+  parseMovieInput,
   calculateTimes,
+  calculatePlan,
+  calculateBinge,
+  calculateOuting,
+  isValidDate,
+  isValidTimeZone,
+  todayInTimeZone,
+  zonedDateTime,
+  parseMovieParams,
+  parseGapParam,
+  parseSkipParam,
+  parseOutingParam,
+  timeToDate,
+  toTimeValue,
+  calculateLatestStart,
+  parseShowtimes,
+  checkShowtimes,
+  listShowings,
+  trailerMinutes,
+  suggestTheaterBuffer,
+  slugifyTheaterName,
+  THEATER_ID_REGEX,
+  DEFAULT_START_TIME,
+  parsePreferences,
+  addDays,
+  timeInTimeZone,
+} from '../../public/calculator.js';
+import {
+  formatOverviewSnippet,
   formatTime,
   formatMovieMeta,
+  slugifyProfileName,
+  parseBufferProfiles,
+  formatProfileLabel,
+  describeShowingTime,
+  formatShowingTime,
+  formatRateLimitMessage,
+  suggestionQueryKey,
+  createSuggestionCache,
+  moveActiveIndex,
+  sortMovieList,
+  describeLiveProgress,
+  formatCountdown,
+  dueLiveAlerts,
 } from '../../public/script.js';
+import { MESSAGES, pickLocale, translate, tmdbLocale, LANGUAGE_REGEX } from '../../public/i18n.js';
 
 describe('Frontend Logic Tests', () => {
   describe('formatTime', () => {
@@ -25,6 +71,71 @@ describe('Frontend Logic Tests', () => {
       const formatted = formatTime(new Date('2025-01-01T00:00:00'));
       expect(formatted).toMatch(/12:00.*AM/i);
     });
+
+    it('should format a 24-hour clock without AM/PM', () => {
+      const formatted = formatTime(new Date('2025-01-01T14:45:00'), '24h');
+      expect(formatted).toMatch(/14:45/);
+      expect(formatted).not.toMatch(/PM/i);
+    });
+  });
+
+  describe('formatRateLimitMessage', () => {
+    it('should use Retry-After seconds', () => {
+      expect(formatRateLimitMessage('12')).toBe('TMDB is rate limiting, try again in 12 s');
+    });
+
+    it('should convert a Retry-After date to seconds from now', () => {
+      const now = Date.parse('2025-01-15T19:00:00Z');
+
+      expect(formatRateLimitMessage('Wed, 15 Jan 2025 19:00:30 GMT', now)).toBe(
+        'TMDB is rate limiting, try again in 30 s',
+      );
+    });
+
+    it('should fall back when Retry-After is missing or unreadable', () => {
+      expect(formatRateLimitMessage(null)).toBe('TMDB is rate limiting, try again shortly');
+      expect(formatRateLimitMessage('soon')).toBe('TMDB is rate limiting, try again shortly');
+    });
+  });
+
+  describe('describeShowingTime', () => {
+    const showing = { date: '2025-01-15', timeZone: 'America/New_York' };
+
+    it("should show the theater's time alone when the viewer shares its clock", () => {
+      const parts = describeShowingTime(
+        new Date('2025-01-16T00:30:00Z'),
+        showing,
+        'America/Detroit',
+      );
+
+      expect(parts.time).toMatch(/7:30.*PM/i);
+      expect(parts.dayLabel).toBeNull();
+      expect(parts.viewerTime).toBeNull();
+    });
+
+    it("should add the viewer's time when their zone differs", () => {
+      const parts = describeShowingTime(
+        new Date('2025-01-16T00:30:00Z'),
+        showing,
+        'America/Los_Angeles',
+      );
+
+      expect(parts.viewerTime).toMatch(/4:30.*PM/i);
+      expect(formatShowingTime(parts)).toMatch(/7:30.*PM · 04?:30.*PM your time$/i);
+    });
+
+    it("should label times after midnight with the next day's date", () => {
+      const parts = describeShowingTime(
+        new Date('2025-01-16T05:15:00Z'),
+        showing,
+        'America/New_York',
+        '24h',
+      );
+
+      expect(parts.time).toMatch(/00:15/);
+      expect(parts.dayLabel).toMatch(/Thu.*Jan.*16/);
+      expect(formatShowingTime(parts)).toMatch(/^00:15 \(Thu.*16\)$/);
+    });
   });
 
   describe('calculateTimes', () => {
@@ -53,6 +164,16 @@ describe('Frontend Logic Tests', () => {
       expect(estEndDate.getMinutes()).toBe(30);
     });
 
+    it('should accept a Date as the start time', () => {
+      const start = new Date('2025-01-01T23:50:00');
+      const { estStartDate, estEndDate } = calculateTimes(start, 20, 100);
+
+      expect(estStartDate.getTime() - start.getTime()).toBe(20 * 60000);
+      expect(estEndDate.getDate()).toBe(2);
+      expect(estEndDate.getHours()).toBe(1);
+      expect(estEndDate.getMinutes()).toBe(50);
+    });
+
     it('should calculate end time with zero buffer', () => {
       const { estStartDate, estEndDate } = calculateTimes('10:00', 0, 90);
 
@@ -63,6 +184,460 @@ describe('Frontend Logic Tests', () => {
     });
   });
 
+  describe('calculatePlan', () => {
+    it('should chain each movie after the previous one plus the gap', () => {
+      const timeline = calculatePlan(
+        '18:00',
+        [
+          { bufferMinutes: 20, runtime: 100 },
+          { bufferMinutes: 10, runtime: 90 },
+        ],
+        15,
+      );
+
+      expect(timeline).toHaveLength(2);
+      expect(timeline[0].showStartDate.getHours()).toBe(18);
+      expect(timeline[0].estStartDate.getMinutes()).toBe(20);
+      expect(timeline[0].estEndDate.getHours()).toBe(20);
+      expect(timeline[0].estEndDate.getMinutes()).toBe(0);
+
+      // Second showtime is 20:00 + 15 min break
+      expect(timeline[1].showStartDate.getHours()).toBe(20);
+      expect(timeline[1].showStartDate.getMinutes()).toBe(15);
+      expect(timeline[1].estStartDate.getMinutes()).toBe(25);
+      expect(timeline[1].estEndDate.getHours()).toBe(21);
+      expect(timeline[1].estEndDate.getMinutes()).toBe(55);
+    });
+
+    it('should match calculateTimes for a single movie', () => {
+      const [leg] = calculatePlan('14:15', [{ bufferMinutes: 25, runtime: 90 }], 15);
+      const { estStartDate, estEndDate } = calculateTimes('14:15', 25, 90);
+
+      expect(leg.estStartDate.getTime()).toBe(estStartDate.getTime());
+      expect(leg.estEndDate.getTime()).toBe(estEndDate.getTime());
+    });
+
+    it('should carry a marathon past midnight into the next day', () => {
+      const timeline = calculatePlan(
+        '22:00',
+        [
+          { bufferMinutes: 0, runtime: 120 },
+          { bufferMinutes: 0, runtime: 60 },
+        ],
+        0,
+      );
+
+      expect(timeline[1].estEndDate.getTime() - timeline[0].showStartDate.getTime()).toBe(
+        180 * 60000,
+      );
+      expect(timeline[1].estEndDate.getHours()).toBe(1);
+    });
+  });
+
+  describe('calculateOuting', () => {
+    it('should lay out the evening around the showing', () => {
+      const outing = calculateOuting('19:30', 20, 120, {
+        travelMinutes: 25,
+        marginMinutes: 15,
+        homeMinutes: 30,
+      });
+
+      expect(
+        [
+          outing.leaveDate,
+          outing.arriveDate,
+          outing.showStartDate,
+          outing.estStartDate,
+          outing.estEndDate,
+          outing.homeDate,
+        ].map(toTimeValue),
+      ).toEqual(['18:50', '19:15', '19:30', '19:50', '21:50', '22:20']);
+    });
+
+    it('should match calculateTimes when no outing times are given', () => {
+      const start = new Date(2025, 6, 4, 23, 30);
+      const outing = calculateOuting(start, 20, 120);
+
+      expect(outing.estEndDate).toEqual(calculateTimes(start, 20, 120).estEndDate);
+      expect(outing.leaveDate).toEqual(start);
+      expect(outing.homeDate).toEqual(outing.estEndDate);
+    });
+  });
+
+  describe('calculateBinge', () => {
+    it('should chain episodes with breaks, skipping the intro of each', () => {
+      const timeline = calculateBinge(new Date('2025-03-01T20:00:00Z'), [45, 50, 42], 2, 5);
+
+      expect(timeline.map(({ estStartDate, estEndDate }) => [estStartDate, estEndDate])).toEqual([
+        [new Date('2025-03-01T20:00:00Z'), new Date('2025-03-01T20:43:00Z')],
+        [new Date('2025-03-01T20:48:00Z'), new Date('2025-03-01T21:36:00Z')],
+        [new Date('2025-03-01T21:41:00Z'), new Date('2025-03-01T22:21:00Z')],
+      ]);
+    });
+
+    it('should never skip more than an episode runs', () => {
+      const [episode] = calculateBinge(new Date('2025-03-01T20:00:00Z'), [3], 10, 0);
+
+      expect(episode.estEndDate).toEqual(episode.estStartDate);
+    });
+  });
+
+  describe('timeToDate and toTimeValue', () => {
+    it('should place an HH:MM time on the base date', () => {
+      const date = timeToDate('7:05', new Date('2025-03-01T15:00:00'));
+
+      expect(date.getDate()).toBe(1);
+      expect(date.getHours()).toBe(7);
+      expect(date.getMinutes()).toBe(5);
+    });
+
+    it('should format dates as zero-padded HH:MM', () => {
+      expect(toTimeValue(new Date('2025-03-01T07:05:00'))).toBe('07:05');
+      expect(toTimeValue(new Date('2025-03-01T22:45:00'))).toBe('22:45');
+    });
+  });
+
+  describe('calculateLatestStart', () => {
+    it('should subtract runtime and buffer from the deadline', () => {
+      const { latestStartDate, deadlineDate } = calculateLatestStart(
+        '22:45',
+        [{ bufferMinutes: 20, runtime: 125 }],
+        0,
+      );
+
+      expect(toTimeValue(latestStartDate)).toBe('20:20');
+      expect(toTimeValue(deadlineDate)).toBe('22:45');
+      expect(latestStartDate.getDate()).toBe(deadlineDate.getDate());
+    });
+
+    it('should round-trip with calculateTimes', () => {
+      const { latestStartDate, deadlineDate } = calculateLatestStart(
+        '23:10',
+        [{ bufferMinutes: 25, runtime: 148 }],
+        0,
+      );
+      const { estEndDate } = calculateTimes(latestStartDate, 25, 148);
+
+      expect(estEndDate.getTime()).toBe(deadlineDate.getTime());
+    });
+
+    it('should account for every movie and break in a plan', () => {
+      const legs = [
+        { bufferMinutes: 20, runtime: 100 },
+        { bufferMinutes: 10, runtime: 90 },
+      ];
+      const { latestStartDate } = calculateLatestStart('23:00', legs, 15);
+
+      // 23:00 - (20 + 100 + 15 + 10 + 90) minutes
+      expect(toTimeValue(latestStartDate)).toBe('19:05');
+    });
+
+    it('should read an early-morning deadline as after midnight tonight', () => {
+      const { latestStartDate, deadlineDate } = calculateLatestStart(
+        '00:30',
+        [{ bufferMinutes: 20, runtime: 130 }],
+        0,
+      );
+
+      expect(toTimeValue(latestStartDate)).toBe('22:00');
+      expect(deadlineDate.getTime() - latestStartDate.getTime()).toBe(150 * 60000);
+      expect(deadlineDate.getDate()).not.toBe(latestStartDate.getDate());
+    });
+
+    it("should work on the showing's date in the theater's time zone", () => {
+      const showing = { date: '2025-01-15', timeZone: 'America/New_York' };
+      const { latestStartDate, deadlineDate } = calculateLatestStart(
+        '22:45',
+        [{ bufferMinutes: 20, runtime: 125 }],
+        0,
+        showing,
+      );
+
+      expect(deadlineDate.toISOString()).toBe('2025-01-16T03:45:00.000Z');
+      expect(latestStartDate.toISOString()).toBe('2025-01-16T01:20:00.000Z');
+    });
+
+    it("should roll an early-morning deadline to the night after the showing's date", () => {
+      // US clocks sprang forward at 2:00 AM on 2025-03-09, so the night is an hour short
+      const showing = { date: '2025-03-08', timeZone: 'America/Chicago' };
+      const { latestStartDate, deadlineDate } = calculateLatestStart(
+        '03:30',
+        [{ bufferMinutes: 20, runtime: 220 }],
+        0,
+        showing,
+      );
+
+      expect(deadlineDate.toISOString()).toBe('2025-03-09T08:30:00.000Z');
+      expect(latestStartDate.toISOString()).toBe('2025-03-09T04:30:00.000Z');
+      expect(timeInTimeZone(latestStartDate, 'America/Chicago')).toBe('22:30');
+    });
+  });
+
+  describe('parseShowtimes', () => {
+    it('should parse a typical theater listing with a trailing suffix', () => {
+      expect(parseShowtimes('1:10 4:20 7:30 10:40p')).toEqual(['13:10', '16:20', '19:30', '22:40']);
+    });
+
+    it('should accept 24-hour times and comma separators', () => {
+      expect(parseShowtimes('13:15, 16:45,20:00')).toEqual(['13:15', '16:45', '20:00']);
+    });
+
+    it('should honor am/pm suffixes in any common spelling', () => {
+      expect(parseShowtimes('11:00am 2:30 PM 7pm 9:45 p.m. 12:00 a.m.')).toEqual([
+        '11:00',
+        '14:30',
+        '19:00',
+        '21:45',
+        '00:00',
+      ]);
+    });
+
+    it('should read morning hours as morning only at the start of the list', () => {
+      expect(parseShowtimes('10:30 1:45 4:50')).toEqual(['10:30', '13:45', '16:50']);
+      expect(parseShowtimes('7:30 10:40')).toEqual(['19:30', '22:40']);
+      expect(parseShowtimes('12:15 3:30')).toEqual(['12:15', '15:30']);
+    });
+
+    it('should read a time as morning when the list would otherwise run backwards', () => {
+      expect(parseShowtimes('9:30 12:45 4:00')).toEqual(['09:30', '12:45', '16:00']);
+      expect(parseShowtimes('9:00 11:15 2:30 8:00')).toEqual(['09:00', '11:15', '14:30', '20:00']);
+      expect(parseShowtimes('9:45 10:40p')).toEqual(['21:45', '22:40']);
+    });
+
+    it('should ignore bare numbers, invalid times and duplicates', () => {
+      expect(parseShowtimes('Screen 7: 7:30 25:00 7:30 9:61')).toEqual(['19:30']);
+      expect(parseShowtimes('')).toEqual([]);
+    });
+  });
+
+  describe('checkShowtimes', () => {
+    it("should place showtimes on the showing's date in its time zone", () => {
+      const showing = { date: '2025-07-04', timeZone: 'Europe/London' };
+      const legs = [{ bufferMinutes: 20, runtime: 120 }];
+      const { deadlineDate } = calculateLatestStart('22:00', legs, 0, showing);
+      const [check] = checkShowtimes(['19:40'], legs, 0, deadlineDate, showing);
+
+      expect(check.showStartDate.toISOString()).toBe('2025-07-04T18:40:00.000Z');
+      expect(check.fits).toBe(true);
+    });
+
+    it('should flag which showings end by the deadline, in time order', () => {
+      const legs = [{ bufferMinutes: 20, runtime: 120 }];
+      const { deadlineDate } = calculateLatestStart('22:00', legs, 0);
+      const checks = checkShowtimes(['19:40', '19:30', '20:00'], legs, 0, deadlineDate);
+
+      expect(checks.map((check) => [check.showtime, check.fits])).toEqual([
+        ['19:30', true],
+        ['19:40', true],
+        ['20:00', false],
+      ]);
+      expect(toTimeValue(checks[1].estEndDate)).toBe('22:00');
+    });
+  });
+
+  describe('listShowings', () => {
+    it('should estimate the start and end of each showing in time order', () => {
+      const showings = listShowings(parseShowtimes('7:30pm\n4:20pm\n10:40pm'), 20, 120, {
+        now: new Date(2000, 0, 1),
+      });
+
+      expect(
+        showings.map((entry) => [
+          entry.showtime,
+          toTimeValue(entry.estStartDate),
+          toTimeValue(entry.estEndDate),
+        ]),
+      ).toEqual([
+        ['16:20', '16:40', '18:40'],
+        ['19:30', '19:50', '21:50'],
+        ['22:40', '23:00', '01:00'],
+      ]);
+      expect(showings.some((entry) => entry.past || entry.late)).toBe(false);
+    });
+
+    it('should flag past showings and those ending after the cutoff', () => {
+      const showing = { date: '2025-07-04', timeZone: 'Europe/London' };
+      const legs = [{ bufferMinutes: 20, runtime: 120 }];
+      const { deadlineDate } = calculateLatestStart('22:00', legs, 0, showing);
+      const showings = listShowings(['13:10', '19:40', '20:00'], 20, 120, {
+        showing,
+        now: new Date('2025-07-04T14:00:00Z'),
+        cutoffDate: deadlineDate,
+      });
+
+      expect(showings.map((entry) => [entry.showtime, entry.past, entry.late])).toEqual([
+        ['13:10', true, false],
+        ['19:40', false, false],
+        ['20:00', false, true],
+      ]);
+      expect(showings[0].showStartDate.toISOString()).toBe('2025-07-04T12:10:00.000Z');
+    });
+  });
+
+  describe('slugifyTheaterName', () => {
+    it('should keep letters and digits of every script', () => {
+      expect(slugifyTheaterName('AMC Lincoln Square 13')).toBe('amc-lincoln-square-13');
+      expect(slugifyTheaterName('  Cinéma Lumière! ')).toBe('cinema-lumiere');
+      expect(slugifyTheaterName('東京シネマ 新宿')).toBe('東京シネマ-新宿');
+      expect(slugifyTheaterName('Кинотеатр Октябрь')).toBe('кинотеатр-октябрь');
+      expect(slugifyTheaterName('!!!')).toBe('');
+    });
+
+    it('should cut long names by character and match THEATER_ID_REGEX', () => {
+      // Each of these characters takes two UTF-16 code units
+      const id = slugifyTheaterName('𠀋'.repeat(60));
+
+      expect([...id]).toHaveLength(48);
+      expect(id.endsWith('𠀋')).toBe(true);
+      expect(THEATER_ID_REGEX.test(id)).toBe(true);
+      expect(THEATER_ID_REGEX.test('東京シネマ-新宿')).toBe(true);
+      expect(THEATER_ID_REGEX.test('-amc')).toBe(false);
+    });
+  });
+
+  describe('trailerMinutes', () => {
+    it('should count the minutes until the feature started, past midnight too', () => {
+      expect(trailerMinutes('19:30', '19:52')).toBe(22);
+      expect(trailerMinutes('23:50', '00:12')).toBe(22);
+      expect(trailerMinutes('19:30', '19:30')).toBe(0);
+    });
+  });
+
+  describe('suggestTheaterBuffer', () => {
+    const now = new Date('2025-07-04T12:00:00Z');
+    const reportsOf = (minutes, reportedAt = now.toISOString()) =>
+      minutes.map((bufferMinutes) => ({ bufferMinutes, reportedAt }));
+
+    it('should suggest the median with the middle half of the reports as the spread', () => {
+      expect(suggestTheaterBuffer(reportsOf([18, 20, 22, 25, 27]), now)).toEqual({
+        bufferMinutes: 22,
+        low: 20,
+        high: 25,
+        reports: 5,
+        rejected: 0,
+      });
+    });
+
+    it('should need a few reports before suggesting anything', () => {
+      expect(suggestTheaterBuffer([], now)).toBeNull();
+      expect(suggestTheaterBuffer(reportsOf([20, 22]), now)).toBeNull();
+      // Rejecting the outlier leaves too few
+      expect(suggestTheaterBuffer(reportsOf([20, 21, 58]), now)).toBeNull();
+    });
+
+    it('should reject reports far from the rest', () => {
+      const suggestion = suggestTheaterBuffer(reportsOf([0, 19, 20, 21, 22, 60]), now);
+
+      expect(suggestion).toMatchObject({ bufferMinutes: 20, reports: 4, rejected: 2 });
+    });
+
+    it('should let recent reports outweigh old ones', () => {
+      const reports = [
+        ...reportsOf([15, 15, 16], '2024-07-04T12:00:00Z'),
+        ...reportsOf([19, 20], '2025-07-01T12:00:00Z'),
+      ];
+
+      expect(suggestTheaterBuffer(reports, now).bufferMinutes).toBe(19);
+    });
+  });
+
+  describe('parseMovieParams', () => {
+    it('should read a single movie the way older links encode it', () => {
+      const params = new URLSearchParams('movie=Dune&time=20:00&buffer=25');
+
+      expect(parseMovieParams(params)).toEqual([
+        { title: 'Dune', buffer: '25', id: null, profile: null },
+      ]);
+    });
+
+    it('should line up repeated movie, buffer and id parameters by position', () => {
+      const params = new URLSearchParams(
+        'movie=Dune&movie=Dune: Part Two&buffer=20&buffer=10&id=841&id=',
+      );
+
+      expect(parseMovieParams(params)).toEqual([
+        { title: 'Dune', buffer: '20', id: '841', profile: null },
+        { title: 'Dune: Part Two', buffer: '10', id: null, profile: null },
+      ]);
+    });
+
+    it('should read positional profiles alongside their buffers', () => {
+      const params = new URLSearchParams(
+        'movie=Dune&movie=Alien&buffer=25&buffer=7&profile=amc-dolby&profile=',
+      );
+
+      expect(parseMovieParams(params)).toEqual([
+        { title: 'Dune', buffer: '25', id: null, profile: 'amc-dolby' },
+        { title: 'Alien', buffer: '7', id: null, profile: null },
+      ]);
+    });
+
+    it('should drop invalid buffers, ids and profiles', () => {
+      const params = new URLSearchParams('movie=Alien&buffer=75&id=12a&profile=AMC Dolby');
+
+      expect(parseMovieParams(params)).toEqual([
+        { title: 'Alien', buffer: null, id: null, profile: null },
+      ]);
+    });
+
+    it('should skip empty titles and cap the number of movies', () => {
+      const params = new URLSearchParams();
+      params.append('movie', ' ');
+      for (let i = 0; i < 10; i++) {
+        params.append('movie', `Movie ${i}`);
+      }
+
+      const movies = parseMovieParams(params);
+      expect(movies).toHaveLength(6);
+      expect(movies[0].title).toBe('Movie 0');
+    });
+  });
+
+  describe('parseGapParam', () => {
+    it('should accept whole minutes within range', () => {
+      expect(parseGapParam('0')).toBe(0);
+      expect(parseGapParam('15')).toBe(15);
+      expect(parseGapParam('120')).toBe(120);
+    });
+
+    it('should reject missing, malformed and out-of-range gaps', () => {
+      expect(parseGapParam(null)).toBeNull();
+      expect(parseGapParam('')).toBeNull();
+      expect(parseGapParam('15min')).toBeNull();
+      expect(parseGapParam('-5')).toBeNull();
+      expect(parseGapParam('121')).toBeNull();
+    });
+  });
+
+  describe('parseSkipParam', () => {
+    it('should accept whole minutes up to the maximum', () => {
+      expect(parseSkipParam('0')).toBe(0);
+      expect(parseSkipParam('15')).toBe(15);
+    });
+
+    it('should reject missing, malformed and out-of-range skips', () => {
+      expect(parseSkipParam(null)).toBeNull();
+      expect(parseSkipParam('')).toBeNull();
+      expect(parseSkipParam('1.5')).toBeNull();
+      expect(parseSkipParam('-1')).toBeNull();
+      expect(parseSkipParam('16')).toBeNull();
+    });
+  });
+
+  describe('parseOutingParam', () => {
+    it('should accept whole minutes up to the maximum', () => {
+      expect(parseOutingParam('0', 60)).toBe(0);
+      expect(parseOutingParam('45', 60)).toBe(45);
+    });
+
+    it('should reject missing, malformed and out-of-range minutes', () => {
+      expect(parseOutingParam(null, 60)).toBeNull();
+      expect(parseOutingParam('2.5', 60)).toBeNull();
+      expect(parseOutingParam('-5', 60)).toBeNull();
+      expect(parseOutingParam('61', 60)).toBeNull();
+    });
+  });
+
   describe('Time Format Validation', () => {
     it('should validate correct time format', () => {
       expect(TIME_REGEX.test('12:30')).toBe(true);
@@ -102,6 +677,152 @@ describe('Frontend Logic Tests', () => {
     });
   });
 
+  describe('parseBufferParam', () => {
+    it('should normalize valid buffer values', () => {
+      expect(parseBufferParam('25')).toBe('25');
+      expect(parseBufferParam('05')).toBe('5');
+    });
+
+    it('should accept any whole number of minutes up to an hour', () => {
+      expect(parseBufferParam('0')).toBe('0');
+      expect(parseBufferParam('7')).toBe('7');
+      expect(parseBufferParam('60')).toBe('60');
+    });
+
+    it('should reject values outside the allowed range', () => {
+      expect(parseBufferParam('61')).toBeNull();
+      expect(parseBufferParam('-5')).toBeNull();
+      expect(parseBufferParam('7.5')).toBeNull();
+      expect(parseBufferParam('abc')).toBeNull();
+      expect(parseBufferParam(undefined)).toBeNull();
+    });
+  });
+
+  describe('parsePreferences', () => {
+    it('should fill in defaults for missing fields', () => {
+      expect(parsePreferences({ clock: '24h' })).toEqual({
+        preferences: { buffer: 20, profile: null, clock: '24h', startTime: '12:00' },
+      });
+    });
+
+    it('should normalize buffers given as strings', () => {
+      const { preferences } = parsePreferences({ buffer: '07', profile: 'amc-dolby' });
+
+      expect(preferences.buffer).toBe(7);
+      expect(preferences.profile).toBe('amc-dolby');
+    });
+
+    it('should name the first invalid field', () => {
+      expect(parsePreferences({ buffer: 61 }).error).toMatch(/^buffer/);
+      expect(parsePreferences({ profile: 'AMC Dolby' }).error).toMatch(/^profile/);
+      expect(parsePreferences({ clock: 'sundial' }).error).toMatch(/^clock/);
+      expect(parsePreferences({ startTime: '7pm' }).error).toMatch(/^startTime/);
+    });
+
+    it('should reject anything that is not an object', () => {
+      expect(parsePreferences(null).error).toBe('Preferences must be a JSON object');
+      expect(parsePreferences([]).error).toBe('Preferences must be a JSON object');
+    });
+  });
+
+  describe('Buffer Profiles', () => {
+    it('should slugify profile names for URLs', () => {
+      expect(slugifyProfileName('AMC Dolby')).toBe('amc-dolby');
+      expect(slugifyProfileName('  Café  Lumière! ')).toBe('cafe-lumiere');
+      expect(slugifyProfileName('!!!')).toBe('');
+    });
+
+    it('should read saved profiles and drop malformed entries', () => {
+      const json = JSON.stringify([
+        { id: 'amc', name: 'AMC', minutes: 25 },
+        { id: 'regal', name: 'Regal', minutes: 61 },
+        { id: 'wrong', name: 'Alamo', minutes: 15 },
+        { name: 'No id', minutes: 10 },
+        null,
+      ]);
+
+      expect(parseBufferProfiles(json)).toEqual([{ id: 'amc', name: 'AMC', minutes: 25 }]);
+    });
+
+    it('should return no profiles for missing or corrupt storage', () => {
+      expect(parseBufferProfiles(null)).toEqual([]);
+      expect(parseBufferProfiles('{not json')).toEqual([]);
+      expect(parseBufferProfiles('{"id":"amc"}')).toEqual([]);
+    });
+
+    it('should label profiles with their minutes', () => {
+      expect(formatProfileLabel({ id: 'amc', name: 'AMC', minutes: 25 })).toBe('AMC – 25 min');
+    });
+  });
+
+  describe('Date and Time Zone Helpers', () => {
+    it('should validate calendar dates', () => {
+      expect(isValidDate('2025-02-28')).toBe(true);
+      expect(isValidDate('2024-02-29')).toBe(true);
+      expect(isValidDate('2025-02-29')).toBe(false);
+      expect(isValidDate('2025-13-01')).toBe(false);
+      expect(isValidDate('2025-1-01')).toBe(false);
+    });
+
+    it('should validate IANA time zone names', () => {
+      expect(isValidTimeZone('America/New_York')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    });
+
+    it("should return today's date in the given time zone", () => {
+      const now = new Date('2025-03-01T03:00:00Z');
+
+      expect(todayInTimeZone(now, 'UTC')).toBe('2025-03-01');
+      expect(todayInTimeZone(now, 'America/Los_Angeles')).toBe('2025-02-28');
+    });
+
+    it('should convert wall-clock times in a time zone to instants', () => {
+      expect(zonedDateTime('2025-01-15', '19:30', 'America/New_York').toISOString()).toBe(
+        '2025-01-16T00:30:00.000Z',
+      );
+      expect(zonedDateTime('2025-07-15', '19:30', 'America/New_York').toISOString()).toBe(
+        '2025-07-15T23:30:00.000Z',
+      );
+      expect(zonedDateTime('2025-07-15', '19:30', 'UTC').toISOString()).toBe(
+        '2025-07-15T19:30:00.000Z',
+      );
+    });
+
+    it('should add days across month and year boundaries', () => {
+      expect(addDays('2025-01-31', 1)).toBe('2025-02-01');
+      expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+      expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+    });
+
+    it('should read the wall-clock time in a time zone', () => {
+      const instant = new Date('2025-01-16T05:05:00Z');
+
+      expect(timeInTimeZone(instant, 'America/New_York')).toBe('00:05');
+      expect(timeInTimeZone(instant, 'Asia/Kolkata')).toBe('10:35');
+    });
+
+    it('should use the post-transition offset on DST change days', () => {
+      // US clocks sprang forward at 2:00 AM on 2025-03-09
+      expect(zonedDateTime('2025-03-09', '20:00', 'America/Chicago').toISOString()).toBe(
+        '2025-03-10T01:00:00.000Z',
+      );
+      expect(zonedDateTime('2025-03-09', '01:00', 'America/Chicago').toISOString()).toBe(
+        '2025-03-09T07:00:00.000Z',
+      );
+    });
+
+    it('should move times skipped by spring forward past the gap in every zone', () => {
+      // 02:30 never happened in either zone; both read it as 03:30 summer time
+      expect(zonedDateTime('2025-03-09', '02:30', 'America/New_York').toISOString()).toBe(
+        '2025-03-09T07:30:00.000Z',
+      );
+      expect(zonedDateTime('2025-03-30', '02:30', 'Europe/Berlin').toISOString()).toBe(
+        '2025-03-30T01:30:00.000Z',
+      );
+    });
+  });
+
   describe('pickBestMatch', () => {
     it('should prioritize movies closest to the current year', () => {
       const movies = [
@@ -148,17 +869,350 @@ describe('Frontend Logic Tests', () => {
     });
   });
 
+  describe('rankMatches', () => {
+    it('should order dated movies by closeness to the current year', () => {
+      const movies = [
+        { id: 1, title: 'Halloween', release_date: '1978-10-24' },
+        { id: 2, title: 'Halloween', release_date: '2018-10-18' },
+        { id: 3, title: 'Halloween', release_date: '2007-08-31' },
+      ];
+
+      expect(rankMatches(movies, 2025).map((movie) => movie.id)).toEqual([2, 3, 1]);
+    });
+
+    it('should keep undated movies after dated ones in their original order', () => {
+      const movies = [
+        { id: 1, title: 'Undated A' },
+        { id: 2, title: 'Dated', release_date: '2000-01-01' },
+        { id: 3, title: 'Undated B', release_date: '' },
+      ];
+
+      expect(rankMatches(movies, 2025).map((movie) => movie.id)).toEqual([2, 1, 3]);
+    });
+
+    it('should rank EndTimes v2 results by their year', () => {
+      const movies = [
+        { id: 841, title: 'Dune', year: 1984 },
+        { id: 1, title: 'Dune Drifter', year: null },
+        { id: 438631, title: 'Dune', year: 2021 },
+      ];
+
+      expect(rankMatches(movies, 2025).map((movie) => movie.id)).toEqual([438631, 841, 1]);
+    });
+  });
+
+  describe('parseMovieInput', () => {
+    it('should read IMDb ids and IMDb title links', () => {
+      expect(parseMovieInput(' tt1160419 ', 2025)).toEqual({ imdbId: 'tt1160419' });
+      expect(parseMovieInput('TT10872600', 2025)).toEqual({ imdbId: 'tt10872600' });
+      expect(parseMovieInput('https://www.imdb.com/title/tt1160419/', 2025)).toEqual({
+        imdbId: 'tt1160419',
+      });
+      expect(parseMovieInput('m.imdb.com/de/title/tt0087182/?ref_=nv_sr_srsg_0', 2025)).toEqual({
+        imdbId: 'tt0087182',
+      });
+    });
+
+    it('should read TMDB movie links', () => {
+      expect(parseMovieInput('https://www.themoviedb.org/movie/841-dune', 2025)).toEqual({
+        tmdbId: '841',
+      });
+      expect(parseMovieInput('themoviedb.org/movie/438631?language=de', 2025)).toEqual({
+        tmdbId: '438631',
+      });
+    });
+
+    it('should take a year in parentheses as the release year', () => {
+      expect(parseMovieInput('Dune (1984)', 2025)).toEqual({ title: 'Dune', year: 1984 });
+      expect(parseMovieInput('Halloween(2018)', 2025)).toEqual({ title: 'Halloween', year: 2018 });
+    });
+
+    it('should keep the whole title to fall back on for a trailing year', () => {
+      expect(parseMovieInput('Dune 1984', 2025)).toEqual({
+        title: 'Dune',
+        year: 1984,
+        fallbackTitle: 'Dune 1984',
+      });
+    });
+
+    it('should leave titles without a plausible year alone', () => {
+      expect(parseMovieInput('Blade Runner 2049', 2025)).toEqual({
+        title: 'Blade Runner 2049',
+        year: null,
+      });
+      expect(parseMovieInput('1917', 2025)).toEqual({ title: '1917', year: null });
+      expect(parseMovieInput('Dune', 2025)).toEqual({ title: 'Dune', year: null });
+      expect(parseMovieInput('imdb.com/name/nm0000158', 2025)).toEqual({
+        title: 'imdb.com/name/nm0000158',
+        year: null,
+      });
+    });
+  });
+
+  describe('findAmbiguousMatches', () => {
+    const duneResults = [
+      { id: 438631, title: 'Dune', release_date: '2021-09-15' },
+      { id: 693134, title: 'Dune: Part Two', release_date: '2024-02-27' },
+      { id: 841, title: 'Dune', release_date: '1984-12-14' },
+    ];
+
+    it('should return every ranked result sharing the searched title', () => {
+      const matches = findAmbiguousMatches(duneResults, 'dune', 2025);
+
+      expect(matches.map((movie) => movie.id)).toEqual([438631, 841]);
+      expect(matches[1].releaseYear).toBe(1984);
+    });
+
+    it('should ignore case and punctuation when comparing titles', () => {
+      const results = [
+        { id: 1, title: 'Spider-Man', release_date: '2002-05-01' },
+        { id: 2, title: 'Spider Man', release_date: '1977-09-14' },
+      ];
+
+      expect(findAmbiguousMatches(results, 'spider-man', 2025)).toHaveLength(2);
+    });
+
+    it('should return no candidates when only one result matches the title', () => {
+      expect(findAmbiguousMatches(duneResults, 'Dune: Part Two', 2025)).toEqual([]);
+    });
+
+    it('should return no candidates when no result matches the title', () => {
+      expect(findAmbiguousMatches(duneResults, 'Dun', 2025)).toEqual([]);
+    });
+
+    it('should cap the number of candidates', () => {
+      const results = Array.from({ length: 8 }, (_, i) => ({
+        id: i,
+        title: 'Halloween',
+        release_date: `${2000 + i}-10-01`,
+      }));
+
+      expect(findAmbiguousMatches(results, 'Halloween', 2025)).toHaveLength(5);
+    });
+  });
+
+  describe('Type-ahead Suggestions', () => {
+    it('should normalize queries so equivalent text shares a key', () => {
+      expect(suggestionQueryKey('  The   Dark Knight ')).toBe('the dark knight');
+      expect(suggestionQueryKey('DUNE')).toBe(suggestionQueryKey('dune'));
+    });
+
+    it('should evict the least recently used suggestions', () => {
+      const cache = createSuggestionCache(2);
+      cache.set('du', ['a']);
+      cache.set('dun', ['b']);
+      cache.get('du');
+      cache.set('dune', ['c']);
+
+      expect(cache.get('du')).toEqual(['a']);
+      expect(cache.get('dun')).toBeUndefined();
+      expect(cache.get('dune')).toEqual(['c']);
+    });
+
+    it('should wrap the highlighted suggestion at either end', () => {
+      expect(moveActiveIndex(-1, 1, 5)).toBe(0);
+      expect(moveActiveIndex(-1, -1, 5)).toBe(4);
+      expect(moveActiveIndex(4, 1, 5)).toBe(0);
+      expect(moveActiveIndex(0, -1, 5)).toBe(4);
+      expect(moveActiveIndex(2, 1, 5)).toBe(3);
+      expect(moveActiveIndex(-1, 1, 0)).toBe(-1);
+    });
+  });
+
+  describe('formatOverviewSnippet', () => {
+    it('should leave short overviews untouched', () => {
+      expect(formatOverviewSnippet('A short plot.')).toBe('A short plot.');
+    });
+
+    it('should truncate long overviews on a word boundary', () => {
+      expect(formatOverviewSnippet('one two three four', 10)).toBe('one two…');
+    });
+
+    it('should handle a missing overview', () => {
+      expect(formatOverviewSnippet(undefined)).toBe('');
+    });
+  });
+
+  describe('Movie ID Validation', () => {
+    it('should accept numeric TMDB ids', () => {
+      expect(MOVIE_ID_REGEX.test('438631')).toBe(true);
+    });
+
+    it('should reject non-numeric ids', () => {
+      expect(MOVIE_ID_REGEX.test('123abc')).toBe(false);
+      expect(MOVIE_ID_REGEX.test('../123')).toBe(false);
+      expect(MOVIE_ID_REGEX.test('')).toBe(false);
+    });
+  });
+
+  describe('sortMovieList', () => {
+    const entries = [
+      { title: 'Barbie', estEndDate: new Date('2025-07-21T21:44:00Z') },
+      { title: 'Unknown Runtime', estEndDate: null },
+      { title: 'Oppenheimer', estEndDate: new Date('2025-07-21T23:00:00Z') },
+      { title: 'Asteroid City', estEndDate: new Date('2025-07-21T21:44:00Z') },
+    ];
+    const titles = (sorted) => sorted.map((entry) => entry.title);
+
+    it('should put the earliest end first, breaking ties by title', () => {
+      expect(titles(sortMovieList(entries, 'ends'))).toEqual([
+        'Asteroid City',
+        'Barbie',
+        'Oppenheimer',
+        'Unknown Runtime',
+      ]);
+    });
+
+    it('should put the latest end first with unknown runtimes still last', () => {
+      expect(titles(sortMovieList(entries, 'ends-desc'))).toEqual([
+        'Oppenheimer',
+        'Asteroid City',
+        'Barbie',
+        'Unknown Runtime',
+      ]);
+    });
+
+    it('should sort by title without changing the input', () => {
+      expect(titles(sortMovieList(entries, 'title'))).toEqual([
+        'Asteroid City',
+        'Barbie',
+        'Oppenheimer',
+        'Unknown Runtime',
+      ]);
+      expect(entries[0].title).toBe('Barbie');
+    });
+  });
+
+  describe('Live Mode', () => {
+    const showing = {
+      estStartDate: new Date('2025-03-01T19:20:00Z'),
+      estEndDate: new Date('2025-03-01T21:20:00Z'),
+    };
+
+    it('should count down to the end of the trailers, then through the feature', () => {
+      expect(describeLiveProgress(new Date('2025-03-01T19:05:00Z'), showing)).toEqual({
+        phase: 'trailers',
+        remainingMs: 15 * 60000,
+        progress: 0,
+      });
+      expect(describeLiveProgress(new Date('2025-03-01T20:50:00Z'), showing)).toEqual({
+        phase: 'feature',
+        remainingMs: 30 * 60000,
+        progress: 0.75,
+      });
+      expect(describeLiveProgress(new Date('2025-03-01T21:20:00Z'), showing).phase).toBe('ended');
+    });
+
+    it('should format countdowns with hours only when needed', () => {
+      expect(formatCountdown(65000)).toBe('1:05');
+      expect(formatCountdown(59500)).toBe('1:00');
+      expect(formatCountdown(2 * 3600000 + 5000)).toBe('2:00:05');
+      expect(formatCountdown(-1000)).toBe('0:00');
+    });
+
+    it('should fire each alert once, when its time passes between ticks', () => {
+      const settings = { trailers: true, minutesLeft: 10 };
+      const tick = (since, now) => dueLiveAlerts(new Date(since), new Date(now), showing, settings);
+
+      expect(tick('2025-03-01T19:19:59Z', '2025-03-01T19:20:00Z')).toEqual(['trailers']);
+      expect(tick('2025-03-01T19:20:00Z', '2025-03-01T19:20:01Z')).toEqual([]);
+      expect(tick('2025-03-01T21:09:59Z', '2025-03-01T21:10:00Z')).toEqual(['remaining']);
+      // A throttled background tab still gets both alerts on its next tick
+      expect(tick('2025-03-01T19:00:00Z', '2025-03-01T21:15:00Z')).toEqual([
+        'trailers',
+        'remaining',
+      ]);
+    });
+
+    it('should skip alerts that are turned off', () => {
+      expect(
+        dueLiveAlerts(new Date('2025-03-01T19:00:00Z'), new Date('2025-03-01T21:15:00Z'), showing, {
+          trailers: false,
+          minutesLeft: 0,
+        }),
+      ).toEqual([]);
+    });
+  });
+
+  describe('Localization', () => {
+    const placeholders = (message) => [...message.matchAll(/\{(\w+)\}/g)].map(([, name]) => name);
+
+    it('should have every English message, with the same placeholders, in each catalog', () => {
+      Object.entries(MESSAGES).forEach(([language, catalog]) => {
+        expect(Object.keys(catalog), language).toEqual(Object.keys(MESSAGES.en));
+        Object.entries(catalog).forEach(([key, message]) => {
+          expect(placeholders(message).sort(), `${language}.${key}`).toEqual(
+            placeholders(MESSAGES.en[key]).sort(),
+          );
+        });
+      });
+    });
+
+    it('should fill in placeholders and fall back to English', () => {
+      expect(translate('de-AT', 'movieN', { position: 2 })).toBe('Film 2');
+      expect(translate('pt-BR', 'movieN', { position: 2 })).toBe('Movie 2');
+      expect(translate('fr', 'noSuchMessage')).toBe('noSuchMessage');
+    });
+
+    it('should prefer a valid lang parameter over the browser language', () => {
+      expect(pickLocale('fr', 'de-DE')).toBe('fr');
+      expect(pickLocale('not a locale!', 'de-de')).toBe('de-DE');
+      expect(pickLocale(null, undefined)).toBe('en');
+    });
+
+    it("should map locales to TMDB's language and region", () => {
+      expect(tmdbLocale('de-DE')).toEqual({ language: 'de-DE', region: 'DE' });
+      expect(tmdbLocale('fr')).toEqual({ language: 'fr', region: null });
+      expect(tmdbLocale('es-419')).toEqual({ language: 'es', region: null });
+      expect(tmdbLocale('fil-PH')).toEqual({ language: null, region: 'PH' });
+      expect(LANGUAGE_REGEX.test(tmdbLocale('zh-Hant-TW').language)).toBe(true);
+    });
+
+    it("should use the locale's clock when the clock is auto", () => {
+      const date = new Date('2025-01-01T14:45:00');
+
+      expect(formatTime(date, 'auto', undefined, 'de-DE')).toBe('14:45');
+      expect(formatTime(date, 'auto', undefined, 'en-US')).toMatch(/02:45.*PM/i);
+      expect(formatTime(date, '12h', undefined, 'de-DE')).toMatch(/02:45.*PM/i);
+    });
+
+    it('should localize formatted text', () => {
+      const movie = { title: 'Dune', year: null, certification: null };
+
+      expect(formatMovieMeta(movie, 155, 'de')).toBe('(Jahr unbekannt) • 155 Min.');
+      expect(formatRateLimitMessage('30', Date.now(), 'fr')).toBe(
+        'TMDB limite les requêtes, réessayez dans 30 s',
+      );
+      expect(formatShowingTime({ time: '21:45', dayLabel: null, viewerTime: '15:45' }, 'es')).toBe(
+        '21:45 · 15:45 en tu hora',
+      );
+    });
+  });
+
   describe('formatMovieMeta', () => {
     it('should format movie metadata correctly', () => {
-      const movie = { title: 'Inception', release_date: '2010-07-16' };
+      const movie = { title: 'Inception', year: 2010, certification: null };
 
       expect(formatMovieMeta(movie, 148)).toBe('(2010) • 148 min');
     });
 
     it('should handle missing release date', () => {
-      const movie = { title: 'Unknown', release_date: null };
+      const movie = { title: 'Unknown', year: null, certification: null };
 
       expect(formatMovieMeta(movie, 120)).toBe('(Unknown year) • 120 min');
     });
+
+    it('should include the certification when known', () => {
+      const movie = { title: 'Inception', year: 2010, certification: 'PG-13' };
+
+      expect(formatMovieMeta(movie, 148)).toBe('(2010) • 148 min • PG-13');
+    });
+
+    it('should name the provider of a runtime TMDB did not have', () => {
+      const movie = { title: 'New', year: 2026, certification: null, runtimeProvider: 'omdb' };
+
+      expect(formatMovieMeta(movie, 118)).toBe('(2026) • 118 min • runtime from OMDb');
+      expect(formatMovieMeta({ ...movie, runtimeProvider: 'tmdb' }, 118)).toBe('(2026) • 118 min');
+    });
   });
 });
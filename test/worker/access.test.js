@@ -0,0 +1,399 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { env, reset } from 'cloudflare:test';
+import worker from '../../src/index.js';
+import { accessConfig, verifyAccessJwt } from '../../src/access.js';
+
+const TEAM_DOMAIN = 'end-times.cloudflareaccess.com';
+const AUDIENCE = 'test-audience-tag';
+const SIGNING_ALGORITHM = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function encodeSegment(value) {
+  return toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+async function generateSigningKey(kid) {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(
+    { ...SIGNING_ALGORITHM, modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) },
+    true,
+    ['sign', 'verify'],
+  );
+  const jwk = { ...(await crypto.subtle.exportKey('jwk', publicKey)), kid };
+  return { privateKey, jwk };
+}
+
+async function signToken(privateKey, kid, claims) {
+  const signingInput = `${encodeSegment({ alg: 'RS256', kid, typ: 'JWT' })}.${encodeSegment(claims)}`;
+  const signature = await crypto.subtle.sign(
+    SIGNING_ALGORITHM,
+    privateKey,
+    new TextEncoder().encode(signingInput),
+  );
+  return `${signingInput}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+function validClaims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    aud: [AUDIENCE],
+    iss: `https://${TEAM_DOMAIN}`,
+    email: 'ada@example.com',
+    iat: now,
+    exp: now + 3600,
+    ...overrides,
+  };
+}
+
+describe('Access JWT Tests', () => {
+  let signingKey;
+  let otherKey;
+  let config;
+
+  beforeAll(async () => {
+    signingKey = await generateSigningKey('key-1');
+    otherKey = await generateSigningKey('key-2');
+    config = accessConfig({
+      ACCESS_TEAM_DOMAIN: TEAM_DOMAIN,
+      ACCESS_AUD: AUDIENCE,
+      ACCESS_JWKS: JSON.stringify({ keys: [signingKey.jwk] }),
+    });
+  });
+
+  afterEach(async () => {
+    vi.unstubAllGlobals();
+    // Clear the preferences KV written by the integration tests
+    await reset();
+  });
+
+  describe('accessConfig', () => {
+    it('should be off unless both the team domain and audience are set', () => {
+      expect(accessConfig({})).toBeNull();
+      expect(accessConfig({ ACCESS_TEAM_DOMAIN: TEAM_DOMAIN, ACCESS_AUD: '' })).toBeNull();
+    });
+
+    it('should derive the issuer and certs URL from the team domain', () => {
+      const derived = accessConfig({
+        ACCESS_TEAM_DOMAIN: `https://${TEAM_DOMAIN}/`,
+        ACCESS_AUD: AUDIENCE,
+      });
+
+      expect(derived.issuer).toBe(`https://${TEAM_DOMAIN}`);
+      expect(derived.jwksUrl).toBe(`https://${TEAM_DOMAIN}/cdn-cgi/access/certs`);
+      expect(derived.localJwks).toBeNull();
+    });
+  });
+
+  describe('verifyAccessJwt', () => {
+    it('should accept a token signed by a team key', async () => {
+      const token = await signToken(signingKey.privateKey, 'key-1', validClaims());
+
+      const { claims, error } = await verifyAccessJwt(token, config);
+
+      expect(error).toBeUndefined();
+      expect(claims.email).toBe('ada@example.com');
+    });
+
+    it('should reject tokens signed by another key', async () => {
+      const forged = await signToken(otherKey.privateKey, 'key-1', validClaims());
+      const unknownKid = await signToken(otherKey.privateKey, 'key-2', validClaims());
+
+      expect((await verifyAccessJwt(forged, config)).error).toBe('Token signature is invalid');
+      expect((await verifyAccessJwt(unknownKid, config)).error).toBe(
+        'Token signing key is unknown',
+      );
+    });
+
+    it('should check the audience, issuer and validity window', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const cases = [
+        [{ aud: ['another-app'] }, 'Token audience does not match'],
+        [{ iss: 'https://evil.cloudflareaccess.com' }, 'Token issuer does not match'],
+        [{ exp: now - 120 }, 'Token has expired'],
+        [{ nbf: now + 600 }, 'Token is not valid yet'],
+      ];
+
+      for (const [overrides, expected] of cases) {
+        const token = await signToken(signingKey.privateKey, 'key-1', validClaims(overrides));
+        expect((await verifyAccessJwt(token, config)).error).toBe(expected);
+      }
+    });
+
+    it('should accept a single audience string', async () => {
+      const token = await signToken(signingKey.privateKey, 'key-1', validClaims({ aud: AUDIENCE }));
+
+      expect((await verifyAccessJwt(token, config)).claims).toBeDefined();
+    });
+
+    it('should reject malformed tokens', async () => {
+      expect((await verifyAccessJwt('not-a-jwt', config)).error).toBe('Token is malformed');
+      expect((await verifyAccessJwt('a.b.c', config)).error).toBe('Token is malformed');
+      expect(
+        (await verifyAccessJwt(`${encodeSegment(null)}.${encodeSegment(validClaims())}.c`, config))
+          .error,
+      ).toBe('Token is malformed');
+    });
+
+    it('should reject undecodable signatures and unusable keys', async () => {
+      const token = await signToken(signingKey.privateKey, 'key-1', validClaims());
+      const badKeyConfig = {
+        ...config,
+        localJwks: { keys: [{ kid: 'key-1', kty: 'RSA', n: '!!!' }] },
+      };
+
+      expect((await verifyAccessJwt(token.replace(/[^.]+$/, '!!!'), config)).error).toBe(
+        'Token signature is invalid',
+      );
+      expect((await verifyAccessJwt(token, badKeyConfig)).error).toBe('Token signature is invalid');
+    });
+
+    it("should fetch and cache the team's JWKS", async () => {
+      const domain = 'jwks-cache.cloudflareaccess.com';
+      const remoteConfig = accessConfig({ ACCESS_TEAM_DOMAIN: domain, ACCESS_AUD: AUDIENCE });
+      const mockFetch = vi
+        .fn()
+        .mockImplementation(async () => new Response(JSON.stringify({ keys: [signingKey.jwk] })));
+      vi.stubGlobal('fetch', mockFetch);
+      const token = await signToken(
+        signingKey.privateKey,
+        'key-1',
+        validClaims({ iss: `https://${domain}` }),
+      );
+
+      expect((await verifyAccessJwt(token, remoteConfig)).claims).toBeDefined();
+      expect((await verifyAccessJwt(token, remoteConfig)).claims).toBeDefined();
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(mockFetch).toHaveBeenCalledWith(`https://${domain}/cdn-cgi/access/certs`);
+    });
+
+    it('should refetch the JWKS when it sees an unknown key id', async () => {
+      const domain = 'jwks-rotation.cloudflareaccess.com';
+      const remoteConfig = accessConfig({ ACCESS_TEAM_DOMAIN: domain, ACCESS_AUD: AUDIENCE });
+      const mockFetch = vi
+        .fn()
+        .mockResolvedValueOnce(new Response(JSON.stringify({ keys: [signingKey.jwk] })))
+        .mockResolvedValueOnce(new Response(JSON.stringify({ keys: [otherKey.jwk] })));
+      vi.stubGlobal('fetch', mockFetch);
+      const claims = validClaims({ iss: `https://${domain}` });
+
+      await verifyAccessJwt(await signToken(signingKey.privateKey, 'key-1', claims), remoteConfig);
+      const rotated = await verifyAccessJwt(
+        await signToken(otherKey.privateKey, 'key-2', claims),
+        remoteConfig,
+      );
+
+      expect(rotated.claims).toBeDefined();
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Worker Integration', () => {
+    const accessEnv = () => ({
+      ...env,
+      ACCESS_TEAM_DOMAIN: TEAM_DOMAIN,
+      ACCESS_AUD: AUDIENCE,
+      ACCESS_JWKS: JSON.stringify({ keys: [signingKey.jwk] }),
+      ASSETS: { fetch: vi.fn().mockResolvedValue(new Response('index.html content')) },
+    });
+
+    it('should return 401 JSON for API requests without a token', async () => {
+      const response = await worker.fetch(
+        new Request('https://example.com/api/search?query=Dune'),
+        accessEnv(),
+      );
+
+      expect(response.status).toBe(401);
+      expect(response.headers.get('Content-Type')).toBe('application/json');
+      expect(await response.json()).toEqual({
+        error: 'Authentication required',
+        code: 'unauthorized',
+        message: 'Missing Cloudflare Access token',
+      });
+    });
+
+    it('should not trust the Access email header without a token', async () => {
+      const response = await worker.fetch(
+        new Request('https://example.com/api/me/preferences', {
+          headers: { 'Cf-Access-Authenticated-User-Email': 'ada@example.com' },
+        }),
+        accessEnv(),
+      );
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should refuse API requests when Access is not configured', async () => {
+      const mockFetch = vi.fn();
+      vi.stubGlobal('fetch', mockFetch);
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/me/preferences', {
+          headers: { 'Cf-Access-Authenticated-User-Email': 'ada@example.com' },
+        }),
+        { ...accessEnv(), ACCESS_TEAM_DOMAIN: '', ACCESS_AUD: '', ACCESS_DISABLED: undefined },
+      );
+
+      expect(response.status).toBe(500);
+      expect(await response.json()).toEqual({
+        error: 'Authentication not configured',
+        code: 'not_configured',
+      });
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 JSON for an invalid token', async () => {
+      const token = await signToken(signingKey.privateKey, 'key-1', validClaims({ aud: 'x' }));
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/search?query=Dune', {
+          headers: { 'Cf-Access-Jwt-Assertion': token },
+        }),
+        accessEnv(),
+      );
+
+      expect(response.status).toBe(401);
+      expect((await response.json()).message).toBe('Token audience does not match');
+    });
+
+    it('should return 401 rather than 503 for a garbled token', async () => {
+      const response = await worker.fetch(
+        new Request('https://example.com/api/search?query=Dune', {
+          headers: { 'Cf-Access-Jwt-Assertion': `${encodeSegment(null)}.e30.!!!` },
+        }),
+        accessEnv(),
+      );
+
+      expect(response.status).toBe(401);
+      expect((await response.json()).message).toBe('Token is malformed');
+    });
+
+    it('should serve API requests with a valid token', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response(JSON.stringify({ results: [] }))),
+      );
+      const token = await signToken(signingKey.privateKey, 'key-1', validClaims());
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/search?query=Dune', {
+          headers: { 'Cf-Access-Jwt-Assertion': token },
+        }),
+        accessEnv(),
+      );
+
+      expect(response.status).toBe(200);
+    });
+
+    it("should key preferences on the token's email", async () => {
+      const token = await signToken(
+        signingKey.privateKey,
+        'key-1',
+        validClaims({ email: 'grace@example.com' }),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/me/preferences', {
+          method: 'PUT',
+          headers: {
+            'Cf-Access-Jwt-Assertion': token,
+            'Cf-Access-Authenticated-User-Email': 'ada@example.com',
+          },
+          body: JSON.stringify({ clock: '24h' }),
+        }),
+        accessEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(await env.PREFERENCES.get('preferences:grace@example.com', 'json')).toMatchObject({
+        clock: '24h',
+      });
+      expect(await env.PREFERENCES.get('preferences:ada@example.com')).toBeNull();
+    });
+
+    it('should answer CORS preflights without a token', async () => {
+      const response = await worker.fetch(
+        new Request('https://example.com/api/links', {
+          method: 'OPTIONS',
+          headers: {
+            Origin: 'https://app.example.com',
+            'Access-Control-Request-Method': 'POST',
+            'Access-Control-Request-Headers': 'content-type',
+          },
+        }),
+        { ...accessEnv(), CORS_ORIGINS: 'https://app.example.com' },
+      );
+
+      expect(response.status).toBe(204);
+      expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+      expect(response.headers.get('Access-Control-Allow-Methods')).toBe('GET, POST, HEAD, OPTIONS');
+      expect(response.headers.get('Access-Control-Allow-Headers')).toBe('content-type');
+    });
+
+    it('should add CORS headers to authentication errors', async () => {
+      const response = await worker.fetch(
+        new Request('https://example.com/api/search?query=Dune', {
+          headers: { Origin: 'https://app.example.com' },
+        }),
+        { ...accessEnv(), CORS_ORIGINS: 'https://app.example.com' },
+      );
+
+      expect(response.status).toBe(401);
+      expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+    });
+
+    it('should not look up link previews without a token', async () => {
+      const mockFetch = vi.fn();
+      vi.stubGlobal('fetch', mockFetch);
+      const page = '<html><head><title>End Times</title></head></html>';
+
+      const response = await worker.fetch(new Request('https://example.com/?movie=Dune'), {
+        ...accessEnv(),
+        ASSETS: {
+          fetch: vi
+            .fn()
+            .mockResolvedValue(new Response(page, { headers: { 'Content-Type': 'text/html' } })),
+        },
+      });
+
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe(page);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should require a token to follow a short link', async () => {
+      await env.SHORT_LINKS.put(
+        'link:Xk3pQ9aB',
+        JSON.stringify({ query: 'movie=Dune', email: 'ada@example.com' }),
+      );
+      const token = await signToken(signingKey.privateKey, 'key-1', validClaims());
+
+      const anonymous = await worker.fetch(
+        new Request('https://example.com/s/Xk3pQ9aB'),
+        accessEnv(),
+      );
+      const signedIn = await worker.fetch(
+        new Request('https://example.com/s/Xk3pQ9aB', {
+          headers: { 'Cf-Access-Jwt-Assertion': token },
+        }),
+        accessEnv(),
+      );
+
+      expect(anonymous.status).toBe(401);
+      expect(anonymous.headers.get('Location')).toBeNull();
+      expect(signedIn.status).toBe(302);
+      expect(signedIn.headers.get('Location')).toBe('https://example.com/?movie=Dune');
+    });
+
+    it('should leave static assets to Cloudflare Access', async () => {
+      const response = await worker.fetch(new Request('https://example.com/'), accessEnv());
+
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe('index.html content');
+    });
+  });
+});
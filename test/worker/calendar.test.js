@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendar, escapeText, foldLine, formatDateTime } from '../../src/calendar.js';
+
+describe('Calendar Tests', () => {
+  describe('escapeText', () => {
+    it('should escape backslashes, semicolons, commas and newlines', () => {
+      expect(escapeText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+    });
+  });
+
+  describe('formatDateTime', () => {
+    it('should format instants as UTC DATE-TIME values', () => {
+      expect(formatDateTime(new Date('2025-01-16T00:30:00.000Z'))).toBe('20250116T003000Z');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines untouched', () => {
+      expect(foldLine('SUMMARY:Dune')).toBe('SUMMARY:Dune');
+    });
+
+    it('should fold long lines at 75 octets', () => {
+      const folded = foldLine(`DESCRIPTION:${'x'.repeat(150)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines[0]).toHaveLength(75);
+      expect(lines.slice(1).every((line) => line.startsWith(' ') && line.length <= 75)).toBe(true);
+      expect(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(
+        `DESCRIPTION:${'x'.repeat(150)}`,
+      );
+    });
+
+    it('should not split multi-byte characters', () => {
+      const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+      const encoder = new TextEncoder();
+
+      folded.split('\r\n').forEach((line) => {
+        expect(encoder.encode(line).length).toBeLessThanOrEqual(75);
+        expect(line).not.toContain('�');
+      });
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should build a VCALENDAR with one VEVENT per event', () => {
+      const ics = buildCalendar(
+        [
+          {
+            uid: 'one@end-times',
+            start: new Date('2025-01-16T00:30:00Z'),
+            end: new Date('2025-01-16T03:37:00Z'),
+            summary: 'Dune: Part Two',
+            description: 'Trailers, then the feature',
+            url: 'https://www.themoviedb.org/movie/693134',
+          },
+          {
+            uid: 'two@end-times',
+            start: new Date('2025-01-16T04:00:00Z'),
+            end: new Date('2025-01-16T06:00:00Z'),
+            summary: 'Dune',
+          },
+        ],
+        new Date('2025-01-01T12:00:00Z'),
+      );
+      const lines = ics.split('\r\n');
+
+      expect(ics.endsWith('\r\n')).toBe(true);
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).toContain('VERSION:2.0');
+      expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+      expect(lines).toContain('DTSTAMP:20250101T120000Z');
+      expect(lines).toContain('DTSTART:20250116T003000Z');
+      expect(lines).toContain('DTEND:20250116T033700Z');
+      expect(lines).toContain('SUMMARY:Dune: Part Two');
+      expect(lines).toContain('DESCRIPTION:Trailers\\, then the feature');
+      expect(lines).toContain('URL:https://www.themoviedb.org/movie/693134');
+      expect(lines.at(-2)).toBe('END:VCALENDAR');
+    });
+  });
+});
@@ -1,10 +1,41 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { env } from 'cloudflare:test';
+import { env, reset, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
 import worker from '../../src/index.js';
+import { tmdbCircuit } from '../../src/circuit.js';
+import { omdbProvider } from '../../src/providers.js';
 
 // Mock ASSETS binding
 const mockAssetsFetch = vi.fn();
 
+// The Worker's env in tests: the test bindings and mock ASSETS, plus overrides
+const workerEnv = (overrides = {}) => ({
+  ...env,
+  ASSETS: { fetch: mockAssetsFetch },
+  ...overrides,
+});
+
+// A request from the user Access signed in as email, or an anonymous one
+const signedInRequest = (email, path, init = {}) =>
+  new Request(`https://example.com${path}`, {
+    ...init,
+    headers: email ? { 'Cf-Access-Authenticated-User-Email': email } : {},
+  });
+
+// Mocks TMDB with respond(url), which gets each request's URL and returns the
+// JSON body to answer with, or a Response to answer with as is
+function mockTmdb(respond) {
+  return vi.fn().mockImplementation(async (url) => {
+    const body = respond(new URL(url));
+    if (body instanceof Response) {
+      return body;
+    }
+    return new Response(JSON.stringify(body), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  });
+}
+
 describe('Worker Tests', () => {
   beforeEach(() => {
     // Reset mocks before each test
@@ -12,9 +43,13 @@ describe('Worker Tests', () => {
     vi.clearAllMocks();
   });
 
-  afterEach(() => {
+  afterEach(async () => {
     // Restore global mocks after each test for better isolation
     vi.unstubAllGlobals();
+    // Clear the edge cache so cached TMDB responses don't leak between tests
+    await reset();
+    // Close the TMDB circuit breaker tripped by tests that simulate outages
+    tmdbCircuit.reset();
   });
 
   describe('Static Asset Serving', () => {
@@ -48,6 +83,117 @@ describe('Worker Tests', () => {
     });
   });
 
+  describe('Link Previews', () => {
+    const PAGE = '<html><head><title>End Times</title></head><body></body></html>';
+
+    beforeEach(() => {
+      mockAssetsFetch.mockImplementation(
+        async () => new Response(PAGE, { headers: { 'Content-Type': 'text/html' } }),
+      );
+    });
+
+    const mockDetails = (details) =>
+      mockTmdb((url) =>
+        url.pathname === '/3/search/movie'
+          ? { results: [{ id: 693134, title: details.title, release_date: '2024-02-27' }] }
+          : { id: 693134, release_date: '2024-02-27', ...details },
+      );
+
+    it('should add the movie, end time and poster to shared links', async () => {
+      vi.stubGlobal(
+        'fetch',
+        mockDetails({ title: 'Dune: Part Two', runtime: 167, poster_path: '/dune.jpg' }),
+      );
+
+      const response = await worker.fetch(
+        new Request(
+          'https://example.com/?movie=Dune&time=19:00&buffer=20&date=2025-03-01&tz=America%2FNew_York',
+        ),
+        workerEnv(),
+      );
+      const html = await response.text();
+
+      expect(response.status).toBe(200);
+      expect(html).toContain('<title>Dune: Part Two · End Times</title>');
+      expect(html).toContain('<meta property="og:title" content="Dune: Part Two" />');
+      expect(html).toContain(
+        '<meta property="og:description" content="Showtime 7:00 PM · ends ~10:07 PM" />',
+      );
+      expect(html).toContain(
+        '<meta property="og:image" content="https://image.tmdb.org/t/p/w500/dune.jpg" />',
+      );
+    });
+
+    it('should write the description in the link language', async () => {
+      vi.stubGlobal('fetch', mockDetails({ title: 'Dune: Teil Zwei', runtime: 167 }));
+
+      const response = await worker.fetch(
+        new Request('https://example.com/?movie=Dune&time=19:00&buffer=20&lang=de'),
+        workerEnv(),
+      );
+
+      expect(await response.text()).toContain('content="Vorstellung 19:00 · Ende ca. 22:07"');
+    });
+
+    it('should escape movie titles', async () => {
+      vi.stubGlobal('fetch', mockDetails({ title: '"><script>alert(1)</script>', runtime: 90 }));
+
+      const response = await worker.fetch(
+        new Request('https://example.com/?movie=%22%3E%3Cscript%3E&time=19:00'),
+        workerEnv(),
+      );
+      const html = await response.text();
+
+      expect(html).not.toContain('<script>');
+      expect(html).toContain('&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;');
+    });
+
+    it('should serve the page unchanged when the movie is not found', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response(JSON.stringify({ results: [] }))),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/?movie=Nothing&time=19:00'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe(PAGE);
+    });
+
+    it('should serve the page promptly when TMDB hangs', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(() => new Promise(() => {})),
+      );
+
+      const startedAt = Date.now();
+      const response = await worker.fetch(
+        new Request('https://example.com/?movie=Dune&movie=Arrival&time=19:00'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe(PAGE);
+      expect(Date.now() - startedAt).toBeLessThan(3000);
+    });
+
+    it('should not look anything up for pages without a movie', async () => {
+      const mockFetch = vi.fn();
+      vi.stubGlobal('fetch', mockFetch);
+
+      const response = await worker.fetch(
+        new Request('https://example.com/?time=19:00'),
+        workerEnv(),
+      );
+
+      expect(await response.text()).toBe(PAGE);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
   describe('API Routing', () => {
     it('should route /api/search to handleMovieSearch', async () => {
       const request = new Request('https://example.com/api/search?query=Inception');
@@ -122,6 +268,80 @@ describe('Worker Tests', () => {
       expect(response.status).toBe(404);
       expect(data).toHaveProperty('error', 'Unknown API endpoint');
     });
+
+    it('should return 405 with the allowed methods', async () => {
+      const mockFetch = vi.fn();
+      vi.stubGlobal('fetch', mockFetch);
+
+      const search = await worker.fetch(
+        new Request('https://example.com/api/search?query=Dune', { method: 'POST' }),
+        workerEnv(),
+      );
+      const links = await worker.fetch(
+        new Request('https://example.com/api/links', { method: 'PUT' }),
+        workerEnv(),
+      );
+
+      expect(search.status).toBe(405);
+      expect(search.headers.get('Allow')).toBe('GET, HEAD, OPTIONS');
+      expect(await search.json()).toEqual({
+        error: 'Method not allowed',
+        code: 'method_not_allowed',
+      });
+      expect(links.headers.get('Allow')).toBe('GET, POST, HEAD, OPTIONS');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should answer HEAD like GET without the body', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response(JSON.stringify({ id: 123, runtime: 120 }))),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/movie/123', { method: 'HEAD' }),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('application/json');
+      expect(await response.text()).toBe('');
+    });
+
+    it('should answer OPTIONS with the allowed methods', async () => {
+      const response = await worker.fetch(
+        new Request('https://example.com/api/me/preferences', { method: 'OPTIONS' }),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(204);
+      expect(response.headers.get('Allow')).toBe('GET, PUT, HEAD, OPTIONS');
+      expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    });
+
+    it('should only allow CORS for the configured origins', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(async () => new Response(JSON.stringify({ results: [] }))),
+      );
+      const corsEnv = workerEnv({
+        CORS_ORIGINS: 'https://app.example.com, https://other.example.com',
+      });
+      const search = (origin) =>
+        worker.fetch(
+          new Request('https://example.com/api/search?query=Dune', { headers: { Origin: origin } }),
+          corsEnv,
+        );
+
+      const allowed = await search('https://other.example.com');
+      const denied = await search('https://evil.example.com');
+
+      expect(allowed.status).toBe(200);
+      expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe('https://other.example.com');
+      expect(allowed.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+      expect(denied.status).toBe(200);
+      expect(denied.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    });
   });
 
   describe('Movie Search Endpoint', () => {
@@ -364,20 +584,1987 @@ describe('Worker Tests', () => {
     });
   });
 
-  describe('Environment Configuration', () => {
-    it('should return 500 if TMDB_READ_ACCESS_TOKEN is not configured', async () => {
-      const request = new Request('https://example.com/api/search?query=Test');
+  describe('v2 Endpoints', () => {
+    it('should return the best search match first with slim alternates', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(
+          new Response(
+            JSON.stringify({
+              page: 1,
+              results: [
+                {
+                  id: 841,
+                  title: 'Dune',
+                  release_date: '1984-12-14',
+                  poster_path: '/old.jpg',
+                  overview: 'Paul Atreides...',
+                  popularity: 30.1,
+                  vote_average: 6.2,
+                },
+                { id: 438631, title: 'Dune', release_date: '2021-09-15', poster_path: null },
+              ],
+            }),
+          ),
+        ),
+      );
 
-      const testEnv = {
-        ASSETS: { fetch: mockAssetsFetch },
-        // No TMDB_READ_ACCESS_TOKEN
-      };
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/search?query=Dune'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('X-Cache')).toBe('MISS');
+      expect(await response.json()).toEqual({
+        match: { id: 438631, title: 'Dune', year: 2021, posterPath: null, overview: '' },
+        alternates: [
+          {
+            id: 841,
+            title: 'Dune',
+            year: 1984,
+            posterPath: '/old.jpg',
+            overview: 'Paul Atreides...',
+          },
+        ],
+      });
+    });
+
+    it('should return a null match when nothing is found', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response(JSON.stringify({ page: 1, results: [] }))),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/search?query=zzzz'),
+        workerEnv(),
+      );
+
+      expect(await response.json()).toEqual({ match: null, alternates: [] });
+    });
+
+    it('should limit the search to a release year', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response(JSON.stringify({ page: 1, results: [] }))),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/search?query=Dune&year=1984'),
+        workerEnv(),
+      );
+      const invalid = await worker.fetch(
+        new Request('https://example.com/api/v2/search?query=Dune&year=84'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/search/movie?query=Dune&primary_release_year=1984'),
+        expect.any(Object),
+      );
+      expect(invalid.status).toBe(400);
+      expect(await invalid.json()).toEqual({
+        error: 'year parameter must be a four-digit year',
+        code: 'invalid_request',
+      });
+    });
+
+    it('should look up IMDb ids with TMDB find', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(
+          new Response(
+            JSON.stringify({
+              movie_results: [
+                { id: 438631, title: 'Dune', release_date: '2021-09-15', poster_path: '/d.jpg' },
+              ],
+              tv_results: [],
+            }),
+          ),
+        ),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/find/tt1160419'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringMatching(/\/find\/tt1160419\?external_source=imdb_id$/),
+        expect.any(Object),
+      );
+      expect(await response.json()).toEqual({
+        match: { id: 438631, title: 'Dune', year: 2021, posterPath: '/d.jpg', overview: '' },
+        alternates: [],
+      });
+    });
+
+    it('should reject malformed IMDb ids', async () => {
+      vi.stubGlobal('fetch', vi.fn());
+
+      const malformed = await worker.fetch(
+        new Request('https://example.com/api/v2/find/1160419'),
+        workerEnv(),
+      );
+      const nested = await worker.fetch(
+        new Request('https://example.com/api/v2/find/tt1160419/extra'),
+        workerEnv(),
+      );
+
+      expect(malformed.status).toBe(400);
+      expect(await malformed.json()).toEqual({
+        error: 'IMDb ID must look like tt1160419',
+        code: 'invalid_request',
+      });
+      expect(nested.status).toBe(404);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should return the top few suggestions in TMDB order', async () => {
+      const results = Array.from({ length: 8 }, (_, index) => ({
+        id: index + 1,
+        title: `Alien ${index + 1}`,
+        release_date: index === 0 ? '' : `${1979 + index}-05-25`,
+        poster_path: index === 1 ? '/alien2.jpg' : null,
+        overview: 'In space...',
+      }));
+      const mockFetch = vi
+        .fn()
+        .mockResolvedValue(new Response(JSON.stringify({ page: 1, results })));
+      vi.stubGlobal('fetch', mockFetch);
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/suggest?query=ali'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      const { suggestions } = await response.json();
+      expect(suggestions).toHaveLength(5);
+      expect(suggestions[0]).toEqual({ id: 1, title: 'Alien 1', year: null, posterPath: null });
+      expect(suggestions[1]).toEqual({
+        id: 2,
+        title: 'Alien 2',
+        year: 1980,
+        posterPath: '/alien2.jpg',
+      });
+      expect(mockFetch.mock.calls[0][0]).toContain('/search/movie?query=ali');
+    });
+
+    it('should pass the language and region on to TMDB', async () => {
+      const mockFetch = vi
+        .fn()
+        .mockImplementation(async () => new Response(JSON.stringify({ id: 1, results: [] })));
+      vi.stubGlobal('fetch', mockFetch);
+
+      await worker.fetch(
+        new Request('https://example.com/api/v2/search?query=Dune&language=de-DE&region=DE'),
+        workerEnv(),
+      );
+      await worker.fetch(
+        new Request('https://example.com/api/v2/movie/438631?language=de-DE&region=DE'),
+        workerEnv(),
+      );
+
+      expect(mockFetch.mock.calls[0][0]).toBe(
+        'https://api.themoviedb.org/3/search/movie?query=Dune&language=de-DE&region=DE',
+      );
+      // Region only applies to searches
+      expect(mockFetch.mock.calls[1][0]).toBe(
+        'https://api.themoviedb.org/3/movie/438631?append_to_response=release_dates&language=de-DE',
+      );
+    });
+
+    it.each([
+      ['language=german', 'language parameter must be a language code such as en or de-DE'],
+      ['language=de-de', 'language parameter must be a language code such as en or de-DE'],
+      ['region=de', 'region parameter must be a country code such as US'],
+    ])('should return 400 for an invalid locale (%s)', async (query, error) => {
+      vi.stubGlobal('fetch', vi.fn());
+
+      const response = await worker.fetch(
+        new Request(`https://example.com/api/v2/search?query=Dune&${query}`),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error, code: 'invalid_request' });
+    });
+
+    it('should require a query for suggestions', async () => {
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/suggest'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({
+        error: 'Query parameter is required',
+        code: 'invalid_request',
+      });
+    });
+
+    it('should return movie details with the US theatrical certification', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(
+          new Response(
+            JSON.stringify({
+              id: 693134,
+              title: 'Dune: Part Two',
+              release_date: '2024-02-27',
+              runtime: 167,
+              poster_path: '/dune2.jpg',
+              budget: 190000000,
+              release_dates: {
+                results: [
+                  { iso_3166_1: 'GB', release_dates: [{ certification: '12A', type: 3 }] },
+                  {
+                    iso_3166_1: 'US',
+                    release_dates: [
+                      { certification: '', type: 1 },
+                      { certification: 'PG-13', type: 3 },
+                    ],
+                  },
+                ],
+              },
+            }),
+          ),
+        ),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/movie/693134'),
+        workerEnv(),
+      );
+
+      expect(await response.json()).toEqual({
+        id: 693134,
+        title: 'Dune: Part Two',
+        year: 2024,
+        runtime: 167,
+        runtimeProvider: 'tmdb',
+        posterPath: '/dune2.jpg',
+        certification: 'PG-13',
+      });
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://api.themoviedb.org/3/movie/693134?append_to_response=release_dates',
+        expect.any(Object),
+      );
+    });
+
+    it('should report unknown runtimes and certifications as null', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi
+          .fn()
+          .mockResolvedValue(
+            new Response(JSON.stringify({ id: 1, title: 'Short', release_date: '', runtime: 0 })),
+          ),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/movie/1'),
+        workerEnv(),
+      );
+
+      expect(await response.json()).toEqual({
+        id: 1,
+        title: 'Short',
+        year: null,
+        runtime: null,
+        runtimeProvider: null,
+        posterPath: null,
+        certification: null,
+      });
+    });
+
+    it('should validate v2 parameters like v1', async () => {
+      const noQuery = await worker.fetch(
+        new Request('https://example.com/api/v2/search'),
+        workerEnv(),
+      );
+      const badId = await worker.fetch(
+        new Request('https://example.com/api/v2/movie/abc'),
+        workerEnv(),
+      );
+      const extraSegment = await worker.fetch(
+        new Request('https://example.com/api/v2/movie/1/credits'),
+        workerEnv(),
+      );
+
+      expect(noQuery.status).toBe(400);
+      expect(badId.status).toBe(400);
+      expect(extraSegment.status).toBe(404);
+    });
+  });
+
+  describe('End Time Endpoint', () => {
+    const searchResults = {
+      results: [
+        { id: 841, title: 'Dune', release_date: '1984-12-14' },
+        { id: 438631, title: 'Dune', release_date: '2021-09-15' },
+        { id: 693134, title: 'Dune: Part Two', release_date: '2024-02-27' },
+      ],
+    };
+
+    // Answers search and details requests the way TMDB would
+    const mockDetails = (details) =>
+      mockTmdb((url) => (url.pathname.endsWith('/search/movie') ? searchResults : details));
+
+    it('should search, pick the best match and calculate the end time', async () => {
+      const request = new Request(
+        'https://example.com/api/endtime?movie=Dune&time=19:30&buffer=20&tz=America/New_York&date=2025-01-15',
+      );
+
+      vi.stubGlobal(
+        'fetch',
+        mockDetails({
+          id: 693134,
+          title: 'Dune: Part Two',
+          runtime: 167,
+          release_date: '2024-02-27',
+        }),
+      );
+
+      const testEnv = workerEnv();
 
       const response = await worker.fetch(request, testEnv);
       const data = await response.json();
 
-      expect(response.status).toBe(500);
-      expect(data).toHaveProperty('error', 'TMDB read access token not configured');
+      expect(response.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringMatching(/\/movie\/693134$/),
+        expect.any(Object),
+      );
+      expect(data).toEqual({
+        movie: { id: 693134, title: 'Dune: Part Two', year: 2024 },
+        runtime: 167,
+        runtimeProvider: 'tmdb',
+        buffer: 20,
+        timeZone: 'America/New_York',
+        showtime: '2025-01-16T00:30:00.000Z',
+        estimatedStart: '2025-01-16T00:50:00.000Z',
+        estimatedEnd: '2025-01-16T03:37:00.000Z',
+        alternates: [
+          { id: 438631, title: 'Dune', year: 2021 },
+          { id: 841, title: 'Dune', year: 1984 },
+        ],
+      });
+    });
+
+    it('should skip the search when an id is given', async () => {
+      const request = new Request(
+        'https://example.com/api/endtime?id=841&time=20:00&tz=UTC&date=2025-07-01',
+      );
+
+      vi.stubGlobal(
+        'fetch',
+        mockDetails({ id: 841, title: 'Dune', runtime: 137, release_date: '1984-12-14' }),
+      );
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(data.movie).toEqual({ id: 841, title: 'Dune', year: 1984 });
+      // Defaults to a 20 minute buffer in UTC
+      expect(data.timeZone).toBe('UTC');
+      expect(data.estimatedStart).toBe('2025-07-01T20:20:00.000Z');
+      expect(data.estimatedEnd).toBe('2025-07-01T22:37:00.000Z');
+      expect(data.alternates).toEqual([]);
+    });
+
+    it.each([
+      ['tt0087182', '/find/tt0087182?external_source=imdb_id'],
+      ['https://www.imdb.com/title/tt0087182/?ref_=fn_al_tt_2', '/find/tt0087182?'],
+      ['https://www.themoviedb.org/movie/841-dune', null],
+    ])('should look up %s without searching', async (movie, findPath) => {
+      const request = new Request(
+        `https://example.com/api/endtime?movie=${encodeURIComponent(movie)}&time=20:00&tz=UTC`,
+      );
+
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(async (url) => {
+          const body = url.includes('/find/')
+            ? { movie_results: [{ id: 841, title: 'Dune' }] }
+            : { id: 841, title: 'Dune', runtime: 137, release_date: '1984-12-14' };
+          return new Response(JSON.stringify(body));
+        }),
+      );
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).movie).toEqual({ id: 841, title: 'Dune', year: 1984 });
+      const urls = global.fetch.mock.calls.map(([url]) => url);
+      expect(urls.some((url) => url.includes('/search/movie'))).toBe(false);
+      expect(urls.some((url) => url.includes(findPath))).toBe(findPath !== null);
+    });
+
+    it('should return 404 when an IMDb id has no movie', async () => {
+      const request = new Request(
+        'https://example.com/api/endtime?movie=tt0903747&time=20:00&tz=UTC',
+      );
+
+      vi.stubGlobal(
+        'fetch',
+        vi
+          .fn()
+          .mockResolvedValue(
+            new Response(JSON.stringify({ movie_results: [], tv_results: [{ id: 1396 }] })),
+          ),
+      );
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+
+      expect(response.status).toBe(404);
+      expect(await response.json()).toEqual({
+        error: 'No movies found with that IMDb id',
+        code: 'not_found',
+        title: 'tt0903747',
+      });
+    });
+
+    it('should search only the year given with the title', async () => {
+      const request = new Request(
+        `https://example.com/api/endtime?movie=${encodeURIComponent('Dune (1984)')}&time=20:00&tz=UTC`,
+      );
+
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(async (url) => {
+          const body = url.includes('/search/movie')
+            ? { results: [{ id: 841, title: 'Dune', release_date: '1984-12-14' }] }
+            : { id: 841, title: 'Dune', runtime: 137, release_date: '1984-12-14' };
+          return new Response(JSON.stringify(body));
+        }),
+      );
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).movie).toEqual({ id: 841, title: 'Dune', year: 1984 });
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/search/movie?query=Dune&primary_release_year=1984'),
+        expect.any(Object),
+      );
+    });
+
+    it('should search the whole title when nothing came out in a trailing year', async () => {
+      const request = new Request(
+        `https://example.com/api/endtime?movie=${encodeURIComponent('Wonder Woman 1984')}&time=20:00&tz=UTC`,
+      );
+
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(async (url) => {
+          let body = { id: 464052, title: 'Wonder Woman 1984', runtime: 151 };
+          if (url.includes('primary_release_year=1984')) {
+            body = { results: [] };
+          } else if (url.includes('/search/movie')) {
+            body = {
+              results: [{ id: 464052, title: 'Wonder Woman 1984', release_date: '2020-12-16' }],
+            };
+          }
+          return new Response(JSON.stringify(body));
+        }),
+      );
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).movie.id).toBe(464052);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringMatching(/\/search\/movie\?query=Wonder%20Woman%201984$/),
+        expect.any(Object),
+      );
+    });
+
+    it.each([
+      ['time=19:30&tz=UTC', 'movie or id parameter is required'],
+      ['movie=Dune', 'time parameter must be in HH:MM format'],
+      ['movie=Dune&time=25:00', 'time parameter must be in HH:MM format'],
+      [
+        'movie=Dune&time=19:30&tz=UTC&buffer=61',
+        'buffer parameter is not a valid trailer duration',
+      ],
+      ['movie=Dune&time=19:30', 'tz parameter is required'],
+      ['movie=Dune&time=19:30&tz=Nowhere/Special', 'tz parameter is not a valid time zone'],
+      [
+        'movie=Dune&time=19:30&tz=UTC&date=2025-02-30',
+        'date parameter must be in YYYY-MM-DD format',
+      ],
+      ['id=12ab&time=19:30&tz=UTC', 'Movie ID must be numeric'],
+    ])('should return 400 for invalid parameters (%s)', async (query, error) => {
+      const request = new Request(`https://example.com/api/endtime?${query}`);
+
+      vi.stubGlobal('fetch', vi.fn());
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data).toHaveProperty('error', error);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the search finds nothing', async () => {
+      const request = new Request(
+        'https://example.com/api/endtime?movie=Nothing&time=19:30&tz=UTC',
+      );
+
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response(JSON.stringify({ results: [] }), { status: 200 })),
+      );
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data).toHaveProperty('error', 'No movies found with that title');
+    });
+
+    it('should return 422 when the movie has no runtime', async () => {
+      const request = new Request('https://example.com/api/endtime?id=1&time=19:30&tz=UTC');
+
+      vi.stubGlobal('fetch', mockDetails({ id: 1, title: 'Upcoming', runtime: 0 }));
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should pass TMDB errors through', async () => {
+      const request = new Request('https://example.com/api/endtime?movie=Dune&time=19:30&tz=UTC');
+
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response('Server Error', { status: 500 })),
+      );
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(503);
+      expect(data).toHaveProperty('error', 'Failed to search movies');
+    });
+  });
+
+  describe('Calendar Endpoint', () => {
+    const detailsById = {
+      693134: { id: 693134, title: 'Dune: Part Two', runtime: 167, release_date: '2024-02-27' },
+      841: { id: 841, title: 'Dune', runtime: 137, release_date: '1984-12-14' },
+    };
+
+    const mockDetails = () =>
+      mockTmdb((url) =>
+        url.pathname.endsWith('/search/movie')
+          ? { results: [detailsById[693134], detailsById[841]] }
+          : detailsById[url.pathname.split('/').pop()],
+      );
+
+    it('should export a showing as a VEVENT using the calculated times', async () => {
+      const request = new Request(
+        'https://example.com/api/calendar.ics?movie=Dune&time=19:30&buffer=20&date=2025-01-15&tz=America/New_York',
+      );
+
+      vi.stubGlobal('fetch', mockDetails());
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+      const ics = await response.text();
+      const lines = ics.split('\r\n');
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('text/calendar; charset=utf-8');
+      expect(response.headers.get('Content-Disposition')).toContain('end-times.ics');
+      expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(1);
+      expect(lines).toContain('SUMMARY:Dune: Part Two');
+      expect(lines).toContain('DTSTART:20250116T003000Z');
+      expect(lines).toContain('DTEND:20250116T033700Z');
+      expect(lines).toContain('URL:https://www.themoviedb.org/movie/693134');
+      // Unfold continuation lines before checking the description text
+      const unfolded = ics.replace(/\r\n /g, '');
+      expect(unfolded).toContain(
+        'Trailers: 7:30 PM – 7:50 PM\\nFeature: 7:50 PM – 10:37 PM (167 min)',
+      );
+    });
+
+    it('should write the event text in the requested language', async () => {
+      const mockFetch = mockDetails();
+      vi.stubGlobal('fetch', mockFetch);
+
+      const response = await worker.fetch(
+        new Request(
+          'https://example.com/api/calendar.ics?movie=Dune&time=19:30&buffer=20&date=2025-01-15&tz=Europe/Berlin&language=de-DE&region=DE',
+        ),
+        workerEnv(),
+      );
+      const unfolded = (await response.text()).replace(/\r\n /g, '');
+
+      expect(unfolded).toContain('Trailer: 19:30 – 19:50\\nFilm: 19:50 – 22:37 (167 Min.)');
+      expect(mockFetch.mock.calls[0][0]).toContain('&language=de-DE&region=DE');
+    });
+
+    it('should export a plan as one VEVENT per movie', async () => {
+      const request = new Request(
+        'https://example.com/api/calendar.ics?movie=Dune&movie=Dune&id=841&id=693134&buffer=10&buffer=20&gap=30&time=12:00&tz=UTC&date=2025-07-01',
+      );
+
+      vi.stubGlobal('fetch', mockDetails());
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+      const lines = (await response.text()).split('\r\n');
+
+      expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+      // 12:00 + 10 + 137 = 14:27, + 30 min break = 14:57, + 20 + 167 = 18:04
+      expect(lines).toContain('DTSTART:20250701T120000Z');
+      expect(lines).toContain('DTEND:20250701T142700Z');
+      expect(lines).toContain('DTSTART:20250701T145700Z');
+      expect(lines).toContain('DTEND:20250701T180400Z');
+    });
+
+    it.each([
+      ['time=19:30&tz=UTC', 'movie parameter is required'],
+      ['movie=Dune&time=19:30', 'tz parameter is required'],
+      ['movie=Dune', 'time parameter must be in HH:MM format'],
+      [
+        'movie=Dune&time=19:30&tz=UTC&buffer=abc',
+        'buffer parameter is not a valid trailer duration',
+      ],
+      [
+        'movie=Dune&movie=Alien&time=19:30&tz=UTC&gap=500',
+        'gap parameter must be between 0 and 120 minutes',
+      ],
+    ])('should return 400 for invalid parameters (%s)', async (query, error) => {
+      const request = new Request(`https://example.com/api/calendar.ics?${query}`);
+
+      vi.stubGlobal('fetch', vi.fn());
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(request, testEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data).toHaveProperty('error', error);
+    });
+  });
+
+  describe('TV Endpoints', () => {
+    it('should search TV shows in the v2 schema', async () => {
+      const mockFetch = vi.fn().mockResolvedValue(
+        new Response(
+          JSON.stringify({
+            results: [
+              {
+                id: 1396,
+                name: 'Breaking Bad',
+                first_air_date: '2008-01-20',
+                poster_path: '/bb.jpg',
+                overview: 'A chemistry teacher...',
+              },
+              { id: 99, name: 'Untitled Pilot', first_air_date: '', poster_path: null },
+            ],
+          }),
+        ),
+      );
+      vi.stubGlobal('fetch', mockFetch);
+
+      const response = await worker.fetch(
+        new Request(
+          'https://example.com/api/v2/tv/search?query=Breaking%20Bad&region=DE&language=de',
+        ),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({
+        results: [
+          {
+            id: 1396,
+            title: 'Breaking Bad',
+            year: 2008,
+            posterPath: '/bb.jpg',
+            overview: 'A chemistry teacher...',
+          },
+          { id: 99, title: 'Untitled Pilot', year: null, posterPath: null, overview: '' },
+        ],
+      });
+      // TMDB's TV search doesn't take a region
+      expect(mockFetch.mock.calls[0][0]).toBe(
+        'https://api.themoviedb.org/3/search/tv?query=Breaking%20Bad&language=de',
+      );
+    });
+
+    it('should return a show with its seasons', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(
+          new Response(
+            JSON.stringify({
+              id: 1396,
+              name: 'Breaking Bad',
+              first_air_date: '2008-01-20',
+              poster_path: '/bb.jpg',
+              seasons: [
+                { season_number: 0, name: 'Specials', episode_count: 9 },
+                { season_number: 1, name: 'Season 1', episode_count: 7 },
+              ],
+            }),
+          ),
+        ),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/tv/1396'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({
+        id: 1396,
+        title: 'Breaking Bad',
+        year: 2008,
+        posterPath: '/bb.jpg',
+        seasons: [
+          { seasonNumber: 0, name: 'Specials', episodeCount: 9 },
+          { seasonNumber: 1, name: 'Season 1', episodeCount: 7 },
+        ],
+      });
+    });
+
+    it('should return a season with episode runtimes', async () => {
+      const mockFetch = vi.fn().mockResolvedValue(
+        new Response(
+          JSON.stringify({
+            season_number: 1,
+            name: 'Season 1',
+            episodes: [
+              { episode_number: 1, name: 'Pilot', runtime: 58 },
+              { episode_number: 2, name: "Cat's in the Bag...", runtime: null },
+            ],
+          }),
+        ),
+      );
+      vi.stubGlobal('fetch', mockFetch);
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/tv/1396/season/01?language=en-US'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({
+        seasonNumber: 1,
+        name: 'Season 1',
+        episodes: [
+          { episodeNumber: 1, name: 'Pilot', runtime: 58 },
+          { episodeNumber: 2, name: "Cat's in the Bag...", runtime: null },
+        ],
+      });
+      expect(mockFetch.mock.calls[0][0]).toBe(
+        'https://api.themoviedb.org/3/tv/1396/season/1?language=en-US',
+      );
+    });
+
+    it.each([
+      ['/api/v2/tv/abc', 400, 'TV show ID must be numeric', 'invalid_request'],
+      ['/api/v2/tv/', 400, 'TV show ID is required', 'invalid_request'],
+      ['/api/v2/tv/1396/season/one', 400, 'Season number must be numeric', 'invalid_request'],
+      ['/api/v2/tv/1396/episodes', 404, 'Unknown API endpoint', 'not_found'],
+      ['/api/v2/tv/search', 400, 'Query parameter is required', 'invalid_request'],
+    ])('should reject %s', async (path, status, error, code) => {
+      const mockFetch = vi.fn();
+      vi.stubGlobal('fetch', mockFetch);
+
+      const response = await worker.fetch(new Request(`https://example.com${path}`), workerEnv());
+
+      expect(response.status).toBe(status);
+      expect(await response.json()).toEqual({ error, code });
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Movie List Endpoints', () => {
+    const mockLists = ({ failingId = null } = {}) =>
+      mockTmdb(({ pathname }) => {
+        if (pathname.endsWith('/now_playing') || pathname.endsWith('/upcoming')) {
+          return {
+            page: 2,
+            total_pages: 900,
+            results: [
+              { id: 1, title: 'Long Movie', release_date: '2025-10-01', poster_path: '/long.jpg' },
+              { id: 2, title: 'Short Movie', release_date: '2025-09-12', poster_path: null },
+            ],
+          };
+        }
+        const id = Number(pathname.split('/').pop());
+        if (id === failingId) {
+          return new Response('Not Found', { status: 404 });
+        }
+        return {
+          id,
+          title: id === 1 ? 'Long Movie' : 'Short Movie',
+          release_date: '2025-10-01',
+          runtime: id === 1 ? 180 : 90,
+          poster_path: null,
+        };
+      });
+
+    it('should list now playing movies with their runtimes', async () => {
+      const mockFetch = mockLists();
+      vi.stubGlobal('fetch', mockFetch);
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/now-playing?page=2&region=GB&language=en-GB'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('X-Cache')).toBe('MISS');
+      const data = await response.json();
+      // TMDB serves at most 500 pages
+      expect(data).toMatchObject({ page: 2, totalPages: 500 });
+      expect(data.results.map((movie) => [movie.title, movie.runtime])).toEqual([
+        ['Long Movie', 180],
+        ['Short Movie', 90],
+      ]);
+      expect(mockFetch.mock.calls[0][0]).toBe(
+        'https://api.themoviedb.org/3/movie/now_playing?page=2&language=en-GB&region=GB',
+      );
+    });
+
+    it('should serve upcoming movies from the edge cache', async () => {
+      const mockFetch = mockLists();
+      vi.stubGlobal('fetch', mockFetch);
+
+      await worker.fetch(new Request('https://example.com/api/v2/upcoming'), workerEnv());
+      const calls = mockFetch.mock.calls.length;
+      const cached = await worker.fetch(
+        new Request('https://example.com/api/v2/upcoming?page=1'),
+        workerEnv(),
+      );
+
+      expect(cached.headers.get('X-Cache')).toBe('HIT');
+      expect(mockFetch.mock.calls.length).toBe(calls);
+      expect(mockFetch.mock.calls[0][0]).toBe('https://api.themoviedb.org/3/movie/upcoming?page=1');
+    });
+
+    it('should still list a movie whose details fail, without a runtime', async () => {
+      vi.stubGlobal('fetch', mockLists({ failingId: 2 }));
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/now-playing'),
+        workerEnv(),
+      );
+      const { results } = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(results[1]).toEqual({
+        id: 2,
+        title: 'Short Movie',
+        year: 2025,
+        runtime: null,
+        runtimeProvider: null,
+        posterPath: null,
+        certification: null,
+      });
+    });
+
+    it('should cap the entries per page and look up a few details at a time', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const detailCalls = [];
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(async (url) => {
+          const { pathname } = new URL(url);
+          if (pathname.endsWith('/now_playing')) {
+            const results = Array.from({ length: 30 }, (_, index) => ({
+              id: index + 1,
+              title: `Movie ${index + 1}`,
+              release_date: '2025-10-01',
+            }));
+            return new Response(JSON.stringify({ page: 1, total_pages: 1, results }));
+          }
+          detailCalls.push(pathname);
+          inFlight += 1;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          inFlight -= 1;
+          const id = Number(pathname.split('/').pop());
+          return new Response(JSON.stringify({ id, title: `Movie ${id}`, runtime: 100 }));
+        }),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/now-playing'),
+        workerEnv(),
+      );
+      const { results } = await response.json();
+
+      expect(results).toHaveLength(20);
+      expect(results.map((movie) => movie.id)).toEqual(
+        Array.from({ length: 20 }, (_, index) => index + 1),
+      );
+      expect(detailCalls).toHaveLength(20);
+      expect(maxInFlight).toBeLessThanOrEqual(4);
+    });
+
+    it.each(['0', '501', '1.5', 'two'])('should return 400 for page=%s', async (page) => {
+      vi.stubGlobal('fetch', vi.fn());
+
+      const response = await worker.fetch(
+        new Request(`https://example.com/api/v2/now-playing?page=${page}`),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({
+        error: 'page parameter must be a whole number from 1 to 500',
+        code: 'invalid_request',
+      });
+    });
+  });
+
+  describe('Runtime Providers', () => {
+    // Stands in for OMDb, the provider asked after TMDB
+    const fallback = (runtime) =>
+      vi.spyOn(omdbProvider, 'lookupRuntime').mockResolvedValue(runtime);
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it("should fill in a runtime TMDB doesn't have", async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(
+          new Response(
+            JSON.stringify({
+              id: 1241982,
+              imdb_id: 'tt13622970',
+              title: 'New Release',
+              release_date: '2026-11-26',
+              runtime: 0,
+            }),
+          ),
+        ),
+      );
+      const lookup = fallback(118);
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/movie/1241982'),
+        testEnv,
+      );
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ runtime: 118, runtimeProvider: 'omdb' });
+      expect(lookup).toHaveBeenCalledWith(
+        testEnv,
+        undefined,
+        expect.objectContaining({ imdbId: 'tt13622970', title: 'New Release', year: 2026 }),
+      );
+    });
+
+    it('should not ask other providers when TMDB has the runtime', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi
+          .fn()
+          .mockResolvedValue(
+            new Response(JSON.stringify({ id: 841, title: 'Dune', runtime: 137 })),
+          ),
+      );
+      const lookup = fallback(999);
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/movie/841'),
+        workerEnv(),
+      );
+
+      expect(await response.json()).toMatchObject({ runtime: 137, runtimeProvider: 'tmdb' });
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    it('should calculate from the fallback when the details lookup fails', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(async (url) =>
+          url.includes('/search/movie')
+            ? new Response(
+                JSON.stringify({
+                  results: [{ id: 841, title: 'Dune', release_date: '1984-12-14' }],
+                }),
+              )
+            : new Response('Not Found', { status: 404 }),
+        ),
+      );
+      const lookup = fallback(137);
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/endtime?movie=Dune&time=20:00&tz=UTC&date=2025-07-01'),
+        workerEnv(),
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toMatchObject({
+        movie: { id: 841, title: 'Dune', year: 1984 },
+        runtime: 137,
+        runtimeProvider: 'omdb',
+        estimatedEnd: '2025-07-01T22:37:00.000Z',
+      });
+      expect(lookup).toHaveBeenCalledWith(
+        expect.any(Object),
+        undefined,
+        expect.objectContaining({ imdbId: null, title: 'Dune', year: 1984, tmdb: null }),
+      );
+    });
+
+    it('should ask OMDb when its API key is set', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(async (url) =>
+          url.startsWith('https://www.omdbapi.com/')
+            ? new Response(JSON.stringify({ Response: 'True', Runtime: '118 min' }))
+            : new Response(
+                JSON.stringify({
+                  id: 1241982,
+                  imdb_id: 'tt13622970',
+                  title: 'New',
+                  runtime: null,
+                }),
+              ),
+        ),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/endtime?id=1241982&time=20:00&tz=UTC'),
+        workerEnv({ OMDB_API_KEY: 'test-omdb-key' }),
+      );
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ runtime: 118, runtimeProvider: 'omdb' });
+    });
+
+    it('should still return 422 when no provider knows the runtime', async () => {
+      fallback(null);
+      vi.stubGlobal(
+        'fetch',
+        vi
+          .fn()
+          .mockResolvedValue(new Response(JSON.stringify({ id: 1, title: 'Short', runtime: 0 }))),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/endtime?id=1&time=20:00&tz=UTC'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(422);
+      expect(await response.json()).toEqual({
+        error: 'Runtime information not available for this movie',
+        code: 'runtime_unavailable',
+        title: 'Short',
+      });
+    });
+  });
+
+  describe('Edge Caching', () => {
+    it('should serve repeat searches from the cache', async () => {
+      vi.stubGlobal(
+        'fetch',
+        mockTmdb(() => ({ results: [{ id: 1, title: 'Dune' }] })),
+      );
+
+      const testEnv = workerEnv();
+
+      const first = await worker.fetch(
+        new Request('https://example.com/api/search?query=Dune'),
+        testEnv,
+      );
+      expect(first.headers.get('X-Cache')).toBe('MISS');
+      await first.arrayBuffer();
+
+      // Equivalent queries share a cache entry
+      const second = await worker.fetch(
+        new Request('https://example.com/api/search?query=%20dune%20'),
+        testEnv,
+      );
+      expect(second.headers.get('X-Cache')).toBe('HIT');
+      expect(second.headers.get('Cache-Control')).toBe('private, max-age=3600');
+      expect(await second.json()).toEqual({ results: [{ id: 1, title: 'Dune' }] });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should key cache entries on the path and query without the token', async () => {
+      vi.stubGlobal(
+        'fetch',
+        mockTmdb(() => ({ id: 550, runtime: 139 })),
+      );
+
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/movie/550'),
+        testEnv,
+      );
+      await response.arrayBuffer();
+
+      const cached = await caches.default.match(
+        new Request('https://tmdb-cache.end-times.internal/movie/550'),
+      );
+      expect(cached).toBeDefined();
+      expect(await cached.json()).toEqual({ id: 550, runtime: 139 });
+      for (const [, value] of cached.headers) {
+        expect(value).not.toContain(env.TMDB_READ_ACCESS_TOKEN);
+      }
+    });
+
+    it('should use separate TTLs for search and details', async () => {
+      vi.stubGlobal(
+        'fetch',
+        mockTmdb(() => ({ results: [] })),
+      );
+
+      const testEnv = workerEnv();
+
+      await (
+        await worker.fetch(new Request('https://example.com/api/search?query=Alien'), testEnv)
+      ).arrayBuffer();
+      await (
+        await worker.fetch(new Request('https://example.com/api/movie/348'), testEnv)
+      ).arrayBuffer();
+
+      const search = await caches.default.match(
+        new Request('https://tmdb-cache.end-times.internal/search/movie?query=alien'),
+      );
+      const details = await caches.default.match(
+        new Request('https://tmdb-cache.end-times.internal/movie/348'),
+      );
+      expect(search.headers.get('Cache-Control')).toBe('public, max-age=4200');
+      expect(details.headers.get('Cache-Control')).toBe('public, max-age=90000');
+    });
+
+    it('should serve stale entries while refreshing them in the background', async () => {
+      const cacheKey = new Request('https://tmdb-cache.end-times.internal/movie/27205');
+      await caches.default.put(
+        cacheKey,
+        new Response(JSON.stringify({ id: 27205, runtime: 100 }), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'public, max-age=90000',
+            // Older than the one day TTL but within the stale window
+            'X-EndTimes-Cached-At': (Date.now() - 86400 * 1000 - 60000).toString(),
+          },
+        }),
+      );
+
+      vi.stubGlobal(
+        'fetch',
+        mockTmdb(() => ({ id: 27205, runtime: 148 })),
+      );
+
+      const testEnv = workerEnv();
+      const ctx = createExecutionContext();
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/movie/27205'),
+        testEnv,
+        ctx,
+      );
+      expect(response.headers.get('X-Cache')).toBe('STALE');
+      expect(await response.json()).toEqual({ id: 27205, runtime: 100 });
+
+      await waitOnExecutionContext(ctx);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      const refreshed = await worker.fetch(
+        new Request('https://example.com/api/movie/27205'),
+        testEnv,
+      );
+      expect(refreshed.headers.get('X-Cache')).toBe('HIT');
+      expect(await refreshed.json()).toEqual({ id: 27205, runtime: 148 });
+    });
+
+    it('should not cache TMDB errors', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(async () => new Response('Server Error', { status: 500 })),
+      );
+
+      const testEnv = workerEnv();
+
+      await worker.fetch(new Request('https://example.com/api/movie/1'), testEnv);
+      const callsPerRequest = global.fetch.mock.calls.length;
+      const response = await worker.fetch(new Request('https://example.com/api/movie/1'), testEnv);
+
+      expect(response.status).toBe(503);
+      expect(global.fetch).toHaveBeenCalledTimes(callsPerRequest * 2);
+    });
+
+    const purgeRequest = (id, email = 'admin@example.com', method = 'DELETE') =>
+      signedInRequest(email, `/api/cache/movie/${id}`, { method });
+
+    it('should purge a cached movie by id', async () => {
+      vi.stubGlobal(
+        'fetch',
+        mockTmdb(() => ({ id: 603, runtime: 136 })),
+      );
+
+      const testEnv = workerEnv({ ADMIN_EMAILS: 'admin@example.com' });
+
+      await (
+        await worker.fetch(new Request('https://example.com/api/movie/603'), testEnv)
+      ).arrayBuffer();
+
+      const purge = await worker.fetch(purgeRequest('603'), testEnv);
+      expect(purge.status).toBe(200);
+      expect(await purge.json()).toEqual({ id: 603, purged: true });
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/movie/603'),
+        testEnv,
+      );
+      expect(response.headers.get('X-Cache')).toBe('MISS');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should purge the v2 details in every language along with v1', async () => {
+      vi.stubGlobal(
+        'fetch',
+        mockTmdb(() => ({ id: 603, title: 'The Matrix', runtime: 136 })),
+      );
+
+      const testEnv = workerEnv({ ADMIN_EMAILS: 'admin@example.com' });
+
+      await (
+        await worker.fetch(new Request('https://example.com/api/v2/movie/603'), testEnv)
+      ).arrayBuffer();
+      await (
+        await worker.fetch(new Request('https://example.com/api/v2/movie/603?language=de'), testEnv)
+      ).arrayBuffer();
+
+      const purge = await worker.fetch(purgeRequest('603'), testEnv);
+      expect(await purge.json()).toEqual({ id: 603, purged: true });
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/v2/movie/603'),
+        testEnv,
+      );
+      const german = await worker.fetch(
+        new Request('https://example.com/api/v2/movie/603?language=de'),
+        testEnv,
+      );
+      expect(response.headers.get('X-Cache')).toBe('MISS');
+      expect(german.headers.get('X-Cache')).toBe('MISS');
+    });
+
+    it('should only purge with DELETE and a numeric id', async () => {
+      const testEnv = workerEnv({ ADMIN_EMAILS: 'admin@example.com' });
+
+      const get = await worker.fetch(purgeRequest('603', 'admin@example.com', 'GET'), testEnv);
+      const badId = await worker.fetch(purgeRequest('abc'), testEnv);
+
+      expect(get.status).toBe(405);
+      expect(badId.status).toBe(400);
+    });
+
+    it('should only let admins purge', async () => {
+      const mockFetch = mockTmdb(() => ({ id: 603, runtime: 136 }));
+      vi.stubGlobal('fetch', mockFetch);
+      const testEnv = workerEnv({ ADMIN_EMAILS: 'admin@example.com, ops@example.com' });
+      await (
+        await worker.fetch(new Request('https://example.com/api/movie/603'), testEnv)
+      ).arrayBuffer();
+
+      const anonymous = await worker.fetch(purgeRequest('603', null), testEnv);
+      const user = await worker.fetch(purgeRequest('603', 'ada@example.com'), testEnv);
+      const noAdmins = await worker.fetch(purgeRequest('603'), {
+        ...testEnv,
+        ADMIN_EMAILS: undefined,
+      });
+      const cached = await worker.fetch(new Request('https://example.com/api/movie/603'), testEnv);
+      const ops = await worker.fetch(purgeRequest('603', 'Ops@Example.com'), testEnv);
+
+      expect(anonymous.status).toBe(401);
+      expect(user.status).toBe(403);
+      expect(await user.json()).toEqual({
+        error: 'Only admins can purge the cache',
+        code: 'forbidden',
+      });
+      expect(noAdmins.status).toBe(403);
+      expect(cached.headers.get('X-Cache')).toBe('HIT');
+      expect(ops.status).toBe(200);
+    });
+  });
+
+  describe('TMDB Resilience', () => {
+    const tmdbJson = (body) => new Response(JSON.stringify(body), { status: 200 });
+
+    it('should retry TMDB 5xx responses and network errors', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi
+          .fn()
+          .mockResolvedValueOnce(new Response('Bad Gateway', { status: 502 }))
+          .mockRejectedValueOnce(new TypeError('Network error'))
+          .mockResolvedValueOnce(tmdbJson({ id: 603, runtime: 136 })),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/movie/603'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ id: 603, runtime: 136 });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should give up after three attempts', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(async () => new Response('Server Error', { status: 500 })),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/movie/603'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(503);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should pass TMDB rate limiting through with Retry-After', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi
+          .fn()
+          .mockResolvedValue(
+            new Response('Too Many Requests', { status: 429, headers: { 'Retry-After': '12' } }),
+          ),
+      );
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/search?query=Dune'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(429);
+      expect(response.headers.get('Retry-After')).toBe('12');
+      expect(await response.json()).toEqual({
+        error: 'Failed to search movies',
+        code: 'rate_limited',
+        message: 'TMDB is rate limiting requests',
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should abort TMDB requests that time out', async () => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+      const signals = [];
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(
+          (url, init) =>
+            new Promise((resolve, reject) => {
+              signals.push(init.signal);
+              init.signal.addEventListener('abort', () => reject(init.signal.reason));
+            }),
+        ),
+      );
+
+      try {
+        const pending = worker.fetch(new Request('https://example.com/api/movie/603'), workerEnv());
+        await vi.advanceTimersByTimeAsync(20000);
+        const response = await pending;
+
+        expect(response.status).toBe(502);
+        expect(signals).toHaveLength(3);
+        expect(signals.every((signal) => signal.aborted)).toBe(true);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should fail fast while the circuit breaker is open', async () => {
+      vi.stubGlobal('fetch', vi.fn());
+      for (let i = 0; i < 5; i++) {
+        tmdbCircuit.recordFailure();
+      }
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/movie/603'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(503);
+      expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should serve stale cached data while the circuit breaker is open', async () => {
+      await caches.default.put(
+        new Request('https://tmdb-cache.end-times.internal/movie/603'),
+        new Response(JSON.stringify({ id: 603, runtime: 136 }), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'public, max-age=90000',
+            'X-EndTimes-Cached-At': (Date.now() - 86400 * 1000 - 60000).toString(),
+          },
+        }),
+      );
+      vi.stubGlobal('fetch', vi.fn());
+      for (let i = 0; i < 5; i++) {
+        tmdbCircuit.recordFailure();
+      }
+
+      const response = await worker.fetch(
+        new Request('https://example.com/api/movie/603'),
+        workerEnv(),
+      );
+
+      expect(response.headers.get('X-Cache')).toBe('STALE');
+      expect(await response.json()).toEqual({ id: 603, runtime: 136 });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should open the circuit breaker after repeated failed requests', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockImplementation(async () => new Response('Server Error', { status: 500 })),
+      );
+
+      for (let i = 0; i < 5; i++) {
+        await worker.fetch(new Request(`https://example.com/api/movie/${i + 1}`), workerEnv());
+      }
+      const callsBeforeOpen = global.fetch.mock.calls.length;
+      const response = await worker.fetch(
+        new Request('https://example.com/api/movie/6'),
+        workerEnv(),
+      );
+
+      expect(response.status).toBe(503);
+      expect(global.fetch).toHaveBeenCalledTimes(callsBeforeOpen);
+    });
+  });
+
+  describe('Preferences Endpoint', () => {
+    const preferencesRequest = (email, init) => signedInRequest(email, '/api/me/preferences', init);
+
+    it('should return the defaults before anything is saved', async () => {
+      const testEnv = workerEnv();
+
+      const response = await worker.fetch(preferencesRequest('ada@example.com'), testEnv);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({
+        buffer: 20,
+        profile: null,
+        clock: 'auto',
+        startTime: '12:00',
+      });
+    });
+
+    it('should save preferences per Access identity', async () => {
+      const testEnv = workerEnv();
+
+      const put = await worker.fetch(
+        preferencesRequest('Ada@Example.com', {
+          method: 'PUT',
+          body: JSON.stringify({ buffer: 25, profile: 'amc', clock: '24h', startTime: '19:30' }),
+        }),
+        testEnv,
+      );
+      expect(put.status).toBe(200);
+
+      const same = await worker.fetch(preferencesRequest('ada@example.com'), testEnv);
+      const other = await worker.fetch(preferencesRequest('grace@example.com'), testEnv);
+
+      expect(await same.json()).toEqual({
+        buffer: 25,
+        profile: 'amc',
+        clock: '24h',
+        startTime: '19:30',
+      });
+      expect((await other.json()).clock).toBe('auto');
+      expect(await env.PREFERENCES.get('preferences:ada@example.com', 'json')).toEqual({
+        buffer: 25,
+        profile: 'amc',
+        clock: '24h',
+        startTime: '19:30',
+      });
+    });
+
+    it('should reject invalid preferences without saving them', async () => {
+      const testEnv = workerEnv();
+
+      const invalid = await worker.fetch(
+        preferencesRequest('ada@example.com', {
+          method: 'PUT',
+          body: JSON.stringify({ clock: 'sundial' }),
+        }),
+        testEnv,
+      );
+      const notJson = await worker.fetch(
+        preferencesRequest('ada@example.com', { method: 'PUT', body: '{' }),
+        testEnv,
+      );
+
+      expect(invalid.status).toBe(400);
+      expect((await invalid.json()).error).toBe('clock must be one of auto, 12h, 24h');
+      expect(notJson.status).toBe(400);
+      expect(await env.PREFERENCES.get('preferences:ada@example.com')).toBeNull();
+    });
+
+    it('should require an Access identity and a supported method', async () => {
+      const testEnv = workerEnv();
+
+      const anonymous = await worker.fetch(preferencesRequest(null), testEnv);
+      const post = await worker.fetch(
+        preferencesRequest('ada@example.com', { method: 'POST' }),
+        testEnv,
+      );
+
+      expect(anonymous.status).toBe(401);
+      expect(post.status).toBe(405);
+    });
+  });
+
+  describe('Short Links', () => {
+    const createLink = (email, query, testEnv) =>
+      worker.fetch(
+        signedInRequest(email, '/api/links', { method: 'POST', body: JSON.stringify({ query }) }),
+        testEnv,
+      );
+
+    it('should create a short link and redirect it to the calculation', async () => {
+      const testEnv = workerEnv();
+
+      const created = await createLink(
+        'Ada@Example.com',
+        '?movie=Dune&movie=Arrival&time=19:00&gap=15',
+        testEnv,
+      );
+      expect(created.status).toBe(201);
+      const link = await created.json();
+      expect(link.code).toMatch(/^[A-Za-z0-9]{8}$/);
+      expect(link.url).toBe(`https://example.com/s/${link.code}`);
+      expect(link.query).toBe('movie=Dune&movie=Arrival&time=19%3A00&gap=15');
+      // Links expire after 90 days
+      expect(Date.parse(link.expiresAt) - Date.parse(link.createdAt)).toBe(
+        90 * 24 * 60 * 60 * 1000,
+      );
+
+      const response = await worker.fetch(new Request(link.url), testEnv);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.get('Location')).toBe(`https://example.com/?${link.query}`);
+      expect(response.headers.get('Cache-Control')).toBe('private, no-cache');
+      expect(mockAssetsFetch).not.toHaveBeenCalled();
+      expect(await env.SHORT_LINKS.get(`link:${link.code}`, 'json')).toMatchObject({
+        email: 'ada@example.com',
+      });
+    });
+
+    it('should return 404 for unknown and malformed codes', async () => {
+      const testEnv = workerEnv();
+
+      const unknown = await worker.fetch(new Request('https://example.com/s/AbCdEfGh'), testEnv);
+      const malformed = await worker.fetch(
+        new Request('https://example.com/s/not-a-code!'),
+        testEnv,
+      );
+
+      expect(unknown.status).toBe(404);
+      expect(await unknown.text()).toBe('This short link has expired or does not exist.');
+      expect(malformed.status).toBe(404);
+    });
+
+    it("should list only the creator's links, newest first", async () => {
+      const testEnv = workerEnv();
+
+      const first = await (await createLink('ada@example.com', 'movie=Dune', testEnv)).json();
+      const second = await (await createLink('ada@example.com', 'movie=Heat', testEnv)).json();
+      await createLink('grace@example.com', 'movie=Alien', testEnv);
+
+      const response = await worker.fetch(
+        signedInRequest('ada@example.com', '/api/links'),
+        testEnv,
+      );
+
+      expect(response.status).toBe(200);
+      const { links } = await response.json();
+      expect(links.map((link) => link.query).sort()).toEqual(['movie=Dune', 'movie=Heat']);
+      expect(links[0]).toMatchObject({
+        url: expect.stringMatching(/^https:\/\/example\.com\/s\//),
+      });
+      expect(Date.parse(links[0].createdAt)).toBeGreaterThanOrEqual(Date.parse(links[1].createdAt));
+      expect(links.map((link) => link.code).sort()).toEqual([first.code, second.code].sort());
+      expect(links[0].expiresAt).toEqual(expect.any(String));
+    });
+
+    it('should list links from their metadata across every page', async () => {
+      const metadata = (query) => ({
+        query,
+        createdAt: '2025-07-01T12:00:00.000Z',
+        expiresAt: '2025-09-29T12:00:00.000Z',
+      });
+      const store = {
+        list: vi
+          .fn()
+          .mockResolvedValueOnce({
+            keys: [{ name: 'links:ada@example.com:AbCdEfGh', metadata: metadata('movie=Dune') }],
+            list_complete: false,
+            cursor: 'next',
+          })
+          .mockResolvedValueOnce({
+            keys: [
+              { name: 'links:ada@example.com:HgFeDcBa', metadata: metadata('movie=Heat') },
+              {
+                name: 'links:ada@example.com:LongLink',
+                metadata: { createdAt: '2025-06-01T12:00:00.000Z' },
+              },
+            ],
+            list_complete: true,
+          }),
+        get: vi.fn().mockResolvedValue(`movie=${'a'.repeat(1000)}`),
+      };
+
+      const response = await worker.fetch(
+        signedInRequest('ada@example.com', '/api/links'),
+        workerEnv({ SHORT_LINKS: store }),
+      );
+      const { links } = await response.json();
+
+      expect(links.map((link) => link.code)).toEqual(['AbCdEfGh', 'HgFeDcBa', 'LongLink']);
+      expect(links[0]).toMatchObject(metadata('movie=Dune'));
+      expect(store.list).toHaveBeenLastCalledWith({
+        prefix: 'links:ada@example.com:',
+        cursor: 'next',
+      });
+      // Only the query too long for its metadata is read
+      expect(store.get).toHaveBeenCalledTimes(1);
+      expect(store.get).toHaveBeenCalledWith('links:ada@example.com:LongLink');
+    });
+
+    it('should only let the creator delete a link', async () => {
+      const testEnv = workerEnv();
+      const { code } = await (await createLink('ada@example.com', 'movie=Dune', testEnv)).json();
+      const deleteRequest = (email) =>
+        signedInRequest(email, `/api/links/${code}`, { method: 'DELETE' });
+
+      const forbidden = await worker.fetch(deleteRequest('grace@example.com'), testEnv);
+      expect(forbidden.status).toBe(403);
+
+      const deleted = await worker.fetch(deleteRequest('ada@example.com'), testEnv);
+      expect(deleted.status).toBe(200);
+      expect(await deleted.json()).toEqual({ code, deleted: true });
+
+      const again = await worker.fetch(deleteRequest('ada@example.com'), testEnv);
+      const redirect = await worker.fetch(new Request(`https://example.com/s/${code}`), testEnv);
+      const list = await worker.fetch(signedInRequest('ada@example.com', '/api/links'), testEnv);
+      expect(again.status).toBe(404);
+      expect(redirect.status).toBe(404);
+      expect(await list.json()).toEqual({ links: [] });
+    });
+
+    it('should reject queries without a movie', async () => {
+      const testEnv = workerEnv();
+
+      const noMovie = await createLink('ada@example.com', 'time=19:00', testEnv);
+      const tooLong = await createLink('ada@example.com', `movie=${'a'.repeat(5000)}`, testEnv);
+      const notJson = await worker.fetch(
+        signedInRequest('ada@example.com', '/api/links', { method: 'POST', body: '{' }),
+        testEnv,
+      );
+
+      expect(noMovie.status).toBe(400);
+      expect((await noMovie.json()).error).toBe('query must include a movie parameter');
+      expect(tooLong.status).toBe(400);
+      expect(notJson.status).toBe(400);
+    });
+
+    it('should require an Access identity and a supported method', async () => {
+      const testEnv = workerEnv();
+
+      const anonymous = await createLink(null, 'movie=Dune', testEnv);
+      const put = await worker.fetch(
+        signedInRequest('ada@example.com', '/api/links', { method: 'PUT' }),
+        testEnv,
+      );
+      const unconfigured = await createLink('ada@example.com', 'movie=Dune', {
+        ...testEnv,
+        SHORT_LINKS: undefined,
+      });
+
+      expect(anonymous.status).toBe(401);
+      expect(put.status).toBe(405);
+      expect(unconfigured.status).toBe(500);
+      expect(await unconfigured.json()).toEqual({
+        error: 'Short link storage not configured',
+        code: 'not_configured',
+      });
+    });
+  });
+
+  describe('Trailer Reports', () => {
+    const report = (email, fields, testEnv) =>
+      worker.fetch(
+        signedInRequest(email, '/api/trailer-reports', {
+          method: 'POST',
+          body: JSON.stringify({
+            theater: 'AMC Lincoln Square',
+            date: '2025-07-04',
+            showtime: '19:30',
+            ...fields,
+          }),
+        }),
+        testEnv,
+      );
+
+    it('should record reports and suggest a buffer once there are enough', async () => {
+      const testEnv = workerEnv();
+
+      const first = await report('ada@example.com', { featureStart: '19:52' }, testEnv);
+      expect(first.status).toBe(201);
+      expect(await first.json()).toMatchObject({
+        id: 'amc-lincoln-square',
+        name: 'AMC Lincoln Square',
+        report: { bufferMinutes: 22, auditorium: '' },
+        suggestion: null,
+      });
+
+      await report('grace@example.com', { featureStart: '19:50', auditorium: ' 7 ' }, testEnv);
+      const third = await report(
+        'linus@example.com',
+        { theater: 'amc lincoln square', showtime: '23:50', featureStart: '00:15' },
+        testEnv,
+      );
+      const { suggestion } = await third.json();
+
+      expect(suggestion).toEqual({ bufferMinutes: 22, low: 20, high: 25, reports: 3, rejected: 0 });
+      expect(
+        await env.TRAILER_REPORTS.get(
+          'report:amc-lincoln-square:2025-07-04T19:30:grace@example.com',
+          'json',
+        ),
+      ).toMatchObject({ bufferMinutes: 20, auditorium: '7' });
+
+      const theater = await worker.fetch(
+        signedInRequest('ada@example.com', '/api/theaters/amc-lincoln-square'),
+        testEnv,
+      );
+      expect(await theater.json()).toEqual({
+        id: 'amc-lincoln-square',
+        name: 'amc lincoln square',
+        suggestion,
+      });
+    });
+
+    it("should replace a user's earlier report of the same showing", async () => {
+      const testEnv = workerEnv();
+
+      await report('ada@example.com', { featureStart: '19:35' }, testEnv);
+      await report('ada@example.com', { featureStart: '19:50' }, testEnv);
+
+      const { keys } = await env.TRAILER_REPORTS.list({ prefix: 'report:' });
+      expect(keys).toHaveLength(1);
+      expect(keys[0].metadata.bufferMinutes).toBe(20);
+    });
+
+    it('should list reported theaters by name', async () => {
+      const testEnv = workerEnv();
+
+      await report(
+        'ada@example.com',
+        { theater: 'Regal Union Square', featureStart: '19:45' },
+        testEnv,
+      );
+      await report('ada@example.com', { featureStart: '19:50' }, testEnv);
+
+      const response = await worker.fetch(
+        signedInRequest('ada@example.com', '/api/theaters'),
+        testEnv,
+      );
+      const unknown = await worker.fetch(
+        signedInRequest('ada@example.com', '/api/theaters/nowhere'),
+        testEnv,
+      );
+
+      expect(await response.json()).toEqual({
+        theaters: [
+          { id: 'amc-lincoln-square', name: 'AMC Lincoln Square' },
+          { id: 'regal-union-square', name: 'Regal Union Square' },
+        ],
+      });
+      expect(unknown.status).toBe(404);
+    });
+
+    it('should list theaters from every page of KV results', async () => {
+      const list = vi
+        .fn()
+        .mockResolvedValueOnce({
+          keys: [{ name: 'theater:regal-union-square', metadata: { name: 'Regal Union Square' } }],
+          list_complete: false,
+          cursor: 'next',
+        })
+        .mockResolvedValueOnce({
+          keys: [{ name: 'theater:amc-lincoln-square', metadata: { name: 'AMC Lincoln Square' } }],
+          list_complete: true,
+        });
+
+      const response = await worker.fetch(
+        signedInRequest('ada@example.com', '/api/theaters'),
+        workerEnv({ TRAILER_REPORTS: { list } }),
+      );
+
+      expect(await response.json()).toEqual({
+        theaters: [
+          { id: 'amc-lincoln-square', name: 'AMC Lincoln Square' },
+          { id: 'regal-union-square', name: 'Regal Union Square' },
+        ],
+      });
+      expect(list).toHaveBeenLastCalledWith({ prefix: 'theater:', cursor: 'next' });
+    });
+
+    it('should keep theaters named in non-Latin scripts apart', async () => {
+      const testEnv = workerEnv();
+
+      const tokyo = await report(
+        'ada@example.com',
+        { theater: '東京シネマ', featureStart: '19:50' },
+        testEnv,
+      );
+      await report('ada@example.com', { theater: '大阪シネマ', featureStart: '19:45' }, testEnv);
+      const theater = await worker.fetch(
+        signedInRequest('ada@example.com', `/api/theaters/${encodeURIComponent('東京シネマ')}`),
+        testEnv,
+      );
+      const malformed = await worker.fetch(
+        signedInRequest('ada@example.com', '/api/theaters/%E6%9D'),
+        testEnv,
+      );
+
+      expect(tokyo.status).toBe(201);
+      expect((await tokyo.json()).id).toBe('東京シネマ');
+      expect(await theater.json()).toEqual({
+        id: '東京シネマ',
+        name: '東京シネマ',
+        suggestion: null,
+      });
+      expect(malformed.status).toBe(404);
+    });
+
+    it('should reject invalid reports', async () => {
+      const testEnv = workerEnv();
+      const cases = [
+        [
+          { theater: '!!!', featureStart: '19:50' },
+          'theater must be a theater name of up to 80 characters',
+        ],
+        [
+          { auditorium: 'x'.repeat(21), featureStart: '19:50' },
+          'auditorium must be up to 20 characters',
+        ],
+        [{ date: '2025-02-30', featureStart: '19:50' }, 'date must be in YYYY-MM-DD format'],
+        [{ featureStart: '7:50pm' }, 'featureStart must be in HH:MM format'],
+        [{ featureStart: '20:45' }, 'featureStart must be within 60 minutes after showtime'],
+      ];
+
+      for (const [fields, error] of cases) {
+        const response = await report('ada@example.com', fields, testEnv);
+        expect(response.status).toBe(400);
+        expect(await response.json()).toEqual({ error, code: 'invalid_request' });
+      }
+      expect((await env.TRAILER_REPORTS.list()).keys).toEqual([]);
+    });
+
+    it('should require an Access identity and a supported method', async () => {
+      const testEnv = workerEnv();
+
+      const anonymous = await report(null, { featureStart: '19:50' }, testEnv);
+      const del = await worker.fetch(
+        signedInRequest('ada@example.com', '/api/theaters', { method: 'DELETE' }),
+        testEnv,
+      );
+      const unconfigured = await report(
+        'ada@example.com',
+        { featureStart: '19:50' },
+        { ...testEnv, TRAILER_REPORTS: undefined },
+      );
+
+      expect(anonymous.status).toBe(401);
+      expect(del.status).toBe(405);
+      expect(unconfigured.status).toBe(500);
+      expect(await unconfigured.json()).toEqual({
+        error: 'Trailer report storage not configured',
+        code: 'not_configured',
+      });
+    });
+  });
+
+  describe('Environment Configuration', () => {
+    it('should return 500 if TMDB_READ_ACCESS_TOKEN is not configured', async () => {
+      const request = new Request('https://example.com/api/search?query=Test');
+
+      const testEnv = {
+        ACCESS_DISABLED: 'true',
+        ASSETS: { fetch: mockAssetsFetch },
+        // No TMDB_READ_ACCESS_TOKEN
+      };
+
+      const response = await worker.fetch(request, testEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(500);
+      expect(data).toHaveProperty('error', 'TMDB read access token not configured');
+    });
+
+    it('should serve the KV-only endpoints without TMDB_READ_ACCESS_TOKEN', async () => {
+      const testEnv = workerEnv({ TMDB_READ_ACCESS_TOKEN: undefined });
+      const request = (path) => signedInRequest('ada@example.com', path);
+
+      const preferences = await worker.fetch(request('/api/me/preferences'), testEnv);
+      const links = await worker.fetch(request('/api/links'), testEnv);
+      const theaters = await worker.fetch(request('/api/theaters'), testEnv);
+
+      expect(preferences.status).toBe(200);
+      expect(links.status).toBe(200);
+      expect(theaters.status).toBe(200);
     });
 
     it('should work when TMDB_READ_ACCESS_TOKEN is configured', async () => {
@@ -390,6 +2577,7 @@ describe('Worker Tests', () => {
 
       const testEnv = {
         TMDB_READ_ACCESS_TOKEN: 'test-key',
+        ACCESS_DISABLED: 'true',
         ASSETS: { fetch: mockAssetsFetch },
       };
 
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { buildPreviewTags, escapeHtml, injectPreview } from '../../src/preview.js';
+
+describe('Link Preview Tests', () => {
+  describe('escapeHtml', () => {
+    it('should escape markup and quotes', () => {
+      expect(escapeHtml(`"><script>alert('x')</script>&`)).toBe(
+        '&quot;&gt;&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;&amp;',
+      );
+    });
+  });
+
+  describe('buildPreviewTags', () => {
+    it('should describe the preview for Open Graph and Twitter cards', () => {
+      const tags = buildPreviewTags({
+        title: 'Dune',
+        description: 'Showtime 7:00 PM · ends ~10:07 PM',
+        imageUrl: 'https://image.tmdb.org/t/p/w500/dune.jpg',
+        url: 'https://example.com/?movie=Dune',
+      });
+
+      expect(tags).toContain('<meta property="og:title" content="Dune" />');
+      expect(tags).toContain(
+        '<meta property="og:description" content="Showtime 7:00 PM · ends ~10:07 PM" />',
+      );
+      expect(tags).toContain(
+        '<meta property="og:image" content="https://image.tmdb.org/t/p/w500/dune.jpg" />',
+      );
+      expect(tags).toContain('<meta name="twitter:card" content="summary_large_image" />');
+    });
+
+    it('should leave out missing descriptions and images', () => {
+      const tags = buildPreviewTags({
+        title: 'Dune',
+        description: null,
+        imageUrl: null,
+        url: 'https://example.com/?movie=Dune',
+      });
+
+      expect(tags).not.toContain('description');
+      expect(tags).not.toContain('image');
+      expect(tags).toContain('<meta name="twitter:card" content="summary" />');
+    });
+
+    it('should escape user input in attribute values', () => {
+      const tags = buildPreviewTags({
+        title: '"><script>alert(1)</script>',
+        description: null,
+        imageUrl: null,
+        url: 'https://example.com/?movie=%22%3E',
+      });
+
+      expect(tags).not.toContain('<script>');
+      expect(tags).toContain('content="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"');
+    });
+  });
+
+  describe('injectPreview', () => {
+    it('should replace the title and append the tags to <head>', async () => {
+      const page = new Response(
+        '<html><head><title>End Times</title></head><body><p>App</p></body></html>',
+        { headers: { 'Content-Type': 'text/html' } },
+      );
+
+      const response = injectPreview(page, {
+        title: 'Tom & Jerry <3',
+        description: null,
+        imageUrl: null,
+        url: 'https://example.com/',
+      });
+      const html = await response.text();
+
+      expect(response.headers.get('Content-Type')).toBe('text/html');
+      expect(html).toContain('<title>Tom &amp; Jerry &lt;3 · End Times</title>');
+      expect(html).toContain(
+        '<meta property="og:title" content="Tom &amp; Jerry &lt;3" />\n<meta property="og:url"',
+      );
+      expect(html.indexOf('og:title')).toBeLessThan(html.indexOf('</head>'));
+      expect(html).toContain('<body><p>App</p></body>');
+    });
+  });
+});
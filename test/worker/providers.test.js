@@ -0,0 +1,132 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { env, reset } from 'cloudflare:test';
+import { lookupRuntime, omdbProvider, tmdbProvider } from '../../src/providers.js';
+
+function fakeProvider(name, lookup) {
+  return { name, lookupRuntime: vi.fn().mockImplementation(lookup) };
+}
+
+describe('Runtime Provider Tests', () => {
+  afterEach(async () => {
+    vi.unstubAllGlobals();
+    // Clear the OMDb answers cached by these tests
+    await reset();
+  });
+
+  describe('lookupRuntime', () => {
+    const movie = { imdbId: null, title: 'Dune', year: 2021, tmdb: null };
+
+    it('should take the runtime from the first provider that knows it', async () => {
+      const first = fakeProvider('first', async () => null);
+      const second = fakeProvider('second', async () => 155);
+      const third = fakeProvider('third', async () => 150);
+
+      const result = await lookupRuntime(env, null, movie, [first, second, third]);
+
+      expect(result).toEqual({ runtime: 155, provider: 'second' });
+      expect(first.lookupRuntime).toHaveBeenCalledWith(env, null, movie);
+      expect(third.lookupRuntime).not.toHaveBeenCalled();
+    });
+
+    it('should move on when a provider fails', async () => {
+      const failing = fakeProvider('failing', async () => {
+        throw new Error('down');
+      });
+      const backup = fakeProvider('backup', async () => 155);
+
+      const result = await lookupRuntime(env, null, movie, [failing, backup]);
+
+      expect(result).toEqual({ runtime: 155, provider: 'backup' });
+    });
+
+    it('should report an unknown runtime as null', async () => {
+      const result = await lookupRuntime(env, null, movie, [
+        fakeProvider('none', async () => null),
+      ]);
+
+      expect(result).toEqual({ runtime: null, provider: null });
+    });
+  });
+
+  describe('tmdbProvider', () => {
+    it("should read the runtime from TMDB's details", async () => {
+      expect(await tmdbProvider.lookupRuntime(env, null, { tmdb: { runtime: 155 } })).toBe(155);
+      expect(await tmdbProvider.lookupRuntime(env, null, { tmdb: { runtime: 0 } })).toBeNull();
+      expect(await tmdbProvider.lookupRuntime(env, null, { tmdb: null })).toBeNull();
+    });
+  });
+
+  describe('omdbProvider', () => {
+    const omdbEnv = { ...env, OMDB_API_KEY: 'test-omdb-key' };
+    const omdbResponse = (body) => new Response(JSON.stringify(body));
+
+    it('should be off without an API key', async () => {
+      vi.stubGlobal('fetch', vi.fn());
+
+      const runtime = await omdbProvider.lookupRuntime(env, null, { imdbId: 'tt1160419' });
+
+      expect(runtime).toBeNull();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should look up the runtime by IMDb id and cache it', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(omdbResponse({ Response: 'True', Runtime: '155 min' })),
+      );
+      const movie = { imdbId: 'tt1160419', title: 'Dune', year: 2021, tmdb: null };
+
+      expect(await omdbProvider.lookupRuntime(omdbEnv, null, movie)).toBe(155);
+      expect(await omdbProvider.lookupRuntime(omdbEnv, null, movie)).toBe(155);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://www.omdbapi.com/?i=tt1160419&type=movie&apikey=test-omdb-key',
+        expect.any(Object),
+      );
+    });
+
+    it('should fall back to the title and year without an IMDb id', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(omdbResponse({ Response: 'True', Runtime: '137 min' })),
+      );
+
+      const runtime = await omdbProvider.lookupRuntime(omdbEnv, null, {
+        imdbId: null,
+        title: 'Dune',
+        year: 1984,
+        tmdb: null,
+      });
+
+      expect(runtime).toBe(137);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringMatching(/\?t=Dune&type=movie&y=1984&apikey=/),
+        expect.any(Object),
+      );
+    });
+
+    it('should treat missing runtimes and unknown movies as unknown', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi
+          .fn()
+          .mockResolvedValueOnce(omdbResponse({ Response: 'True', Runtime: 'N/A' }))
+          .mockResolvedValueOnce(omdbResponse({ Response: 'False', Error: 'Movie not found!' })),
+      );
+
+      expect(await omdbProvider.lookupRuntime(omdbEnv, null, { imdbId: 'tt0000001' })).toBeNull();
+      expect(await omdbProvider.lookupRuntime(omdbEnv, null, { imdbId: 'tt0000002' })).toBeNull();
+    });
+
+    it('should throw when OMDb fails', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response('Unauthorized', { status: 401 })),
+      );
+
+      await expect(
+        omdbProvider.lookupRuntime(omdbEnv, null, { imdbId: 'tt1160419' }),
+      ).rejects.toThrow('OMDb request failed with status 401');
+    });
+  });
+});
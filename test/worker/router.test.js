@@ -0,0 +1,186 @@
+import { describe, it, expect, vi } from 'vitest';
+import { apiError, createRouter, parseOrigins, withCors } from '../../src/router.js';
+
+describe('Router Tests', () => {
+  const handleRequest = (router, path, init = {}) => {
+    const request = new Request(`https://example.com${path}`, init);
+    return router.handle(request, new URL(request.url), { locale: 'en-US' });
+  };
+
+  describe('apiError', () => {
+    it('should return the error with its status code', async () => {
+      const response = apiError(404, 'Theater not found', { title: 'Dune' });
+
+      expect(response.status).toBe(404);
+      expect(response.headers.get('Content-Type')).toBe('application/json');
+      expect(await response.json()).toEqual({
+        error: 'Theater not found',
+        code: 'not_found',
+        title: 'Dune',
+      });
+    });
+
+    it('should let details give a more specific code', async () => {
+      const response = apiError(500, 'Storage not configured', { code: 'not_configured' });
+
+      expect(await response.json()).toEqual({
+        error: 'Storage not configured',
+        code: 'not_configured',
+      });
+    });
+  });
+
+  describe('createRouter', () => {
+    const router = createRouter([
+      {
+        path: '/api/things/search',
+        methods: ['GET'],
+        handler: () => Response.json({ search: true }),
+      },
+      {
+        path: '/api/things/:id',
+        methods: ['GET'],
+        handler: ({ params, locale }) => Response.json({ id: params.id, locale }),
+      },
+      {
+        path: '/api/things/:id',
+        methods: ['DELETE'],
+        handler: ({ params }) => Response.json({ deleted: params.id }),
+      },
+      { path: '/api/notes', methods: ['POST'], handler: () => new Response(null, { status: 201 }) },
+    ]);
+
+    it('should call the first matching route with its params and the context', async () => {
+      const search = await handleRequest(router, '/api/things/search');
+      const thing = await handleRequest(router, '/api/things/42');
+      const deleted = await handleRequest(router, '/api/things/42', { method: 'DELETE' });
+
+      expect(await search.json()).toEqual({ search: true });
+      expect(await thing.json()).toEqual({ id: '42', locale: 'en-US' });
+      expect(await deleted.json()).toEqual({ deleted: '42' });
+    });
+
+    it('should capture an empty segment as an empty param', async () => {
+      const response = await handleRequest(router, '/api/things/');
+
+      expect(await response.json()).toEqual({ id: '', locale: 'en-US' });
+    });
+
+    it('should return 404 for paths no route matches', async () => {
+      for (const path of ['/api/other', '/api/things/42/parts', '/api/things']) {
+        const response = await handleRequest(router, path);
+        expect(response.status).toBe(404);
+        expect(await response.json()).toEqual({
+          error: 'Unknown API endpoint',
+          code: 'not_found',
+        });
+      }
+    });
+
+    it('should return 405 with the allowed methods', async () => {
+      const response = await handleRequest(router, '/api/things/42', { method: 'PUT' });
+
+      expect(response.status).toBe(405);
+      expect(response.headers.get('Allow')).toBe('GET, DELETE, HEAD, OPTIONS');
+      expect(await response.json()).toEqual({
+        error: 'Method not allowed',
+        code: 'method_not_allowed',
+      });
+    });
+
+    it('should answer HEAD like GET without the body', async () => {
+      const response = await handleRequest(router, '/api/things/42', { method: 'HEAD' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('application/json');
+      expect(await response.text()).toBe('');
+    });
+
+    it('should not answer HEAD for routes without GET', async () => {
+      const response = await handleRequest(router, '/api/notes', { method: 'HEAD' });
+
+      expect(response.status).toBe(405);
+      expect(response.headers.get('Allow')).toBe('POST, OPTIONS');
+    });
+
+    it('should answer OPTIONS with the allowed methods without calling a handler', async () => {
+      const handler = vi.fn();
+      const response = await createRouter([
+        { path: '/api/notes', methods: ['POST'], handler },
+      ]).handle(
+        new Request('https://example.com/api/notes', { method: 'OPTIONS' }),
+        new URL('https://example.com/api/notes'),
+      );
+
+      expect(response.status).toBe(204);
+      expect(response.headers.get('Allow')).toBe('POST, OPTIONS');
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parseOrigins', () => {
+    it('should read a comma-separated list of origins', () => {
+      expect(parseOrigins(' https://a.example.com/, https://b.example.com ,,')).toEqual([
+        'https://a.example.com',
+        'https://b.example.com',
+      ]);
+      expect(parseOrigins(undefined)).toEqual([]);
+      expect(parseOrigins('')).toEqual([]);
+    });
+  });
+
+  describe('withCors', () => {
+    const origins = ['https://app.example.com'];
+    const corsRequest = (origin, init = {}) =>
+      new Request('https://example.com/api/search', {
+        ...init,
+        headers: { Origin: origin, ...init.headers },
+      });
+
+    it('should allow whitelisted origins with credentials', () => {
+      const response = withCors(
+        corsRequest('https://app.example.com'),
+        Response.json({ results: [] }),
+        origins,
+      );
+
+      expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+      expect(response.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+      expect(response.headers.get('Vary')).toBe('Origin');
+      expect(response.headers.get('Access-Control-Allow-Methods')).toBeNull();
+    });
+
+    it('should answer preflights with the allowed methods and requested headers', () => {
+      const response = withCors(
+        corsRequest('https://app.example.com', {
+          method: 'OPTIONS',
+          headers: { 'Access-Control-Request-Headers': 'content-type' },
+        }),
+        new Response(null, { status: 204, headers: { Allow: 'GET, HEAD, OPTIONS' } }),
+        origins,
+      );
+
+      expect(response.status).toBe(204);
+      expect(response.headers.get('Access-Control-Allow-Methods')).toBe('GET, HEAD, OPTIONS');
+      expect(response.headers.get('Access-Control-Allow-Headers')).toBe('content-type');
+      expect(response.headers.get('Access-Control-Max-Age')).toBe('86400');
+    });
+
+    it('should leave out CORS headers for other origins', () => {
+      const response = withCors(
+        corsRequest('https://evil.example.com'),
+        Response.json({ results: [] }),
+        origins,
+      );
+
+      expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+      expect(response.headers.get('Vary')).toBe('Origin');
+    });
+
+    it('should leave the response alone when no origins are allowed', () => {
+      const original = Response.json({ results: [] });
+
+      expect(withCors(corsRequest('https://app.example.com'), original, [])).toBe(original);
+    });
+  });
+});
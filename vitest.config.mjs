@@ -11,7 +11,11 @@ export default defineConfig({
         bindings: {
           // Static mock token - never used in real TMDB calls because fetch is mocked
           TMDB_READ_ACCESS_TOKEN: 'test-mock-token',
+          // Tests sign in with the Access email header unless they configure Access
+          ACCESS_DISABLED: 'true',
         },
+        // wrangler.toml leaves the KV bindings for each deployment to fill in
+        kvNamespaces: ['PREFERENCES', 'SHORT_LINKS', 'TRAILER_REPORTS', 'CACHE_VERSIONS'],
       },
     }),
   ],